@@ -0,0 +1,57 @@
+-- Alert rules evaluated against new traces touching the addresses of a watchlist
+CREATE TABLE alert_rules (
+    rule_id SERIAL PRIMARY KEY,
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(watchlist_id) ON DELETE CASCADE,
+    rule_type VARCHAR(32) NOT NULL,
+    params JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_alert_rules_watchlist_id ON alert_rules (watchlist_id);
+
+-- HTTP endpoints receiving the alerts of a watchlist
+CREATE TABLE webhooks (
+    webhook_id SERIAL PRIMARY KEY,
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(watchlist_id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhooks_watchlist_id ON webhooks (watchlist_id);
+
+-- Rule matches. dedupe_key keeps a rule from firing twice for the same event
+-- (the same trace, counterparty or implementation).
+CREATE TABLE alerts (
+    alert_id SERIAL PRIMARY KEY,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules(rule_id) ON DELETE CASCADE,
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(watchlist_id) ON DELETE CASCADE,
+    address VARCHAR(42) NOT NULL,
+    dedupe_key TEXT NOT NULL,
+    tx_hash VARCHAR(66) DEFAULT NULL,
+    block_number BIGINT DEFAULT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT uq_alerts_event UNIQUE (rule_id, address, dedupe_key)
+);
+
+CREATE INDEX idx_alerts_watchlist_id ON alerts (watchlist_id, alert_id);
+
+-- One row per alert and webhook, retried with backoff until delivered or failed
+CREATE TABLE webhook_deliveries (
+    delivery_id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(webhook_id) ON DELETE CASCADE,
+    alert_id INTEGER NOT NULL REFERENCES alerts(alert_id) ON DELETE CASCADE,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER DEFAULT NULL,
+    last_error TEXT DEFAULT NULL,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT uq_webhook_deliveries_alert UNIQUE (webhook_id, alert_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries (status, next_attempt_at);
@@ -0,0 +1,18 @@
+-- Latest check per address now records when and by which scanner it was made.
+-- Rows from before this migration have no checked_at and count as expired.
+ALTER TABLE security_check
+    ADD COLUMN scanner_version VARCHAR(64) DEFAULT NULL,
+    ADD COLUMN checked_at TIMESTAMP DEFAULT NULL;
+
+-- Every security check run, oldest to newest
+CREATE TABLE security_check_history (
+    id SERIAL PRIMARY KEY,
+    address VARCHAR(42) NOT NULL,
+    score INTEGER NOT NULL,
+    reports JSONB NOT NULL,
+    scanner_version VARCHAR(64) DEFAULT NULL,
+    trigger VARCHAR(32) NOT NULL,
+    checked_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_security_check_history_address ON security_check_history (address, checked_at);
@@ -0,0 +1,22 @@
+-- Batch security checks, run in the background by the API server
+CREATE TABLE security_check_jobs (
+    job_id SERIAL PRIMARY KEY,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    refresh BOOLEAN NOT NULL DEFAULT FALSE,
+    snapshot_id INTEGER REFERENCES snapshots(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP DEFAULT NULL
+);
+
+-- One row per address of a job. Addresses with a fresh check are 'cached' from the start.
+CREATE TABLE security_check_job_items (
+    job_id INTEGER NOT NULL REFERENCES security_check_jobs(job_id) ON DELETE CASCADE,
+    address VARCHAR(42) NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    error TEXT DEFAULT NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (job_id, address)
+);
+
+CREATE INDEX idx_security_check_jobs_status ON security_check_jobs (status);
@@ -0,0 +1,6 @@
+-- POST /api/metadata/protocol has always written main_address; some databases
+-- got the column by hand, hence IF NOT EXISTS
+ALTER TABLE protocols ADD COLUMN IF NOT EXISTS main_address VARCHAR(42) DEFAULT NULL;
+
+-- Deployer lookups for protocol membership suggestions
+CREATE INDEX IF NOT EXISTS idx_traces_creations ON traces (from_addr, to_addr) WHERE action IN ('create', 'create2');
@@ -0,0 +1,24 @@
+-- API keys. Only the SHA-256 hash of a key is stored; key_prefix identifies it in listings.
+CREATE TABLE api_keys (
+    key_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    role VARCHAR(16) NOT NULL CHECK (role IN ('read', 'write', 'admin')),
+    -- Requests per minute; NULL uses API_RATE_LIMIT_PER_MINUTE
+    rate_limit INTEGER DEFAULT NULL,
+    -- Daily quotas per metered route group, e.g. {"trace": 10000, "security_check": 100};
+    -- missing groups use the API_QUOTA_* defaults, null means unlimited
+    quotas JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    revoked_at TIMESTAMP DEFAULT NULL
+);
+
+-- Quota usage per caller (api key or JWT subject), route group and UTC day
+CREATE TABLE api_usage (
+    subject VARCHAR(255) NOT NULL,
+    quota VARCHAR(32) NOT NULL,
+    day DATE NOT NULL,
+    calls INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (subject, quota, day)
+);
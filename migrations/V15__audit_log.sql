@@ -0,0 +1,42 @@
+-- Append-only record of every mutating API call and security check write
+CREATE TABLE audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    -- Caller subject (key:<id>, jwt:<sub>, admin) or system:<trigger> for background writes
+    actor VARCHAR(255) DEFAULT NULL,
+    -- HTTP method, route pattern (e.g. /api/snapshot/:snapshotName) and requested path;
+    -- NULL for writes made outside a mutating request, such as security checks
+    method VARCHAR(8) DEFAULT NULL,
+    route VARCHAR(255) DEFAULT NULL,
+    path TEXT DEFAULT NULL,
+    resource_type VARCHAR(32) DEFAULT NULL,
+    resource_id VARCHAR(255) DEFAULT NULL,
+    payload JSONB DEFAULT NULL,
+    before JSONB DEFAULT NULL,
+    after JSONB DEFAULT NULL,
+    diff JSONB DEFAULT NULL,
+    outcome VARCHAR(16) NOT NULL,
+    status_code INTEGER DEFAULT NULL,
+    error TEXT DEFAULT NULL,
+    -- Set on the entry of a revert, pointing at the reverted entry
+    reverts BIGINT REFERENCES audit_log(audit_id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+CREATE INDEX idx_audit_log_actor ON audit_log (actor, created_at);
+CREATE INDEX idx_audit_log_resource ON audit_log (resource_type, resource_id, created_at);
+CREATE INDEX idx_audit_log_reverts ON audit_log (reverts);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,27 @@
+-- Tells API instances to drop cached address metadata (contract name, labels
+-- and tags) when it changes, whichever process wrote it
+CREATE FUNCTION notify_address_metadata_changed() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM pg_notify('address_metadata_changed', OLD.address);
+    ELSE
+        PERFORM pg_notify('address_metadata_changed', NEW.address);
+        IF TG_OP = 'UPDATE' AND NEW.address IS DISTINCT FROM OLD.address THEN
+            PERFORM pg_notify('address_metadata_changed', OLD.address);
+        END IF;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER addresses_metadata_changed
+    AFTER INSERT OR UPDATE OR DELETE ON addresses
+    FOR EACH ROW EXECUTE FUNCTION notify_address_metadata_changed();
+
+CREATE TRIGGER address_labels_metadata_changed
+    AFTER INSERT OR UPDATE OR DELETE ON address_labels
+    FOR EACH ROW EXECUTE FUNCTION notify_address_metadata_changed();
+
+CREATE TRIGGER address_tags_metadata_changed
+    AFTER INSERT OR UPDATE OR DELETE ON address_tags
+    FOR EACH ROW EXECUTE FUNCTION notify_address_metadata_changed();
@@ -0,0 +1,4 @@
+-- Ingested traces without an id get <tx_hash>_<position>, which no longer fits
+-- VARCHAR(70) from the 1000th trace of a transaction. Raising the limit of a
+-- varchar doesn't rewrite the table.
+ALTER TABLE traces ALTER COLUMN trace_id TYPE VARCHAR(128);
@@ -0,0 +1,11 @@
+-- A proxy can return to an implementation it used before, so history rows are
+-- periods keyed by the block they start at rather than one row per pair.
+-- from_block is NULL when the start is unknown, which must not allow duplicates.
+ALTER TABLE proxy_implementations DROP CONSTRAINT uq_proxy_implementations_pair;
+ALTER TABLE proxy_implementations ADD CONSTRAINT uq_proxy_implementations_period
+    UNIQUE NULLS NOT DISTINCT (proxy_address, implementation_address, from_block);
+
+-- Rows recorded from delegate calls of contracts that aren't proxies (e.g. calls into libraries)
+DELETE FROM proxy_implementations pi
+WHERE pi.proxy_type = 'delegate'
+AND NOT EXISTS (SELECT 1 FROM addresses a WHERE a.address = pi.proxy_address AND a.is_proxy);
@@ -0,0 +1,2 @@
+-- Keyset pagination over traces orders by (block_number, trace_id)
+CREATE INDEX idx_traces_block_number_trace_id ON traces (block_number, trace_id);
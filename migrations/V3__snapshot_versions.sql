@@ -0,0 +1,9 @@
+-- Saving a snapshot under an existing name creates a new version instead of replacing it
+ALTER TABLE snapshots
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN created_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+ALTER TABLE snapshots
+    ADD CONSTRAINT uq_snapshots_name_version UNIQUE (name, version);
+
+CREATE INDEX idx_snapshot_nodes_snapshot_id ON snapshot_nodes (snapshot_id);
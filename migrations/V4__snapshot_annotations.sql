@@ -0,0 +1,32 @@
+-- Per-node presentation and notes
+ALTER TABLE snapshot_nodes
+    ADD COLUMN label VARCHAR(255) DEFAULT NULL,
+    ADD COLUMN color VARCHAR(32) DEFAULT NULL,
+    ADD COLUMN group_key VARCHAR(255) DEFAULT NULL,
+    ADD COLUMN notes TEXT DEFAULT NULL;
+
+-- Node groups drawn in the UI, possibly collapsed into a single node
+CREATE TABLE snapshot_groups (
+    group_id SERIAL PRIMARY KEY,
+    snapshot_id INTEGER NOT NULL REFERENCES snapshots(id) ON DELETE CASCADE,
+    group_key VARCHAR(255) NOT NULL,
+    label VARCHAR(255) DEFAULT NULL,
+    color VARCHAR(32) DEFAULT NULL,
+    collapsed BOOLEAN NOT NULL DEFAULT FALSE,
+    CONSTRAINT uq_snapshot_groups_key UNIQUE (snapshot_id, group_key)
+);
+
+-- Analyst annotations on edges between snapshot nodes
+CREATE TABLE snapshot_edges (
+    edge_id SERIAL PRIMARY KEY,
+    snapshot_id INTEGER NOT NULL REFERENCES snapshots(id) ON DELETE CASCADE,
+    source VARCHAR(42) NOT NULL,
+    target VARCHAR(42) NOT NULL,
+    action VARCHAR(16) DEFAULT NULL,
+    label VARCHAR(255) DEFAULT NULL,
+    color VARCHAR(32) DEFAULT NULL,
+    notes TEXT DEFAULT NULL,
+    hidden BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX idx_snapshot_edges_snapshot_id ON snapshot_edges (snapshot_id);
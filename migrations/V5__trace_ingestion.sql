@@ -0,0 +1,21 @@
+-- Progress of the trace ingestion worker (src/ingest.js)
+CREATE TABLE ingestion_state (
+    name VARCHAR(64) PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Block ranges queued for backfill, processed by the ingestion worker
+CREATE TABLE ingestion_backfills (
+    id SERIAL PRIMARY KEY,
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+    next_block BIGINT NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    error TEXT DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT chk_ingestion_backfills_range CHECK (from_block <= to_block)
+);
+
+CREATE INDEX idx_ingestion_backfills_status ON ingestion_backfills (status);
@@ -0,0 +1,7 @@
+-- Parent hashes let the ingestion worker detect chain reorganizations,
+-- finalized marks blocks deeper than the confirmation depth
+ALTER TABLE blocks
+    ADD COLUMN parent_hash VARCHAR(66) DEFAULT NULL,
+    ADD COLUMN finalized BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX idx_blocks_finalized ON blocks (finalized, block_number);
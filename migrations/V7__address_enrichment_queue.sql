@@ -0,0 +1,12 @@
+-- Addresses waiting for metadata enrichment (src/enrich.js)
+CREATE TABLE enrichment_queue (
+    address VARCHAR(42) PRIMARY KEY,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT DEFAULT NULL,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_enrichment_queue_status ON enrichment_queue (status, next_attempt_at);
@@ -0,0 +1,14 @@
+-- Implementations a proxy has pointed to. to_block is NULL for the current one.
+CREATE TABLE proxy_implementations (
+    id SERIAL PRIMARY KEY,
+    proxy_address VARCHAR(42) NOT NULL,
+    implementation_address VARCHAR(42) NOT NULL,
+    proxy_type VARCHAR(32) NOT NULL,
+    from_block BIGINT DEFAULT NULL,
+    to_block BIGINT DEFAULT NULL,
+    source VARCHAR(16) NOT NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT uq_proxy_implementations_pair UNIQUE (proxy_address, implementation_address)
+);
+
+CREATE INDEX idx_proxy_implementations_implementation ON proxy_implementations (implementation_address);
@@ -0,0 +1,45 @@
+-- User-defined labels on addresses ("Binance 14", "Euler exploiter")
+CREATE TABLE address_labels (
+    label_id SERIAL PRIMARY KEY,
+    address VARCHAR(42) NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    author VARCHAR(255) DEFAULT NULL,
+    source VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_address_labels_address ON address_labels (address);
+
+-- Free-form tags used for grouping and search ("exploiter", "cex-hot-wallet", "bridge")
+CREATE TABLE address_tags (
+    tag_id SERIAL PRIMARY KEY,
+    address VARCHAR(42) NOT NULL,
+    tag VARCHAR(64) NOT NULL,
+    author VARCHAR(255) DEFAULT NULL,
+    source VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT uq_address_tags_address_tag UNIQUE (address, tag)
+);
+
+CREATE INDEX idx_address_tags_tag ON address_tags (tag);
+
+-- Named lists of addresses to keep an eye on
+CREATE TABLE watchlists (
+    watchlist_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT DEFAULT NULL,
+    author VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE watchlist_addresses (
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(watchlist_id) ON DELETE CASCADE,
+    address VARCHAR(42) NOT NULL,
+    note TEXT DEFAULT NULL,
+    added_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (watchlist_id, address)
+);
+
+CREATE INDEX idx_watchlist_addresses_address ON watchlist_addresses (address);
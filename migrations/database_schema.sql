@@ -72,7 +72,7 @@ CREATE TABLE security_check (
    address VARCHAR(42) PRIMARY KEY,
    score INTEGER NOT NULL,
    reports JSONB NOT NULL
-)
+);
 
 
 CREATE INDEX idx_traces_tx_hash ON traces (tx_hash);
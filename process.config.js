@@ -8,6 +8,31 @@ module.exports = {
         autorestart: true,          // auto-restart on crash
         watch: ['.'],               // watch files and restart on changes (good for dev)
       },
+      {
+        name: 'trace-ingest',       // fills the blocks and traces tables from the logic server
+        script: 'ingest.js',
+        cwd: './src',
+        instances: 1,               // must stay 1: the worker keeps a single checkpoint
+        autorestart: true,
+        watch: ['.'],
+        kill_timeout: 30000,        // let the current batch commit on restart
+      },
+      {
+        name: 'address-enrich',     // fills the addresses table for queued addresses
+        script: 'enrich.js',
+        cwd: './src',
+        instances: 1,
+        autorestart: true,
+        watch: ['.'],
+      },
+      {
+        name: 'watchlist-alerts',   // evaluates alert rules on new traces and calls webhooks
+        script: 'notify.js',
+        cwd: './src',
+        instances: 1,               // must stay 1: the worker keeps a single checkpoint
+        autorestart: true,
+        watch: ['.'],
+      },
     ],
 };
   
\ No newline at end of file
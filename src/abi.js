@@ -0,0 +1,149 @@
+// Decoding of trace call data against contract ABIs stored in the addresses table
+const { Interface } = require('ethers');
+
+// Converts decoded ABI values into plain JSON (bigints as decimal strings, tuples as objects)
+function formatValue(param, value) {
+	if (param.baseType === 'tuple') {
+		const result = {};
+		param.components.forEach((component, index) => {
+			result[component.name || index] = formatValue(component, value[index]);
+		});
+		return result;
+	}
+	if (param.baseType === 'array') {
+		return Array.from(value, item => formatValue(param.arrayChildren, item));
+	}
+	if (typeof value === 'bigint') {
+		return value.toString();
+	}
+	return value;
+}
+
+// Loads parsed ABIs for the given addresses. Unverified contracts and broken ABIs are skipped.
+async function loadInterfaces(pool, addressList) {
+	const interfaces = {};
+	if (addressList.length === 0) {
+		return interfaces;
+	}
+
+	const query = 'SELECT address, contract_abi FROM addresses WHERE address = ANY($1) AND contract_abi IS NOT NULL';
+	const result = await pool.query(query, [addressList]);
+
+	result.rows.forEach(row => {
+		try {
+			interfaces[row.address] = new Interface(JSON.parse(row.contract_abi));
+		} catch (err) {
+			console.error(`Invalid ABI stored for ${row.address}:`, err.message);
+		}
+	});
+
+	return interfaces;
+}
+
+// Current implementation of every proxy among `addressList` (proxy_implementations), keyed by proxy
+async function loadCurrentImplementations(pool, addressList) {
+	if (addressList.length === 0) {
+		return {};
+	}
+	const result = await pool.query(
+		'SELECT proxy_address, implementation_address FROM proxy_implementations WHERE proxy_address = ANY($1) AND to_block IS NULL',
+		[addressList]
+	);
+	return Object.fromEntries(result.rows.map(row => [row.proxy_address, row.implementation_address]));
+}
+
+function decodeWith(iface, callData) {
+	let parsed;
+	try {
+		parsed = iface.parseTransaction({ data: callData });
+	} catch (err) {
+		return null;
+	}
+	if (!parsed) {
+		return null;
+	}
+
+	const args = {};
+	parsed.fragment.inputs.forEach((input, index) => {
+		args[input.name || index] = formatValue(input, parsed.args[index]);
+	});
+
+	return {
+		function_name: parsed.name,
+		signature: parsed.signature,
+		args,
+	};
+}
+
+/**
+ * Adds `selector`, `function_name`, `signature`, `args` and `decoded` to every
+ * trace. The ABI of `to_addr` is used first; for calls into a proxy whose own
+ * ABI doesn't know the selector, the ABIs of the implementations it
+ * delegate_calls into are tried, then the ABI of its current implementation
+ * from proxy_implementations (for proxies whose delegate call isn't among the
+ * traces); `abi_address` names the contract whose ABI matched. Traces without call data or without a
+ * matching verified ABI come back with `decoded: false` and null fields.
+ */
+async function decodeTraces(pool, traces) {
+	// Implementations each storage context delegates to within the given traces
+	const implementations = {};
+	const addresses = new Set();
+	traces.forEach(trace => {
+		if (trace.to_addr) addresses.add(trace.to_addr);
+		if (trace.action === 'delegate_call' && trace.storage_addr) {
+			if (!implementations[trace.storage_addr]) {
+				implementations[trace.storage_addr] = new Set();
+			}
+			implementations[trace.storage_addr].add(trace.to_addr);
+		}
+	});
+
+	const called = traces.filter(trace => trace.action !== 'delegate_call' && trace.to_addr).map(trace => trace.to_addr);
+	const currentImplementations = await loadCurrentImplementations(pool, [...new Set(called)]);
+	Object.values(currentImplementations).forEach(implementation => addresses.add(implementation));
+
+	const interfaces = await loadInterfaces(pool, [...addresses]);
+
+	return traces.map(trace => {
+		let callData = typeof trace.call_data === 'string' ? trace.call_data : null;
+		if (callData && !callData.startsWith('0x')) {
+			callData = '0x' + callData;
+		}
+		const selector = callData && callData.length >= 10 ? callData.slice(0, 10).toLowerCase() : null;
+		const fallback = {
+			...trace,
+			selector,
+			function_name: null,
+			signature: null,
+			args: null,
+			decoded: false,
+		};
+		if (!selector) {
+			return fallback;
+		}
+
+		const candidates = [trace.to_addr];
+		if (trace.action !== 'delegate_call') {
+			candidates.push(...(implementations[trace.to_addr] || []));
+			const current = currentImplementations[trace.to_addr];
+			if (current && !candidates.includes(current)) {
+				candidates.push(current);
+			}
+		}
+
+		for (const candidate of candidates) {
+			const iface = interfaces[candidate];
+			if (!iface) continue;
+			const decoded = decodeWith(iface, callData);
+			if (decoded) {
+				return { ...fallback, ...decoded, abi_address: candidate, decoded: true };
+			}
+		}
+
+		return fallback;
+	});
+}
+
+module.exports = {
+	decodeTraces,
+};
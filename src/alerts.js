@@ -0,0 +1,497 @@
+// Watchlist alert rules: evaluated against new traces by the alert worker
+// (src/notify.js) and the API, matches are delivered to signed webhooks.
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { normalizeTrace, canonicalizeTraces, collectAddresses, fetchAddressMetadata } = require('./core');
+
+const ALERT_RULE_TYPES = ['large_transfer', 'new_counterparty', 'unseen_implementation'];
+const CHECKPOINT_NAME = 'alerts';
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = 10;
+const SIGNATURE_HEADER = 'X-Hub-Signature-256';
+// Hosts webhooks may point to (comma-separated); without the list any host
+// resolving to public addresses only is accepted
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+	.split(',')
+	.map(host => host.trim().toLowerCase())
+	.filter(Boolean);
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges: the notify worker must not be pointed at the cloud metadata
+// service, the logic server or the database
+const PRIVATE_RANGES = new net.BlockList();
+[
+	['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+	['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+	['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Validates a rule from a request body. large_transfer needs params.min_value
+ * (wei, decimal string); the other types take no params.
+ * Returns { rule } or { error }.
+ */
+function parseRule({ rule_type, params = {}, enabled = true }) {
+	if (!ALERT_RULE_TYPES.includes(rule_type)) {
+		return { error: `rule_type must be one of ${ALERT_RULE_TYPES.join(', ')}` };
+	}
+	if (!params || typeof params !== 'object' || Array.isArray(params)) {
+		return { error: 'params must be an object' };
+	}
+	if (rule_type === 'large_transfer' && !/^\d+$/.test(String(params.min_value))) {
+		return { error: 'large_transfer rules need params.min_value in wei' };
+	}
+	if (typeof enabled !== 'boolean') {
+		return { error: 'enabled must be a boolean' };
+	}
+
+	const ruleParams = rule_type === 'large_transfer' ? { min_value: String(params.min_value) } : {};
+	return { rule: { rule_type, params: ruleParams, enabled } };
+}
+
+// Signature header value for `body`, in the format checked by verifySignature in src/webhook.js
+function signPayload(secret, body) {
+	return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function isPrivateAddress(address) {
+	const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+	if (mapped) {
+		return isPrivateAddress(mapped[1]);
+	}
+	return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for deliveries that refuses private addresses, also when the record changed since the check
+async function lookupPublicAddress(hostname) {
+	const addresses = await dns.promises.lookup(hostname, { all: true });
+	const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+	if (blocked) {
+		throw new Error(`${hostname} resolves to the non-public address ${blocked.address}`);
+	}
+	return addresses[0];
+}
+
+/**
+ * Checks that `url` is an http(s) URL of a host in WEBHOOK_ALLOWED_HOSTS or,
+ * without that list, of a host that resolves to public addresses only.
+ * Resolves to { url } or { error }.
+ */
+async function checkWebhookUrl(url) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch (error) {
+		return { error: 'url must be an http(s) URL' };
+	}
+	if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+		return { error: 'url must be an http(s) URL' };
+	}
+
+	const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+	if (WEBHOOK_ALLOWED_HOSTS.length > 0) {
+		return WEBHOOK_ALLOWED_HOSTS.includes(hostname)
+			? { url }
+			: { error: `url host must be one of ${WEBHOOK_ALLOWED_HOSTS.join(', ')}` };
+	}
+	if (net.isIP(hostname)) {
+		return isPrivateAddress(hostname) ? { error: 'url must not point to a private, loopback or link-local address' } : { url };
+	}
+	try {
+		await lookupPublicAddress(hostname);
+	} catch (error) {
+		if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+			return { error: `url host ${hostname} does not resolve` };
+		}
+		return { error: 'url must not point to a private, loopback or link-local address' };
+	}
+	return { url };
+}
+
+// True if `a` and `b` appear together in a trace before `blockNumber` (anywhere if unknown)
+async function haveInteracted(pool, a, b, blockNumber) {
+	const query = `
+		SELECT 1 FROM traces
+		WHERE ((from_addr = $1 AND to_addr = $2) OR (from_addr = $2 AND to_addr = $1))
+		AND ($3::bigint IS NULL OR block_number < $3)
+		LIMIT 1
+	`;
+	const result = await pool.query(query, [a, b, blockNumber ?? null]);
+	return result.rows.length > 0;
+}
+
+// True if `proxy` delegate_called into `implementation` before `blockNumber` (anywhere if unknown)
+async function hasDelegatedTo(pool, proxy, implementation, blockNumber) {
+	const query = `
+		SELECT 1 FROM traces
+		WHERE action = 'delegate_call' AND storage_addr = $1 AND to_addr = $2
+		AND ($3::bigint IS NULL OR block_number < $3)
+		LIMIT 1
+	`;
+	const result = await pool.query(query, [proxy, implementation, blockNumber ?? null]);
+	return result.rows.length > 0;
+}
+
+/**
+ * Checks one rule for the watched `address` against `trace`. Returns
+ * { dedupe_key, details } when it matches, otherwise null.
+ */
+async function matchRule(pool, rule, address, trace) {
+	switch (rule.rule_type) {
+		case 'large_transfer': {
+			if (trace.from_addr !== address && trace.to_addr !== address) return null;
+			const value = BigInt(trace.value || 0);
+			if (value < BigInt(rule.params.min_value)) return null;
+			return {
+				dedupe_key: `trace:${trace.trace_id}`,
+				details: { value: value.toString(), direction: trace.from_addr === address ? 'out' : 'in' },
+			};
+		}
+		case 'new_counterparty': {
+			if (trace.action === 'delegate_call') return null;
+			const counterparty = trace.from_addr === address ? trace.to_addr : trace.to_addr === address ? trace.from_addr : null;
+			if (!counterparty || counterparty === address) return null;
+			if (await haveInteracted(pool, address, counterparty, trace.block_number)) return null;
+			return { dedupe_key: `counterparty:${counterparty}`, details: { counterparty } };
+		}
+		case 'unseen_implementation': {
+			if (trace.action !== 'delegate_call' || trace.storage_addr !== address || trace.to_addr === address) return null;
+			if (await hasDelegatedTo(pool, address, trace.to_addr, trace.block_number)) return null;
+			return { dedupe_key: `implementation:${trace.to_addr}`, details: { implementation: trace.to_addr } };
+		}
+		default:
+			return null;
+	}
+}
+
+/**
+ * Evaluates the enabled rules of every watchlist containing an address of
+ * `traces`. Each match is stored once per rule, address and event, and
+ * queued for delivery to the enabled webhooks of its watchlist. Traces are
+ * keyed by their stored trace_id (see canonicalizeTraces), so a trace seen
+ * by both the API and the alert worker raises one alert.
+ * Returns the newly created alerts.
+ */
+async function evaluateTraces(pool, traces) {
+	const normalized = canonicalizeTraces(traces).map(normalizeTrace);
+	const addressList = collectAddresses(normalized);
+	if (addressList.length === 0) {
+		return [];
+	}
+
+	const rulesQuery = `
+		SELECT r.rule_id, r.rule_type, r.params, r.watchlist_id, w.name AS watchlist_name, wa.address
+		FROM alert_rules r
+		JOIN watchlists w ON w.watchlist_id = r.watchlist_id
+		JOIN watchlist_addresses wa ON wa.watchlist_id = r.watchlist_id
+		WHERE r.enabled AND wa.address = ANY($1)
+	`;
+	const rulesResult = await pool.query(rulesQuery, [addressList]);
+	if (rulesResult.rows.length === 0) {
+		return [];
+	}
+
+	const rulesByAddress = new Map();
+	rulesResult.rows.forEach(row => {
+		if (!rulesByAddress.has(row.address)) rulesByAddress.set(row.address, []);
+		rulesByAddress.get(row.address).push(row);
+	});
+
+	const created = [];
+	for (const trace of normalized) {
+		const watched = [...new Set([trace.from_addr, trace.to_addr, trace.storage_addr])].filter(address => rulesByAddress.has(address));
+		for (const address of watched) {
+			for (const rule of rulesByAddress.get(address)) {
+				const match = await matchRule(pool, rule, address, trace);
+				if (match) {
+					const alert = await storeAlert(pool, rule, address, trace, match);
+					if (alert) created.push(alert);
+				}
+			}
+		}
+	}
+	return created;
+}
+
+// Stores an alert and queues its deliveries; null if it was already raised
+async function storeAlert(pool, rule, address, trace, match) {
+	const metadata = await fetchAddressMetadata(pool, collectAddresses([trace]));
+	const payload = {
+		rule: { rule_id: rule.rule_id, rule_type: rule.rule_type, params: rule.params },
+		watchlist: { watchlist_id: rule.watchlist_id, name: rule.watchlist_name },
+		address,
+		details: match.details,
+		trace,
+		metadata,
+	};
+
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		const result = await client.query(
+			`INSERT INTO alerts (rule_id, watchlist_id, address, dedupe_key, tx_hash, block_number, payload)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			ON CONFLICT (rule_id, address, dedupe_key) DO NOTHING
+			RETURNING alert_id, created_at`,
+			[rule.rule_id, rule.watchlist_id, address, match.dedupe_key, trace.tx_hash || null, trace.block_number ?? null, payload]
+		);
+		if (result.rows.length === 0) {
+			await client.query('ROLLBACK');
+			return null;
+		}
+
+		const alert = { ...result.rows[0], ...payload };
+		await client.query(
+			`INSERT INTO webhook_deliveries (webhook_id, alert_id)
+			SELECT webhook_id, $1 FROM webhooks WHERE watchlist_id = $2 AND enabled`,
+			[alert.alert_id, rule.watchlist_id]
+		);
+		await client.query('COMMIT');
+		return alert;
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+// Traces in blocks the alert worker hasn't evaluated yet. Older blocks are
+// history, like the ones evaluateNewBlocks skips on its first run; traces
+// without a block number can't be placed and are left out as well.
+async function filterUnevaluated(pool, traces) {
+	const checkpointResult = await pool.query('SELECT last_block FROM ingestion_state WHERE name = $1', [CHECKPOINT_NAME]);
+	if (checkpointResult.rows.length === 0) {
+		return [];
+	}
+	const lastBlock = Number(checkpointResult.rows[0].last_block);
+	return traces.filter(trace => trace.block_number !== undefined && trace.block_number !== null && Number(trace.block_number) > lastBlock);
+}
+
+/**
+ * Evaluates traces in the background; alerting must never fail the request
+ * that found them. With `partial`, `traces` may hold only some traces of a
+ * transaction (e.g. those of one address), so traces without a trace_id
+ * can't be given their stored id and are left to the alert worker.
+ */
+function evaluateInBackground(pool, traces, { partial = false } = {}) {
+	const identifiable = partial ? traces.filter(trace => trace.trace_id) : traces;
+	filterUnevaluated(pool, identifiable)
+		.then(unevaluated => (unevaluated.length > 0 ? evaluateTraces(pool, unevaluated) : null))
+		.catch(error => {
+			console.error('Error evaluating alert rules:', error.message);
+		});
+}
+
+/**
+ * Evaluates traces of blocks ingested since the last call, at most
+ * `batchSize` blocks at a time. The first run starts at the newest block so
+ * history doesn't raise alerts. Returns the number of blocks evaluated.
+ */
+async function evaluateNewBlocks(pool, batchSize) {
+	const headResult = await pool.query('SELECT MAX(block_number) AS block_number FROM traces');
+	const head = headResult.rows[0].block_number;
+	if (head === null) {
+		return 0;
+	}
+
+	const checkpointResult = await pool.query('SELECT last_block FROM ingestion_state WHERE name = $1', [CHECKPOINT_NAME]);
+	const lastBlock = checkpointResult.rows.length > 0 ? Number(checkpointResult.rows[0].last_block) : Number(head) - 1;
+	if (lastBlock >= Number(head)) {
+		return 0;
+	}
+
+	const from = lastBlock + 1;
+	const to = Math.min(lastBlock + batchSize, Number(head));
+	const tracesResult = await pool.query(`
+		SELECT trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action, call_data
+		FROM traces
+		WHERE block_number BETWEEN $1 AND $2
+		ORDER BY block_number, length(trace_id), trace_id
+	`, [from, to]);
+	await evaluateTraces(pool, tracesResult.rows);
+
+	await pool.query(`
+		INSERT INTO ingestion_state (name, last_block, updated_at)
+		VALUES ($1, $2, NOW())
+		ON CONFLICT (name) DO UPDATE SET last_block = EXCLUDED.last_block, updated_at = NOW()
+	`, [CHECKPOINT_NAME, to]);
+	return to - from + 1;
+}
+
+/**
+ * Claims up to `limit` due deliveries like the enrichment queue does and
+ * posts them. Returns the number of successful deliveries.
+ */
+async function deliverPending(pool, limit) {
+	const claimQuery = `
+		UPDATE webhook_deliveries SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+		WHERE delivery_id IN (
+			SELECT delivery_id FROM webhook_deliveries
+			WHERE (status = 'pending' AND next_attempt_at <= NOW())
+			OR (status = 'processing' AND updated_at < NOW() - INTERVAL '10 minutes')
+			ORDER BY next_attempt_at
+			LIMIT $1
+			FOR UPDATE SKIP LOCKED
+		)
+		RETURNING delivery_id, webhook_id, alert_id, attempts
+	`;
+	const claimed = await pool.query(claimQuery, [limit]);
+
+	let delivered = 0;
+	for (const delivery of claimed.rows) {
+		if (await deliver(pool, delivery)) delivered++;
+	}
+	return delivered;
+}
+
+async function deliver(pool, { delivery_id, webhook_id, alert_id, attempts }) {
+	const result = await pool.query(`
+		SELECT w.url, w.secret, a.payload, a.created_at
+		FROM webhooks w, alerts a
+		WHERE w.webhook_id = $1 AND a.alert_id = $2
+	`, [webhook_id, alert_id]);
+	if (result.rows.length === 0) {
+		// Webhook or alert deleted after the delivery was claimed
+		return false;
+	}
+	const { url, secret, payload, created_at } = result.rows[0];
+	const body = JSON.stringify({ alert_id, created_at, ...payload });
+
+	let responseStatus = null;
+	try {
+		// Checked again on every delivery: the webhook may predate the check or its DNS record may have changed
+		const target = await checkWebhookUrl(url);
+		if (target.error) {
+			throw new Error(target.error);
+		}
+		const response = await axios.post(url, body, {
+			headers: {
+				'Content-Type': 'application/json',
+				[SIGNATURE_HEADER]: signPayload(secret, body),
+				'X-Alert-Id': String(alert_id),
+				'X-Delivery-Id': String(delivery_id),
+			},
+			timeout: 10000,
+			// Redirects could lead to private hosts, and the resolved address is checked once more at connect time
+			maxRedirects: 0,
+			lookup: WEBHOOK_ALLOWED_HOSTS.length > 0 ? undefined : lookupPublicAddress,
+		});
+		await pool.query(
+			"UPDATE webhook_deliveries SET status = 'delivered', response_status = $2, last_error = NULL, updated_at = NOW() WHERE delivery_id = $1",
+			[delivery_id, response.status]
+		);
+		return true;
+	} catch (error) {
+		responseStatus = error.response ? error.response.status : null;
+		const status = attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'pending';
+		const delay = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+		await pool.query(
+			`UPDATE webhook_deliveries
+			SET status = $2, response_status = $3, last_error = $4, next_attempt_at = NOW() + $5 * INTERVAL '1 second', updated_at = NOW()
+			WHERE delivery_id = $1`,
+			[delivery_id, status, responseStatus, error.message, delay]
+		);
+		console.error(`Delivery ${delivery_id} to ${url} failed (attempt ${attempts}):`, error.message);
+		return false;
+	}
+}
+
+async function listRules(pool, watchlistId) {
+	const result = await pool.query(
+		'SELECT rule_id, watchlist_id, rule_type, params, enabled, created_at FROM alert_rules WHERE watchlist_id = $1 ORDER BY rule_id',
+		[watchlistId]
+	);
+	return result.rows;
+}
+
+async function createRule(pool, watchlistId, { rule_type, params, enabled }) {
+	const result = await pool.query(
+		`INSERT INTO alert_rules (watchlist_id, rule_type, params, enabled) VALUES ($1, $2, $3, $4)
+		RETURNING rule_id, watchlist_id, rule_type, params, enabled, created_at`,
+		[watchlistId, rule_type, params, enabled]
+	);
+	return result.rows[0];
+}
+
+async function deleteRule(pool, watchlistId, ruleId) {
+	const result = await pool.query('DELETE FROM alert_rules WHERE watchlist_id = $1 AND rule_id = $2', [watchlistId, ruleId]);
+	return result.rowCount > 0;
+}
+
+// Webhooks of a watchlist; secrets are only returned when a webhook is created
+async function listWebhooks(pool, watchlistId) {
+	const result = await pool.query(
+		'SELECT webhook_id, watchlist_id, url, enabled, created_at FROM webhooks WHERE watchlist_id = $1 ORDER BY webhook_id',
+		[watchlistId]
+	);
+	return result.rows;
+}
+
+// Creates a webhook; a random secret is generated when none is given
+async function createWebhook(pool, watchlistId, { url, secret }) {
+	const result = await pool.query(
+		`INSERT INTO webhooks (watchlist_id, url, secret) VALUES ($1, $2, $3)
+		RETURNING webhook_id, watchlist_id, url, secret, enabled, created_at`,
+		[watchlistId, url, secret || crypto.randomBytes(32).toString('hex')]
+	);
+	return result.rows[0];
+}
+
+async function deleteWebhook(pool, watchlistId, webhookId) {
+	const result = await pool.query('DELETE FROM webhooks WHERE watchlist_id = $1 AND webhook_id = $2', [watchlistId, webhookId]);
+	return result.rowCount > 0;
+}
+
+// Newest alerts first, optionally of one watchlist
+async function listAlerts(pool, { watchlistId, limit }) {
+	const result = await pool.query(`
+		SELECT alert_id, rule_id, watchlist_id, address, tx_hash, block_number, payload, created_at
+		FROM alerts
+		WHERE ($1::int IS NULL OR watchlist_id = $1)
+		ORDER BY alert_id DESC
+		LIMIT $2
+	`, [watchlistId ?? null, limit]);
+	return result.rows.map(row => ({ ...row, block_number: row.block_number === null ? null : Number(row.block_number) }));
+}
+
+// Delivery log, newest first, filtered by watchlist, webhook and/or status
+async function listDeliveries(pool, { watchlistId, webhookId, status, limit }) {
+	const result = await pool.query(`
+		SELECT d.delivery_id, d.webhook_id, w.url, d.alert_id, a.watchlist_id, d.status, d.attempts,
+			d.response_status, d.last_error, d.next_attempt_at, d.created_at, d.updated_at
+		FROM webhook_deliveries d
+		JOIN webhooks w ON w.webhook_id = d.webhook_id
+		JOIN alerts a ON a.alert_id = d.alert_id
+		WHERE ($1::int IS NULL OR a.watchlist_id = $1)
+		AND ($2::int IS NULL OR d.webhook_id = $2)
+		AND ($3::varchar IS NULL OR d.status = $3)
+		ORDER BY d.delivery_id DESC
+		LIMIT $4
+	`, [watchlistId ?? null, webhookId ?? null, status ?? null, limit]);
+	return result.rows;
+}
+
+module.exports = {
+	ALERT_RULE_TYPES,
+	SIGNATURE_HEADER,
+	parseRule,
+	signPayload,
+	checkWebhookUrl,
+	evaluateTraces,
+	evaluateInBackground,
+	evaluateNewBlocks,
+	deliverPending,
+	listRules,
+	createRule,
+	deleteRule,
+	listWebhooks,
+	createWebhook,
+	deleteWebhook,
+	listAlerts,
+	listDeliveries,
+};
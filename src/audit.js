@@ -0,0 +1,175 @@
+// Append-only audit log of mutating API calls and security check writes
+
+const AUDIT_COLUMNS = `audit_id, actor, method, route, path, resource_type, resource_id, payload,
+	before, after, diff, outcome, status_code, error, reverts, created_at`;
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Request body fields never written to the log
+const REDACTED_FIELDS = ['secret', 'key', 'password', 'token'];
+// Larger payloads are logged by size only
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+function redact(value) {
+	if (Array.isArray(value)) return value.map(redact);
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+			field,
+			REDACTED_FIELDS.includes(field) ? '[redacted]' : redact(fieldValue),
+		]));
+	}
+	return value;
+}
+
+function formatPayload(body) {
+	if (body === undefined || body === null) return null;
+	if (typeof body === 'string') return { size: Buffer.byteLength(body) };
+	const json = JSON.stringify(redact(body));
+	return json.length > MAX_PAYLOAD_BYTES ? { size: json.length, truncated: true } : JSON.parse(json);
+}
+
+/**
+ * Shallow diff of two objects: { field: { from, to } } for every field
+ * whose JSON value differs. A missing side counts as null.
+ */
+function diffObjects(before, after) {
+	const diff = {};
+	const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+	fields.forEach(field => {
+		const from = before ? before[field] ?? null : null;
+		const to = after ? after[field] ?? null : null;
+		if (JSON.stringify(from) !== JSON.stringify(to)) {
+			diff[field] = { from, to };
+		}
+	});
+	return diff;
+}
+
+/**
+ * Appends an entry. `before` and `after` are the states of the resource
+ * around the change; `diff` defaults to diffObjects of the two.
+ */
+async function recordAudit(db, entry) {
+	const { before = null, after = null } = entry;
+	const diff = entry.diff !== undefined ? entry.diff : (before || after ? diffObjects(before, after) : null);
+	const result = await db.query(`
+		INSERT INTO audit_log (actor, method, route, path, resource_type, resource_id, payload, before, after, diff, outcome, status_code, error, reverts)
+		VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8::jsonb, $9::jsonb, $10::jsonb, $11, $12, $13, $14)
+		RETURNING ${AUDIT_COLUMNS}
+	`, [
+		entry.actor || null,
+		entry.method || null,
+		entry.route || null,
+		entry.path || null,
+		entry.resourceType || null,
+		entry.resourceId === undefined || entry.resourceId === null ? null : String(entry.resourceId),
+		JSON.stringify(entry.payload ?? null),
+		JSON.stringify(before),
+		JSON.stringify(after),
+		JSON.stringify(diff),
+		entry.outcome,
+		entry.statusCode ?? null,
+		entry.error || null,
+		entry.reverts || null,
+	]);
+	return result.rows[0];
+}
+
+// Request fields of the audit entry of `req`, answered with `statusCode`
+function describeRequest(req, statusCode) {
+	return {
+		actor: req.auth ? req.auth.subject : null,
+		method: req.method,
+		route: req.route ? req.route.path : req.originalUrl.split('?')[0],
+		path: req.originalUrl,
+		payload: formatPayload(req.body),
+		outcome: statusCode < 400 ? 'success' : 'failure',
+		statusCode,
+	};
+}
+
+/**
+ * Middleware logging every POST, PUT, PATCH and DELETE once its response is
+ * sent: actor (req.auth.subject), route pattern, redacted body, status code
+ * and outcome (success below 400, failure otherwise). Handlers describe the
+ * change through res.locals.audit = { resourceType, resourceId, before,
+ * after, diff, error, reverts }. A handler that has to write its entry in
+ * its own transaction does so with recordAudit and describeRequest and sets
+ * res.locals.audit = { recorded: true }.
+ */
+function auditRequests(pool) {
+	return (req, res, next) => {
+		if (!MUTATING_METHODS.includes(req.method)) return next();
+
+		res.on('finish', () => {
+			const details = res.locals.audit || {};
+			if (details.recorded) return;
+			recordAudit(pool, { ...details, ...describeRequest(req, res.statusCode) }).catch(error => {
+				console.error(`Error writing audit entry for ${req.method} ${req.originalUrl}:`, error.message);
+			});
+		});
+		next();
+	};
+}
+
+/**
+ * Entries newest first, filtered by actor, resourceType, resourceId,
+ * route, outcome, fromTime/toTime (unix seconds) and paginated with beforeId.
+ */
+async function queryAudit(db, { actor, resourceType, resourceId, route, outcome, fromTime, toTime, beforeId, limit = 100 }) {
+	const conditions = [];
+	const params = [];
+	const filters = [
+		['actor', actor],
+		['resource_type', resourceType],
+		['resource_id', resourceId],
+		['route', route],
+		['outcome', outcome],
+	];
+	filters.forEach(([column, value]) => {
+		if (value !== undefined) {
+			params.push(value);
+			conditions.push(`${column} = $${params.length}`);
+		}
+	});
+	if (fromTime !== undefined) {
+		params.push(fromTime);
+		conditions.push(`created_at >= to_timestamp($${params.length})::timestamp`);
+	}
+	if (toTime !== undefined) {
+		params.push(toTime);
+		conditions.push(`created_at <= to_timestamp($${params.length})::timestamp`);
+	}
+	if (beforeId !== undefined) {
+		params.push(beforeId);
+		conditions.push(`audit_id < $${params.length}`);
+	}
+	params.push(limit);
+
+	const result = await db.query(`
+		SELECT ${AUDIT_COLUMNS}
+		FROM audit_log
+		${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+		ORDER BY audit_id DESC
+		LIMIT $${params.length}
+	`, params);
+	return result.rows;
+}
+
+// The entry with `auditId` and the id of a successful revert of it, or null if there is no such entry
+async function findAuditEntry(db, auditId) {
+	const result = await db.query(`
+		SELECT ${AUDIT_COLUMNS},
+			(SELECT MIN(r.audit_id) FROM audit_log r WHERE r.reverts = a.audit_id AND r.outcome = 'success') AS reverted_by
+		FROM audit_log a
+		WHERE audit_id = $1
+	`, [auditId]);
+	return result.rows[0] || null;
+}
+
+module.exports = {
+	diffObjects,
+	recordAudit,
+	describeRequest,
+	auditRequests,
+	queryAudit,
+	findAuditEntry,
+};
@@ -0,0 +1,292 @@
+// API authentication (API keys and HS256 JWTs), roles, per-caller rate
+// limits and daily quotas
+const crypto = require('crypto');
+
+// Each role includes the permissions of the ones before it
+const ROLES = ['read', 'write', 'admin'];
+// Route groups with a daily quota
+const QUOTAS = ['trace', 'security_check'];
+const KEY_COLUMNS = 'key_id, name, key_prefix, role, rate_limit, quotas, created_at, revoked_at';
+
+function hashKey(key) {
+	return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function timingSafeEqual(a, b) {
+	const bufferA = Buffer.from(a);
+	const bufferB = Buffer.from(b);
+	return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Claims of an HS256 token signed with `secret`, or null if it is invalid or expired
+function verifyJwt(token, secret) {
+	const [header, payload, signature] = token.split('.');
+	if (!header || !payload || !signature) return null;
+
+	const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+	if (!timingSafeEqual(signature, expected)) return null;
+
+	try {
+		if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+		const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+		const now = Date.now() / 1000;
+		if ((claims.exp !== undefined && now >= claims.exp) || (claims.nbf !== undefined && now < claims.nbf)) {
+			return null;
+		}
+		return claims;
+	} catch {
+		return null;
+	}
+}
+
+// Credentials from Authorization: Bearer, X-API-Key or, for EventSource clients, ?api_key=
+function readCredentials(req) {
+	const authorization = req.get('authorization') || '';
+	if (authorization.toLowerCase().startsWith('bearer ')) {
+		return authorization.slice(7).trim();
+	}
+	if (req.get('x-api-key')) {
+		return req.get('x-api-key');
+	}
+	if (req.method === 'GET' && typeof req.query.api_key === 'string') {
+		return req.query.api_key;
+	}
+	return null;
+}
+
+function hasRole(principal, role) {
+	return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// Middleware rejecting callers below `role`; must run after authenticate
+function requireRole(role) {
+	return (req, res, next) => {
+		if (!req.auth || !hasRole(req.auth, role)) {
+			return res.status(403).json({ error: `This route requires the ${role} role` });
+		}
+		next();
+	};
+}
+
+/**
+ * Validates { name, role, rateLimit, quotas } of a new key; returns the
+ * normalized values or { error }.
+ */
+function parseKeyRequest(body) {
+	const { name, role, rateLimit, quotas = {} } = body || {};
+	if (typeof name !== 'string' || !name.trim()) {
+		return { error: 'name is required' };
+	}
+	if (!ROLES.includes(role)) {
+		return { error: `role must be one of: ${ROLES.join(', ')}` };
+	}
+	if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+		return { error: 'rateLimit must be a positive integer' };
+	}
+	if (typeof quotas !== 'object' || quotas === null || Array.isArray(quotas)) {
+		return { error: `quotas must be an object keyed by ${QUOTAS.join(', ')}` };
+	}
+	for (const [quota, limit] of Object.entries(quotas)) {
+		if (!QUOTAS.includes(quota)) {
+			return { error: `Unknown quota ${quota}; expected ${QUOTAS.join(', ')}` };
+		}
+		if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+			return { error: `Quota ${quota} must be a non-negative integer or null` };
+		}
+	}
+	return { name: name.trim(), role, rateLimit: rateLimit ?? null, quotas };
+}
+
+// Creates a key and returns its row together with the plaintext key, which is not stored
+async function createApiKey(db, { name, role, rateLimit, quotas }) {
+	const key = `gc_${crypto.randomBytes(24).toString('hex')}`;
+	const result = await db.query(`
+		INSERT INTO api_keys (name, key_prefix, key_hash, role, rate_limit, quotas)
+		VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+		RETURNING ${KEY_COLUMNS}
+	`, [name, key.slice(0, 11), hashKey(key), role, rateLimit, JSON.stringify(quotas)]);
+	return { ...result.rows[0], key };
+}
+
+async function listApiKeys(db) {
+	const result = await db.query(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY key_id`);
+	return result.rows;
+}
+
+// Revokes a key; returns the row, or null if there is no active key with that id
+async function revokeApiKey(db, keyId) {
+	const result = await db.query(
+		`UPDATE api_keys SET revoked_at = NOW() WHERE key_id = $1 AND revoked_at IS NULL RETURNING ${KEY_COLUMNS}`,
+		[keyId]
+	);
+	return result.rows[0] || null;
+}
+
+// Today's usage of every quota of `subject`
+async function fetchUsage(db, subject) {
+	const result = await db.query(
+		`SELECT quota, calls FROM api_usage WHERE subject = $1 AND day = (NOW() AT TIME ZONE 'UTC')::date`,
+		[subject]
+	);
+	return Object.fromEntries(result.rows.map(row => [row.quota, row.calls]));
+}
+
+/**
+ * Creates the authentication middleware. Callers present an API key from
+ * api_keys, the bootstrap `adminApiKey` or, when `jwtSecret` is set, a JWT
+ * whose `role` claim is one of ROLES and whose `sub` names the caller.
+ * `rateLimit` is the default number of requests per minute and
+ * `quotas` the default daily limits per quota (missing means unlimited).
+ * With `enabled` false every request is let through as admin.
+ */
+function createAuth(pool, { enabled = true, adminApiKey, jwtSecret, rateLimit = 600, quotas = {} } = {}) {
+	// Fixed one-minute windows per caller: subject -> { window, count }
+	const windows = new Map();
+	let currentWindow = null;
+
+	async function resolvePrincipal(credentials) {
+		if (adminApiKey && timingSafeEqual(credentials, adminApiKey)) {
+			return { subject: 'admin', role: 'admin', keyId: null, rateLimit: null, quotas: {} };
+		}
+		if (jwtSecret && credentials.split('.').length === 3) {
+			const claims = verifyJwt(credentials, jwtSecret);
+			if (!claims || !ROLES.includes(claims.role) || !claims.sub) return null;
+			return { subject: `jwt:${claims.sub}`, role: claims.role, keyId: null, rateLimit: null, quotas: {} };
+		}
+
+		const result = await pool.query(
+			'SELECT key_id, role, rate_limit, quotas FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+			[hashKey(credentials)]
+		);
+		if (result.rows.length === 0) return null;
+		const row = result.rows[0];
+		return { subject: `key:${row.key_id}`, role: row.role, keyId: row.key_id, rateLimit: row.rate_limit, quotas: row.quotas };
+	}
+
+	// Requests per minute allowed to the caller
+	function rateLimitOf(principal) {
+		return principal.rateLimit || rateLimit;
+	}
+
+	// Daily limit of `quota` for the caller, or null if unlimited
+	function quotaLimit(principal, quota) {
+		if (quota in principal.quotas) return principal.quotas[quota];
+		return quotas[quota] ?? null;
+	}
+
+	// Sets req.auth to { subject, role, keyId, rateLimit, quotas } or answers 401
+	async function authenticate(req, res, next) {
+		if (!enabled) {
+			req.auth = { subject: 'anonymous', role: 'admin', keyId: null, rateLimit: null, quotas: {} };
+			return next();
+		}
+
+		const credentials = readCredentials(req);
+		if (!credentials) {
+			res.set('WWW-Authenticate', 'Bearer');
+			return res.status(401).json({ error: 'An API key or bearer token is required' });
+		}
+
+		try {
+			const principal = await resolvePrincipal(credentials);
+			if (!principal) {
+				res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+				return res.status(401).json({ error: 'Invalid, expired or revoked credentials' });
+			}
+			req.auth = principal;
+			next();
+		} catch (error) {
+			console.error('Error authenticating request:', error);
+			res.status(500).json({ error: error.message });
+		}
+	}
+
+	// Per-caller requests per minute, reported in X-RateLimit-* headers
+	function limitRate(req, res, next) {
+		if (!enabled) return next();
+
+		const limit = rateLimitOf(req.auth);
+		const window = Math.floor(Date.now() / 60000);
+		if (window !== currentWindow) {
+			// Callers of past minutes would otherwise stay in the map forever
+			windows.forEach((entry, subject) => {
+				if (entry.window < window) windows.delete(subject);
+			});
+			currentWindow = window;
+		}
+		let entry = windows.get(req.auth.subject);
+		if (!entry || entry.window !== window) {
+			entry = { window, count: 0 };
+			windows.set(req.auth.subject, entry);
+		}
+
+		const resetSeconds = Math.ceil(((window + 1) * 60000 - Date.now()) / 1000);
+		res.set('X-RateLimit-Limit', String(limit));
+		res.set('X-RateLimit-Reset', String(resetSeconds));
+		if (entry.count >= limit) {
+			res.set('X-RateLimit-Remaining', '0');
+			res.set('Retry-After', String(resetSeconds));
+			return res.status(429).json({ error: 'Rate limit exceeded', limit, retry_after: resetSeconds });
+		}
+		entry.count += 1;
+		res.set('X-RateLimit-Remaining', String(limit - entry.count));
+		next();
+	}
+
+	/**
+	 * Middleware charging `cost(req)` calls (1 by default) to the caller's
+	 * daily `quota`; answers 429 once the quota is used up. Usage is kept in
+	 * api_usage, so it survives restarts and is shared between instances.
+	 */
+	function quota(name, cost = () => 1) {
+		return async (req, res, next) => {
+			if (!enabled) return next();
+
+			const limit = quotaLimit(req.auth, name);
+			if (limit === null) return next();
+
+			const calls = cost(req);
+			try {
+				const result = calls > limit ? { rows: [] } : await pool.query(`
+					INSERT INTO api_usage (subject, quota, day, calls)
+					VALUES ($1, $2, (NOW() AT TIME ZONE 'UTC')::date, $3)
+					ON CONFLICT (subject, quota, day) DO UPDATE SET calls = api_usage.calls + EXCLUDED.calls
+					WHERE api_usage.calls + EXCLUDED.calls <= $4
+					RETURNING calls
+				`, [req.auth.subject, name, calls, limit]);
+
+				res.set('X-Quota-Limit', String(limit));
+				if (result.rows.length === 0) {
+					res.set('X-Quota-Remaining', '0');
+					return res.status(429).json({ error: `Daily ${name} quota exceeded`, code: 'QUOTA_EXCEEDED', quota: name, limit });
+				}
+				res.set('X-Quota-Remaining', String(limit - result.rows[0].calls));
+				next();
+			} catch (error) {
+				console.error('Error charging quota:', error);
+				res.status(500).json({ error: error.message });
+			}
+		};
+	}
+
+	return {
+		authenticate,
+		limitRate,
+		quota,
+		rateLimitOf,
+		quotaLimit,
+	};
+}
+
+module.exports = {
+	ROLES,
+	QUOTAS,
+	hasRole,
+	requireRole,
+	parseKeyRequest,
+	createApiKey,
+	listApiKeys,
+	revokeApiKey,
+	fetchUsage,
+	createAuth,
+};
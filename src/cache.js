@@ -0,0 +1,200 @@
+// Cache for upstream and database lookups of the API: finalized blocks and
+// traces from the logic server, address traces and address metadata. Values
+// are stored as JSON in an in-memory LRU or, with REDIS_URL, in Redis.
+const { createClient } = require('redis');
+const { fetchAddressMetadata } = require('./core');
+
+const METADATA_CHANNEL = 'address_metadata_changed';
+const LISTEN_RETRY_MS = 5000;
+
+// Least recently used entries are evicted once `maxEntries` are stored
+function createMemoryStore(maxEntries) {
+	const entries = new Map();
+
+	return {
+		async get(key) {
+			const entry = entries.get(key);
+			if (!entry) return null;
+			entries.delete(key);
+			if (entry.expiresAt <= Date.now()) return null;
+			entries.set(key, entry);
+			return entry.value;
+		},
+		async set(key, value, ttlSeconds) {
+			entries.delete(key);
+			entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+			while (entries.size > maxEntries) {
+				entries.delete(entries.keys().next().value);
+			}
+		},
+		async del(keys) {
+			keys.forEach(key => entries.delete(key));
+		},
+	};
+}
+
+// While Redis is down every lookup is a miss and writes are dropped, so requests fall back to the source
+function createRedisStore(url) {
+	const client = createClient({ url, disableOfflineQueue: true });
+	// The client keeps reconnecting; log the first error of each outage only
+	let failing = false;
+	client.on('error', error => {
+		if (!failing) console.error('Redis error:', error.message);
+		failing = true;
+	});
+	client.on('ready', () => { failing = false; });
+	client.connect().catch(() => {});
+
+	return {
+		async get(key) {
+			return client.isReady ? client.get(key) : null;
+		},
+		async set(key, value, ttlSeconds) {
+			if (client.isReady) await client.set(key, value, { EX: ttlSeconds });
+		},
+		async del(keys) {
+			if (client.isReady && keys.length > 0) await client.del(keys);
+		},
+	};
+}
+
+/**
+ * Creates the cache from the CACHE settings in config.js. Errors of the
+ * backend are logged and treated as misses, so a broken Redis only makes
+ * the API slower.
+ */
+function createCache({ redisUrl, maxEntries }) {
+	const store = redisUrl ? createRedisStore(redisUrl) : createMemoryStore(maxEntries);
+	// Keys are shared with other deployments on the same Redis
+	const prefix = 'graphchain:';
+
+	// Resolves to the cached value or undefined
+	async function get(key) {
+		try {
+			const value = await store.get(prefix + key);
+			return value === null || value === undefined ? undefined : JSON.parse(value);
+		} catch (error) {
+			console.error(`Error reading cache entry ${key}:`, error.message);
+			return undefined;
+		}
+	}
+
+	async function set(key, value, ttlSeconds) {
+		if (!(ttlSeconds > 0) || value === undefined) return;
+		try {
+			await store.set(prefix + key, JSON.stringify(value), ttlSeconds);
+		} catch (error) {
+			console.error(`Error writing cache entry ${key}:`, error.message);
+		}
+	}
+
+	async function invalidate(keys) {
+		try {
+			await store.del(keys.map(key => prefix + key));
+		} catch (error) {
+			console.error(`Error invalidating cache entries ${keys.join(', ')}:`, error.message);
+		}
+	}
+
+	/**
+	 * Returns { value, hit } for `key`, calling `load` on a miss. The loaded
+	 * value is cached for `ttlSeconds` unless `shouldCache(value)` is false,
+	 * e.g. because the block isn't final yet.
+	 */
+	async function wrap(key, ttlSeconds, load, shouldCache = () => true) {
+		if (ttlSeconds > 0) {
+			const cached = await get(key);
+			if (cached !== undefined) {
+				return { value: cached, hit: true };
+			}
+		}
+		const value = await load();
+		if (shouldCache(value)) {
+			await set(key, value, ttlSeconds);
+		}
+		return { value, hit: false };
+	}
+
+	return { backend: redisUrl ? 'redis' : 'memory', get, set, invalidate, wrap };
+}
+
+function metadataKey(address) {
+	return `metadata:${address.toLowerCase()}`;
+}
+
+/**
+ * fetchAddressMetadata through the cache: addresses are cached one by one,
+ * so only the missing ones are queried. Entries that came back incomplete
+ * because the lookup failed are not cached.
+ */
+async function fetchCachedMetadata(cache, pool, addressList, ttlSeconds) {
+	if (!(ttlSeconds > 0)) {
+		return fetchAddressMetadata(pool, addressList);
+	}
+
+	const metadata = {};
+	const missing = [];
+	const cached = await Promise.all(addressList.map(address => cache.get(metadataKey(address))));
+	addressList.forEach((address, index) => {
+		if (cached[index] !== undefined) {
+			metadata[address] = cached[index];
+		} else {
+			missing.push(address);
+		}
+	});
+
+	const loaded = await fetchAddressMetadata(pool, missing);
+	await Promise.all(missing.map(address => {
+		if (!loaded[address]) return null;
+		metadata[address] = loaded[address];
+		return Array.isArray(loaded[address].labels) ? cache.set(metadataKey(address), loaded[address], ttlSeconds) : null;
+	}));
+	return metadata;
+}
+
+/**
+ * Drops cached metadata of every address reported on the
+ * address_metadata_changed channel (see V16__address_metadata_notify.sql),
+ * i.e. whenever enrichment, labels or tags change it. Reconnects after
+ * LISTEN_RETRY_MS if the connection is lost.
+ */
+function listenForMetadataChanges(pool, cache) {
+	async function listen() {
+		let client = null;
+		let retrying = false;
+		const retry = error => {
+			if (retrying) return;
+			retrying = true;
+			console.error('Metadata change listener failed, reconnecting:', error.message);
+			if (client) client.release(error);
+			setTimeout(listen, LISTEN_RETRY_MS);
+		};
+
+		try {
+			client = await pool.connect();
+			client.on('notification', message => {
+				if (message.channel === METADATA_CHANNEL && message.payload) {
+					cache.invalidate([metadataKey(message.payload)]);
+				}
+			});
+			client.on('error', retry);
+			await client.query(`LISTEN ${METADATA_CHANNEL}`);
+		} catch (error) {
+			retry(error);
+		}
+	}
+
+	listen();
+}
+
+// Cache-Control for responses that never change and for ones clients must revalidate (by ETag)
+function setCacheControl(res, immutableForSeconds) {
+	res.set('Cache-Control', immutableForSeconds > 0 ? `private, max-age=${immutableForSeconds}, immutable` : 'private, no-cache');
+}
+
+module.exports = {
+	createCache,
+	fetchCachedMetadata,
+	listenForMetadataChanges,
+	setCacheControl,
+};
@@ -0,0 +1,72 @@
+// Service configuration from the environment (and ../.env), shared by the
+// server and the workers
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// `fallback` when the variable is unset or empty; anything but a number stops the process at startup
+function numberFromEnv(name, fallback) {
+	const value = process.env[name];
+	if (value === undefined || value.trim() === '') {
+		return fallback;
+	}
+	if (!Number.isFinite(Number(value))) {
+		throw new Error(`${name} must be a number, got "${value}"`);
+	}
+	return Number(value);
+}
+
+const PORT = numberFromEnv('PORT', 3443);
+
+/**
+ * Settings of every upstream service: base URL, request timeout, retries of
+ * idempotent requests and the circuit breaker, which opens after
+ * `failureThreshold` consecutive failures and lets a trial request through
+ * after `resetTimeoutMs`. <NAME>_TIMEOUT_MS and <NAME>_RETRIES override the
+ * per-upstream defaults, UPSTREAM_* the breaker settings of all of them.
+ */
+function upstreamConfig(prefix, { url, timeoutMs, retries }) {
+	return {
+		url: process.env[`${prefix}_URL`] || url,
+		timeoutMs: numberFromEnv(`${prefix}_TIMEOUT_MS`, timeoutMs),
+		retries: numberFromEnv(`${prefix}_RETRIES`, retries),
+		retryDelayMs: numberFromEnv('UPSTREAM_RETRY_DELAY_MS', 200),
+		failureThreshold: numberFromEnv('UPSTREAM_BREAKER_THRESHOLD', 5),
+		resetTimeoutMs: numberFromEnv('UPSTREAM_BREAKER_RESET_MS', 30000),
+	};
+}
+
+/**
+ * Response cache: Redis at REDIS_URL if set (shared by every API instance),
+ * otherwise an in-memory LRU of CACHE_MAX_ENTRIES entries. Each kind of entry
+ * has its own TTL in seconds; a TTL of 0 turns that cache off.
+ */
+const CACHE = {
+	redisUrl: process.env.REDIS_URL || null,
+	maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 10000),
+	ttl: {
+		// Finalized blocks and their traces never change
+		block: numberFromEnv('CACHE_TTL_BLOCK_SECONDS', 24 * 60 * 60),
+		trace: numberFromEnv('CACHE_TTL_TRACE_SECONDS', 24 * 60 * 60),
+		// Traces of an address grow with every block
+		addressTrace: numberFromEnv('CACHE_TTL_ADDRESS_TRACE_SECONDS', 30),
+		// Dropped early when the address row, its labels or tags change
+		metadata: numberFromEnv('CACHE_TTL_METADATA_SECONDS', 10 * 60),
+	},
+};
+
+module.exports = {
+	numberFromEnv,
+	PORT,
+	CACHE,
+	LOGIC_SERVER: upstreamConfig('LOGIC_SERVER', { url: 'http://localhost:5566', timeoutMs: 15000, retries: 2 }),
+	// Security scans can take a while and are paid, so they are not retried by default
+	SECURITY_SERVER: upstreamConfig('SECURITY_SERVER', { url: 'http://localhost:7777', timeoutMs: 60000, retries: 0 }),
+	// This API as seen by the security checker, which reads address metadata back from it
+	PUBLIC_SERVER: upstreamConfig('PUBLIC_SERVER', { url: `https://localhost:${PORT}`, timeoutMs: 10000, retries: 1 }),
+	// Used by the enrichment worker; failed lookups are also retried by its queue
+	ETHERSCAN: upstreamConfig('ETHERSCAN', { url: 'https://api.etherscan.io/api', timeoutMs: 10000, retries: 2 }),
+	// JSON-RPC node for proxy resolution; on-chain lookups are skipped without ETH_RPC_URL
+	ETH_RPC: upstreamConfig('ETH_RPC', { url: null, timeoutMs: 10000, retries: 2 }),
+};
@@ -0,0 +1,194 @@
+// Shared helpers used by the API routes
+const { fetchLabels } = require('./labels');
+
+/**
+ * Converts a row from the traces table (or a logic server trace) into the
+ * JSON shape returned by the API. BYTEA call data is rendered as 0x-hex.
+ */
+function normalizeTrace(trace) {
+	const normalized = { ...trace };
+	if (Buffer.isBuffer(normalized.call_data)) {
+		normalized.call_data = '0x' + normalized.call_data.toString('hex');
+	}
+	if (normalized.block_number !== undefined && normalized.block_number !== null) {
+		normalized.block_number = Number(normalized.block_number);
+	}
+	return normalized;
+}
+
+function lowercaseAddress(value) {
+	return value ? String(value).toLowerCase() : value;
+}
+
+/**
+ * Gives logic server traces the trace_id and addresses they are stored with
+ * in the traces table: lowercase addresses, storage_addr defaulting to
+ * to_addr and, for traces without a trace_id, `<tx_hash>_<position>` with
+ * the position of the trace in its transaction (fits trace_id, see V17).
+ * Positions only match the stored ones if `traces` holds whole transactions
+ * in order, as /trace_block and /trace_tx answer.
+ */
+function canonicalizeTraces(traces) {
+	const positions = {};
+	return traces.map(trace => {
+		positions[trace.tx_hash] = (positions[trace.tx_hash] ?? -1) + 1;
+		return {
+			...trace,
+			trace_id: trace.trace_id || `${trace.tx_hash}_${positions[trace.tx_hash]}`,
+			from_addr: lowercaseAddress(trace.from_addr),
+			to_addr: lowercaseAddress(trace.to_addr),
+			storage_addr: lowercaseAddress(trace.storage_addr || trace.to_addr),
+		};
+	});
+}
+
+// Extract unique addresses from traces
+function collectAddresses(traces) {
+	const uniqueAddresses = new Set();
+	traces.forEach(trace => {
+		if (trace.from_addr) uniqueAddresses.add(trace.from_addr);
+		if (trace.to_addr) uniqueAddresses.add(trace.to_addr);
+		if (trace.storage_addr) uniqueAddresses.add(trace.storage_addr);
+	});
+	return [...uniqueAddresses];
+}
+
+/**
+ * Fetches the metadata object returned next to traces, keyed by address,
+ * including user-defined labels and tags.
+ * Addresses unknown to the database get an entry with empty fields.
+ * Database errors are logged and result in an empty metadata object.
+ */
+async function fetchAddressMetadata(pool, addressList) {
+	const metadata = {};
+	if (addressList.length === 0) {
+		return metadata;
+	}
+
+	try {
+		const addressQuery = 'SELECT address, contract_name, protocol_id FROM addresses WHERE address = ANY($1)';
+		const addressResult = await pool.query(addressQuery, [addressList]);
+
+		addressResult.rows.forEach(row => {
+			metadata[row.address] = {
+				contract_name: row.contract_name
+			};
+		});
+
+		// Add entries for addresses that don't have metadata in the database
+		addressList.forEach(addr => {
+			if (!metadata[addr]) {
+				metadata[addr] = {
+					contract_name: null
+				};
+			}
+		});
+
+		const labels = await fetchLabels(pool, addressList);
+		addressList.forEach(addr => {
+			metadata[addr].labels = labels[addr].labels;
+			metadata[addr].tags = labels[addr].tags;
+		});
+	} catch (dbError) {
+		console.error('Error fetching address metadata:', dbError);
+		// We'll continue even if metadata fetch fails, just with an empty metadata object
+	}
+
+	return metadata;
+}
+
+/**
+ * Highest block marked finalized by the ingestion worker, or null if none is.
+ * Every block at or below it is final; anything above may still be reorged.
+ * Database errors are logged and treated as "nothing finalized".
+ */
+async function fetchFinalizedHead(pool) {
+	try {
+		const result = await pool.query('SELECT MAX(block_number) AS block_number FROM blocks WHERE finalized');
+		const blockNumber = result.rows[0].block_number;
+		return blockNumber === null ? null : Number(blockNumber);
+	} catch (dbError) {
+		console.error('Error fetching finalized block:', dbError);
+		return null;
+	}
+}
+
+function isFinalized(blockNumber, finalizedHead) {
+	if (blockNumber === undefined || blockNumber === null) return null;
+	return finalizedHead !== null && Number(blockNumber) <= finalizedHead;
+}
+
+// Sets `finalized` on every trace; traces without a block number use `defaultBlock`
+function markFinalized(traces, finalizedHead, defaultBlock) {
+	return traces.map(trace => ({
+		...trace,
+		finalized: isFinalized(trace.block_number ?? defaultBlock, finalizedHead),
+	}));
+}
+
+// Address whose code issued the trace (the caller's execution context)
+function callerOf(trace) {
+	return trace.action === 'delegate_call' ? trace.storage_addr : trace.from_addr;
+}
+
+// Address whose storage the trace executes against
+function contextOf(trace) {
+	return trace.action === 'delegate_call' ? trace.storage_addr : trace.to_addr;
+}
+
+/**
+ * Assigns a call depth to every trace of a single transaction and nests them
+ * into a call tree. Traces must be in execution order. An explicit
+ * `trace_address` array or `depth` field from the logic server wins;
+ * otherwise depth is reconstructed by matching each trace's caller against
+ * the stack of open frames.
+ *
+ * Returns { traces, tree } where `traces` is the flat ordered list with
+ * `depth` set and `tree` is the list of root calls with nested `calls`.
+ */
+function buildCallTree(traces) {
+	const flat = [];
+	const tree = [];
+	const stack = [];
+
+	traces.forEach(trace => {
+		let depth;
+		if (Array.isArray(trace.trace_address)) {
+			depth = trace.trace_address.length;
+		} else if (Number.isInteger(trace.depth)) {
+			depth = trace.depth;
+		}
+
+		if (depth !== undefined) {
+			stack.length = Math.min(stack.length, depth);
+		} else {
+			while (stack.length > 0 && contextOf(stack[stack.length - 1]) !== callerOf(trace)) {
+				stack.pop();
+			}
+			depth = stack.length;
+		}
+
+		const node = { ...trace, depth, calls: [] };
+		if (stack.length === 0) {
+			tree.push(node);
+		} else {
+			stack[stack.length - 1].calls.push(node);
+		}
+		stack.push(node);
+
+		flat.push({ ...trace, depth });
+	});
+
+	return { traces: flat, tree };
+}
+
+module.exports = {
+	normalizeTrace,
+	canonicalizeTraces,
+	collectAddresses,
+	fetchAddressMetadata,
+	fetchFinalizedHead,
+	isFinalized,
+	markFinalized,
+	buildCallTree,
+};
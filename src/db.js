@@ -0,0 +1,17 @@
+const { Pool } = require('pg');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables from ../.env
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// PostgreSQL connection setup using .env config, shared by the server and workers
+const pool = new Pool({
+	user: process.env.POSTGRES_USER,
+	host: process.env.POSTGRES_HOST,
+	database: process.env.POSTGRES_DB,
+	password: process.env.POSTGRES_PASSWORD,
+	port: process.env.POSTGRES_PORT,
+});
+
+module.exports = pool;
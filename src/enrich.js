@@ -0,0 +1,110 @@
+// Address enrichment worker: fills the addresses table for queued addresses.
+//
+//   node enrich.js           process the enrichment queue continuously
+//   node enrich.js backfill  queue every address seen in traces, then exit
+const pool = require('./db');
+const { createProvider } = require('./providers');
+const { createRpcClient } = require('./rpc');
+const { enqueueTraceAddresses, claimBatch, processAddress } = require('./enrichment');
+const { syncProxy } = require('./proxies');
+const { createSecurityChecker } = require('./security');
+const { securityServer, publicServer } = require('./upstream');
+
+const BATCH_SIZE = Number(process.env.ENRICHMENT_BATCH_SIZE) || 20;
+const POLL_INTERVAL_MS = Number(process.env.ENRICHMENT_POLL_INTERVAL_MS) || 5000;
+// How often known proxies are re-resolved to pick up upgrades
+const PROXY_REFRESH_INTERVAL_MS = Number(process.env.PROXY_REFRESH_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Upgraded proxies are security-checked again through the API's metadata
+const securityChecker = createSecurityChecker(pool, {
+	securityServer,
+	publicServer,
+	apiKey: process.env.SECURITY_CHECK_API_KEY || process.env.ADMIN_API_KEY,
+});
+
+let stopping = false;
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function resolveProxy(rpc, address) {
+	try {
+		const { resolved, changed } = await syncProxy(pool, rpc, address);
+		if (changed) {
+			console.log(`Proxy ${address} now points to ${resolved.implementation}`);
+			if (await securityChecker.recheck(address, 'proxy_upgrade')) {
+				console.log(`Security check of ${address} re-run after the upgrade`);
+			}
+		}
+	} catch (error) {
+		console.error(`Proxy resolution or security re-check of ${address} failed:`, error.message);
+	}
+}
+
+async function refreshProxies(rpc) {
+	const result = await pool.query('SELECT address FROM addresses WHERE is_proxy = TRUE');
+	for (const row of result.rows) {
+		if (stopping) break;
+		await resolveProxy(rpc, row.address);
+	}
+}
+
+async function run(provider, rpc) {
+	let lastProxyRefresh = 0;
+
+	while (!stopping) {
+		try {
+			if (Date.now() - lastProxyRefresh >= PROXY_REFRESH_INTERVAL_MS) {
+				lastProxyRefresh = Date.now();
+				await refreshProxies(rpc);
+			}
+
+			const batch = await claimBatch(pool, BATCH_SIZE);
+			if (batch.length === 0) {
+				await sleep(POLL_INTERVAL_MS);
+				continue;
+			}
+
+			// Sequential on purpose: the provider's rate limiter spaces the requests
+			let enriched = 0;
+			for (const entry of batch) {
+				if (await processAddress(pool, provider, entry)) {
+					enriched++;
+					await resolveProxy(rpc, entry.address);
+				}
+			}
+			console.log(`Enriched ${enriched}/${batch.length} addresses`);
+		} catch (error) {
+			console.error('Enrichment error:', error.message);
+			await sleep(POLL_INTERVAL_MS);
+		}
+	}
+}
+
+async function main() {
+	const [command] = process.argv.slice(2);
+
+	process.on('SIGINT', () => { stopping = true; });
+	process.on('SIGTERM', () => { stopping = true; });
+
+	if (command === 'backfill') {
+		const queued = await enqueueTraceAddresses(pool);
+		console.log(`Queued ${queued} addresses from traces`);
+	} else {
+		const provider = createProvider();
+		const rpc = createRpcClient();
+		if (!rpc) {
+			console.warn('ETH_RPC_URL is not set, only minimal proxies (EIP-1167) will be resolved');
+		}
+		console.log(`Address enrichment worker started (provider ${provider.name})`);
+		await run(provider, rpc);
+	}
+
+	await pool.end();
+}
+
+main().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,170 @@
+// Address enrichment queue: unknown addresses are queued by the API and
+// filled into the addresses table by the enrichment worker (src/enrich.js).
+
+const MAX_ATTEMPTS = Number(process.env.ENRICHMENT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = 30;
+
+/**
+ * Queues addresses that are neither in the addresses table nor already
+ * queued. Returns the number of newly queued addresses.
+ */
+async function enqueueAddresses(pool, addresses) {
+	const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+	if (unique.length === 0) {
+		return 0;
+	}
+
+	const query = `
+		INSERT INTO enrichment_queue (address)
+		SELECT candidate FROM unnest($1::varchar[]) AS candidate
+		WHERE NOT EXISTS (SELECT 1 FROM addresses a WHERE a.address = candidate)
+		ON CONFLICT (address) DO NOTHING
+	`;
+	const result = await pool.query(query, [unique]);
+	return result.rowCount;
+}
+
+// Queues addresses in the background; enrichment must never fail the request that found them
+function enqueueInBackground(pool, addresses) {
+	enqueueAddresses(pool, addresses).catch(error => {
+		console.error('Error queueing addresses for enrichment:', error.message);
+	});
+}
+
+// Queues every address seen in traces that has no metadata yet
+async function enqueueTraceAddresses(pool) {
+	const query = `
+		INSERT INTO enrichment_queue (address)
+		SELECT DISTINCT candidate FROM (
+			SELECT from_addr AS candidate FROM traces
+			UNION
+			SELECT to_addr FROM traces
+			UNION
+			SELECT storage_addr FROM traces
+		) seen
+		WHERE candidate IS NOT NULL
+		AND NOT EXISTS (SELECT 1 FROM addresses a WHERE a.address = seen.candidate)
+		ON CONFLICT (address) DO NOTHING
+	`;
+	const result = await pool.query(query);
+	return result.rowCount;
+}
+
+/**
+ * Claims up to `limit` due queue entries for processing. Entries stay
+ * 'processing' until completed or failed; stale claims are picked up again
+ * after ten minutes.
+ */
+async function claimBatch(pool, limit) {
+	const query = `
+		UPDATE enrichment_queue SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+		WHERE address IN (
+			SELECT address FROM enrichment_queue
+			WHERE (status = 'pending' AND next_attempt_at <= NOW())
+			OR (status = 'processing' AND updated_at < NOW() - INTERVAL '10 minutes')
+			ORDER BY next_attempt_at
+			LIMIT $1
+			FOR UPDATE SKIP LOCKED
+		)
+		RETURNING address, attempts
+	`;
+	const result = await pool.query(query, [limit]);
+	return result.rows;
+}
+
+// Same upsert as the addresses table has always been filled with
+async function upsertAddress(db, metadata) {
+	const query = `
+		INSERT INTO addresses (
+			address, is_contract, is_proxy, is_verified,
+			contract_bytecode, contract_source_code, contract_abi, contract_name,
+			compiler_version, constructor_arguments, license_type
+		)
+		VALUES (
+			$1, $2, $3, $4,
+			$5, $6, $7, $8,
+			$9, $10, $11
+		)
+		ON CONFLICT (address) DO UPDATE SET
+			is_contract = EXCLUDED.is_contract,
+			is_proxy = EXCLUDED.is_proxy,
+			is_verified = EXCLUDED.is_verified,
+			contract_bytecode = EXCLUDED.contract_bytecode,
+			contract_source_code = EXCLUDED.contract_source_code,
+			contract_abi = EXCLUDED.contract_abi,
+			contract_name = EXCLUDED.contract_name,
+			compiler_version = EXCLUDED.compiler_version,
+			constructor_arguments = EXCLUDED.constructor_arguments,
+			license_type = EXCLUDED.license_type
+	`;
+	await db.query(query, [
+		metadata.address,
+		metadata.is_contract || false,
+		metadata.is_proxy || false,
+		metadata.is_verified || false,
+		metadata.contract_bytecode || null,
+		metadata.contract_source_code || null,
+		metadata.contract_abi || null,
+		metadata.contract_name || null,
+		metadata.compiler_version || null,
+		metadata.constructor_arguments || null,
+		metadata.license_type || null,
+	]);
+}
+
+/**
+ * Enriches one claimed address with `provider`. On success the address is
+ * upserted and marked done; on failure it is retried with exponential
+ * backoff until MAX_ATTEMPTS, then marked failed.
+ */
+async function processAddress(pool, provider, { address, attempts }) {
+	try {
+		const metadata = await provider.fetchAddress(address);
+		await upsertAddress(pool, { ...metadata, address });
+		await pool.query(
+			"UPDATE enrichment_queue SET status = 'done', last_error = NULL, updated_at = NOW() WHERE address = $1",
+			[address]
+		);
+		return true;
+	} catch (error) {
+		const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+		const delay = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+		await pool.query(
+			`UPDATE enrichment_queue
+			SET status = $2, last_error = $3, next_attempt_at = NOW() + $4 * INTERVAL '1 second', updated_at = NOW()
+			WHERE address = $1`,
+			[address, status, error.message, delay]
+		);
+		console.error(`Enrichment of ${address} failed (attempt ${attempts}):`, error.message);
+		return false;
+	}
+}
+
+// Queue counts by status plus the most recent failures
+async function getQueueStatus(pool) {
+	const countsResult = await pool.query('SELECT status, COUNT(*)::int AS count FROM enrichment_queue GROUP BY status');
+	const failuresResult = await pool.query(`
+		SELECT address, status, attempts, last_error, next_attempt_at, updated_at
+		FROM enrichment_queue
+		WHERE last_error IS NOT NULL AND status <> 'done'
+		ORDER BY updated_at DESC
+		LIMIT 50
+	`);
+
+	const counts = { pending: 0, processing: 0, done: 0, failed: 0 };
+	countsResult.rows.forEach(row => {
+		counts[row.status] = row.count;
+	});
+	return { counts, recent_errors: failuresResult.rows };
+}
+
+module.exports = {
+	MAX_ATTEMPTS,
+	enqueueAddresses,
+	enqueueInBackground,
+	enqueueTraceAddresses,
+	claimBatch,
+	upsertAddress,
+	processAddress,
+	getQueueStatus,
+};
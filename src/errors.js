@@ -0,0 +1,92 @@
+// Request ids and the error envelope shared by every API response:
+// { error, code, request_id, details? }
+const crypto = require('crypto');
+
+// Default error code per status; handlers may set a more specific code
+const ERROR_CODES = {
+	400: 'INVALID_REQUEST',
+	401: 'UNAUTHORIZED',
+	403: 'FORBIDDEN',
+	404: 'NOT_FOUND',
+	409: 'CONFLICT',
+	413: 'PAYLOAD_TOO_LARGE',
+	415: 'UNSUPPORTED_MEDIA_TYPE',
+	429: 'RATE_LIMITED',
+	500: 'INTERNAL_ERROR',
+	502: 'UPSTREAM_ERROR',
+	503: 'UNAVAILABLE',
+	504: 'UPSTREAM_TIMEOUT',
+};
+// Client-supplied X-Request-Id values are reused only if they look like ids
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+function errorCode(status) {
+	return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+}
+
+// Sets req.id from X-Request-Id or a new UUID and echoes it in the response
+function requestIds(req, res, next) {
+	const incoming = req.get('x-request-id');
+	req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+	res.set('X-Request-Id', req.id);
+	next();
+}
+
+/**
+ * Wraps res.json so every error response ({ error } with a status of 400
+ * or more) gets a code and the request id. Server errors without an
+ * explicit code carry raw exception messages (from Postgres, axios...):
+ * their message and details are logged under the request id and replaced
+ * by a generic message.
+ */
+function errorEnvelope(req, res, next) {
+	const json = res.json.bind(res);
+	res.json = body => {
+		if (res.statusCode < 400 || !body || typeof body.error !== 'string') {
+			return json(body);
+		}
+
+		const { error, code, details, ...rest } = body;
+		if (res.statusCode >= 500 && !code) {
+			console.error(`Request ${req.id} failed with ${res.statusCode}: ${error}${details ? ` (${details})` : ''}`);
+			return json({ error: 'Internal server error', code: errorCode(res.statusCode), request_id: req.id });
+		}
+		return json({
+			error,
+			code: code || errorCode(res.statusCode),
+			request_id: req.id,
+			...(details !== undefined ? { details } : {}),
+			...rest,
+		});
+	};
+	next();
+}
+
+// Last handler for /api: unknown routes
+function notFound(req, res) {
+	res.status(404).json({ error: `No route for ${req.method} ${req.baseUrl}${req.path}` });
+}
+
+// Error middleware for errors thrown outside the route handlers, e.g. by body parsers
+function handleErrors(error, req, res, next) {
+	if (res.headersSent) {
+		return res.end();
+	}
+	if (error.type === 'entity.parse.failed') {
+		return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+	}
+	const status = error.status || error.statusCode;
+	if (status >= 400 && status < 500) {
+		return res.status(status).json({ error: error.expose ? error.message : 'Invalid request' });
+	}
+	console.error(`Unhandled error in request ${req.id}:`, error);
+	res.status(500).json({ error: error.message });
+}
+
+module.exports = {
+	ERROR_CODES,
+	requestIds,
+	errorEnvelope,
+	notFound,
+	handleErrors,
+};
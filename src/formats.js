@@ -0,0 +1,410 @@
+// Snapshot export to and import from standard graph formats
+const { XMLParser } = require('fast-xml-parser');
+
+const EXPORT_FORMATS = {
+	'graphml': { contentType: 'application/graphml+xml', extension: 'graphml' },
+	'gexf': { contentType: 'application/gexf+xml', extension: 'gexf' },
+	'cytoscape': { contentType: 'application/json', extension: 'cyjs' },
+	'csv-nodes': { contentType: 'text/csv', extension: 'nodes.csv' },
+	'csv-edges': { contentType: 'text/csv', extension: 'edges.csv' },
+};
+
+// Exported attributes and their GraphML/GEXF types
+const NODE_ATTRIBUTES = [
+	['address', 'string'],
+	['x', 'int'],
+	['y', 'int'],
+	['label', 'string'],
+	['color', 'string'],
+	['group', 'string'],
+	['group_label', 'string'],
+	['group_color', 'string'],
+	['group_collapsed', 'boolean'],
+	['notes', 'string'],
+	['contract_name', 'string'],
+	['is_contract', 'boolean'],
+	['is_proxy', 'boolean'],
+	['is_verified', 'boolean'],
+	['protocol_id', 'int'],
+	['protocol_name', 'string'],
+	['protocol_symbol', 'string'],
+	['protocol_type', 'string'],
+];
+const EDGE_ATTRIBUTES = [
+	['action', 'string'],
+	['count', 'int'],
+	['total_value', 'string'],
+	['first_block', 'long'],
+	['last_block', 'long'],
+	['label', 'string'],
+	['color', 'string'],
+	['notes', 'string'],
+	['hidden', 'boolean'],
+	['annotation_any_action', 'boolean'],
+];
+// Spreadsheets evaluate cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Flattens snapshot nodes, groups, aggregated traces, edge annotations and
+ * address metadata into { name, groups, nodes, edges } where every node and
+ * edge carries a plain `attributes` object; nodes repeat the label, color and
+ * collapsed state of their group. Annotations attach to the trace edge with
+ * the same source, target and action (or any action when the annotation has
+ * none, flagged by annotation_any_action); annotations without a matching
+ * trace become edges of their own.
+ */
+function buildExportGraph(name, nodes, groups, traces, annotations, metadata) {
+	const groupsByKey = new Map(groups.map(group => [group.key, group]));
+	const graphNodes = nodes.map(node => {
+		const meta = metadata[node.address] || {};
+		const group = groupsByKey.get(node.group) || {};
+		return {
+			id: node.address,
+			attributes: {
+				address: node.address,
+				x: node.x,
+				y: node.y,
+				label: node.label,
+				color: node.color,
+				group: node.group,
+				group_label: group.label,
+				group_color: group.color,
+				group_collapsed: node.group ? Boolean(group.collapsed) : undefined,
+				notes: node.notes,
+				contract_name: meta.contract_name,
+				is_contract: meta.is_contract,
+				is_proxy: meta.is_proxy,
+				is_verified: meta.is_verified,
+				protocol_id: meta.protocol_id,
+				protocol_name: meta.protocol_name,
+				protocol_symbol: meta.protocol_symbol,
+				protocol_type: meta.protocol_type,
+			},
+		};
+	});
+
+	const remaining = [...annotations];
+	const takeAnnotation = (source, target, action) => {
+		const index = remaining.findIndex(a => a.source === source && a.target === target && (!a.action || a.action === action));
+		return index === -1 ? {} : remaining.splice(index, 1)[0];
+	};
+
+	const graphEdges = traces.map(trace => {
+		const source = trace.from_addr || trace.storage_addr;
+		const annotation = takeAnnotation(source, trace.to_addr, trace.action);
+		return {
+			source,
+			target: trace.to_addr,
+			attributes: {
+				action: trace.action,
+				count: trace.count,
+				total_value: trace.total_value,
+				first_block: trace.first_block,
+				last_block: trace.last_block,
+				label: annotation.label,
+				color: annotation.color,
+				notes: annotation.notes,
+				hidden: annotation.hidden,
+				annotation_any_action: annotation.source && !annotation.action ? true : undefined,
+			},
+		};
+	});
+	remaining.forEach(annotation => {
+		graphEdges.push({
+			source: annotation.source,
+			target: annotation.target,
+			attributes: {
+				action: annotation.action,
+				label: annotation.label,
+				color: annotation.color,
+				notes: annotation.notes,
+				hidden: annotation.hidden,
+			},
+		});
+	});
+	graphEdges.forEach((edge, index) => {
+		edge.id = `e${index}`;
+	});
+
+	return {
+		name,
+		groups: groups.map(group => ({ key: group.key, label: group.label, color: group.color, collapsed: Boolean(group.collapsed) })),
+		nodes: graphNodes,
+		edges: graphEdges,
+	};
+}
+
+function isSet(value) {
+	return value !== undefined && value !== null;
+}
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+	if (!isSet(value)) return '';
+	let text = String(value);
+	if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toGraphML(graph) {
+	const keys = [
+		'  <key id="g_groups" for="graph" attr.name="groups" attr.type="string"/>',
+		...NODE_ATTRIBUTES.map(([name, type]) => `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+		...EDGE_ATTRIBUTES.map(([name, type]) => `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+	];
+	const data = (prefix, attributes) => Object.entries(attributes)
+		.filter(([, value]) => isSet(value))
+		.map(([name, value]) => `<data key="${prefix}_${name}">${escapeXml(value)}</data>`)
+		.join('');
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+		...keys,
+		`  <graph id="${escapeXml(graph.name)}" edgedefault="directed">`,
+		// Groups as JSON, so groups without nodes survive an import too
+		`    <data key="g_groups">${escapeXml(JSON.stringify(graph.groups))}</data>`,
+		...graph.nodes.map(node => `    <node id="${escapeXml(node.id)}">${data('n', node.attributes)}</node>`),
+		...graph.edges.map(edge => `    <edge id="${edge.id}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${data('e', edge.attributes)}</edge>`),
+		'  </graph>',
+		'</graphml>',
+		'',
+	].join('\n');
+}
+
+function toGEXF(graph) {
+	const gexfType = type => (type === 'int' ? 'integer' : type);
+	const attributeDefs = definitions => definitions
+		.map(([name, type]) => `      <attribute id="${name}" title="${name}" type="${gexfType(type)}"/>`);
+	const attvalues = attributes => {
+		const values = Object.entries(attributes)
+			.filter(([, value]) => isSet(value))
+			.map(([name, value]) => `<attvalue for="${name}" value="${escapeXml(value)}"/>`);
+		return values.length > 0 ? `<attvalues>${values.join('')}</attvalues>` : '';
+	};
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+		`  <meta><description>${escapeXml(graph.name)}</description></meta>`,
+		'  <graph defaultedgetype="directed" mode="static">',
+		'    <attributes class="node">',
+		...attributeDefs(NODE_ATTRIBUTES),
+		'    </attributes>',
+		'    <attributes class="edge">',
+		...attributeDefs(EDGE_ATTRIBUTES),
+		'    </attributes>',
+		'    <nodes>',
+		...graph.nodes.map(node => {
+			const label = node.attributes.label || node.attributes.contract_name || node.id;
+			const position = `<viz:position x="${node.attributes.x}" y="${node.attributes.y}" z="0"/>`;
+			return `      <node id="${escapeXml(node.id)}" label="${escapeXml(label)}">${attvalues(node.attributes)}${position}</node>`;
+		}),
+		'    </nodes>',
+		'    <edges>',
+		...graph.edges.map(edge => {
+			const weight = isSet(edge.attributes.count) ? ` weight="${edge.attributes.count}"` : '';
+			return `      <edge id="${edge.id}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${weight}>${attvalues(edge.attributes)}</edge>`;
+		}),
+		'    </edges>',
+		'  </graph>',
+		'</gexf>',
+		'',
+	].join('\n');
+}
+
+function toCytoscape(graph) {
+	return JSON.stringify({
+		data: { name: graph.name, groups: graph.groups },
+		elements: {
+			nodes: graph.nodes.map(node => ({
+				data: { id: node.id, ...node.attributes },
+				position: { x: node.attributes.x, y: node.attributes.y },
+			})),
+			edges: graph.edges.map(edge => ({
+				data: { id: edge.id, source: edge.source, target: edge.target, ...edge.attributes },
+			})),
+		},
+	});
+}
+
+function toCsv(columns, rows) {
+	return [columns, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+function toCsvNodes(graph) {
+	const columns = NODE_ATTRIBUTES.map(([name]) => name);
+	return toCsv(columns, graph.nodes.map(node => columns.map(name => node.attributes[name])));
+}
+
+function toCsvEdges(graph) {
+	const columns = EDGE_ATTRIBUTES.map(([name]) => name);
+	return toCsv(
+		['source', 'target', ...columns],
+		graph.edges.map(edge => [edge.source, edge.target, ...columns.map(name => edge.attributes[name])])
+	);
+}
+
+const SERIALIZERS = {
+	'graphml': toGraphML,
+	'gexf': toGEXF,
+	'cytoscape': toCytoscape,
+	'csv-nodes': toCsvNodes,
+	'csv-edges': toCsvEdges,
+};
+
+function serializeGraph(graph, format) {
+	return SERIALIZERS[format](graph);
+}
+
+function toNumber(value) {
+	const number = Number(value);
+	return Number.isFinite(number) ? Math.round(number) : 0;
+}
+
+function toBoolean(value) {
+	return value === true || value === 'true' || value === '1';
+}
+
+function toText(value) {
+	return isSet(value) && value !== '' ? String(value) : undefined;
+}
+
+/**
+ * Maps imported groups and node/edge attributes onto the snapshot contents
+ * model. Without a group list (`groups` undefined) the groups are rebuilt
+ * from the group_* attributes of their nodes.
+ */
+function buildContents(nodes, edges, groups) {
+	const ids = new Map();
+	const contents = { nodes: [], groups: [], edges: [] };
+	const groupKeys = new Set();
+	const addGroup = (key, { label, color, collapsed }) => {
+		if (!key || groupKeys.has(key)) return;
+		groupKeys.add(key);
+		contents.groups.push({ key, label: toText(label), color: toText(color), collapsed: toBoolean(collapsed) });
+	};
+	(Array.isArray(groups) ? groups : []).forEach(group => {
+		if (group && typeof group === 'object') addGroup(toText(group.key), group);
+	});
+
+	nodes.forEach(({ id, attributes, position }) => {
+		const address = String(attributes.address || id);
+		ids.set(String(id), address);
+		contents.nodes.push({
+			address,
+			x: toNumber(position ? position.x : attributes.x),
+			y: toNumber(position ? position.y : attributes.y),
+			label: toText(attributes.label),
+			color: toText(attributes.color),
+			group: toText(attributes.group),
+			notes: toText(attributes.notes),
+		});
+		if (groups === undefined) {
+			addGroup(toText(attributes.group), { label: attributes.group_label, color: attributes.group_color, collapsed: attributes.group_collapsed });
+		}
+	});
+
+	edges.forEach(({ source, target, attributes }) => {
+		// Only annotated edges are stored, the rest is recomputed from traces
+		if (!['label', 'color', 'notes'].some(name => toText(attributes[name])) && !toBoolean(attributes.hidden)) {
+			return;
+		}
+		contents.edges.push({
+			source: ids.get(String(source)) || String(source),
+			target: ids.get(String(target)) || String(target),
+			action: toBoolean(attributes.annotation_any_action) ? undefined : toText(attributes.action),
+			label: toText(attributes.label),
+			color: toText(attributes.color),
+			notes: toText(attributes.notes),
+			hidden: toBoolean(attributes.hidden),
+		});
+	});
+
+	return contents;
+}
+
+/**
+ * Parses a GraphML document into snapshot contents. Graph, node and edge
+ * <data> entries are matched to attributes by the attr.name of their <key>;
+ * the node address is taken from an `address` attribute or the node id and
+ * the groups from the graph's `groups` JSON.
+ * Throws on malformed documents.
+ */
+function parseGraphML(xml) {
+	const parser = new XMLParser({
+		ignoreAttributes: false,
+		attributeNamePrefix: '',
+		textNodeName: 'value',
+		parseTagValue: false,
+		isArray: name => ['key', 'graph', 'node', 'edge', 'data'].includes(name),
+	});
+	const document = parser.parse(xml);
+	if (!document.graphml || !document.graphml.graph) {
+		throw new Error('Not a GraphML document');
+	}
+
+	const keyNames = {};
+	(document.graphml.key || []).forEach(key => {
+		keyNames[key.id] = key['attr.name'] || key.id;
+	});
+	const attributes = element => {
+		const result = {};
+		(element.data || []).forEach(data => {
+			result[keyNames[data.key] || data.key] = typeof data === 'object' ? data.value : data;
+		});
+		return result;
+	};
+
+	const graph = document.graphml.graph[0];
+	const { groups } = attributes(graph);
+	return buildContents(
+		(graph.node || []).map(node => ({ id: node.id, attributes: attributes(node) })),
+		(graph.edge || []).map(edge => ({ source: edge.source, target: edge.target, attributes: attributes(edge) })),
+		groups === undefined ? undefined : JSON.parse(groups)
+	);
+}
+
+/**
+ * Parses Cytoscape JSON ({ elements: { nodes, edges } } or a flat elements
+ * array) into snapshot contents; groups are read from data.groups as written
+ * by the export. Throws on malformed documents.
+ */
+function parseCytoscape(json) {
+	const elements = json && (json.elements || json);
+	let nodes;
+	let edges;
+	if (Array.isArray(elements)) {
+		nodes = elements.filter(element => element.group !== 'edges' && !(element.data && element.data.source));
+		edges = elements.filter(element => element.group === 'edges' || (element.data && element.data.source));
+	} else if (elements && Array.isArray(elements.nodes)) {
+		nodes = elements.nodes;
+		edges = elements.edges || [];
+	} else {
+		throw new Error('Not a Cytoscape JSON document');
+	}
+
+	return buildContents(
+		nodes.map(node => ({ id: node.data.id, attributes: node.data, position: node.position })),
+		edges.map(edge => ({ source: edge.data.source, target: edge.data.target, attributes: edge.data })),
+		json.data ? json.data.groups : undefined
+	);
+}
+
+module.exports = {
+	EXPORT_FORMATS,
+	buildExportGraph,
+	serializeGraph,
+	parseGraphML,
+	parseCytoscape,
+};
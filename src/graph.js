@@ -0,0 +1,346 @@
+// Graph queries over the traces table
+
+const { TRACE_ACTIONS } = require('./traces');
+
+const MAX_GRAPH_NODES = 2000;
+
+function edgeKey(edge) {
+	return `${edge.source}|${edge.target}|${edge.action}`;
+}
+
+function formatEdge(row) {
+	return {
+		source: row.source,
+		target: row.target,
+		action: row.action,
+		call_count: Number(row.call_count),
+		total_value: row.total_value,
+		first_block: Number(row.first_block),
+		last_block: Number(row.last_block),
+	};
+}
+
+/**
+ * Aggregated edges incident to any of `addresses`. Normal calls connect
+ * from_addr -> to_addr, delegate calls connect storage_addr -> to_addr, the
+ * same way /api/snapshot/:snapshotName pairs them. When `limit` is set only
+ * the `limit` busiest edges per address are kept. With `direction: 'out'`
+ * only edges leaving `addresses` are returned.
+ *
+ * Options: actions, limit, fromBlock, toBlock, direction.
+ */
+async function fetchNeighborEdges(pool, addresses, options = {}) {
+	const actions = options.actions || TRACE_ACTIONS;
+	const params = [addresses, actions];
+	const blockConditions = [];
+	if (options.fromBlock !== undefined) {
+		params.push(options.fromBlock);
+		blockConditions.push(`AND block_number >= $${params.length}`);
+	}
+	if (options.toBlock !== undefined) {
+		params.push(options.toBlock);
+		blockConditions.push(`AND block_number <= $${params.length}`);
+	}
+	const outgoing = options.direction === 'out';
+	let limitCondition = '';
+	if (options.limit) {
+		params.push(options.limit);
+		limitCondition = `WHERE rn <= $${params.length}`;
+	}
+
+	const query = `
+		WITH edges AS (
+			SELECT from_addr AS source, to_addr AS target, action,
+				COUNT(*) AS call_count, SUM(value::numeric)::text AS total_value,
+				MIN(block_number) AS first_block, MAX(block_number) AS last_block
+			FROM traces
+			WHERE action IN ('call', 'create', 'create2')
+			AND action = ANY($2)
+			AND (from_addr = ANY($1)${outgoing ? '' : ' OR to_addr = ANY($1)'})
+			${blockConditions.join(' ')}
+			GROUP BY from_addr, to_addr, action
+			UNION ALL
+			SELECT storage_addr AS source, to_addr AS target, action,
+				COUNT(*) AS call_count, SUM(value::numeric)::text AS total_value,
+				MIN(block_number) AS first_block, MAX(block_number) AS last_block
+			FROM traces
+			WHERE action IN ('delegate_call')
+			AND action = ANY($2)
+			AND (storage_addr = ANY($1)${outgoing ? '' : ' OR to_addr = ANY($1)'})
+			${blockConditions.join(' ')}
+			GROUP BY storage_addr, to_addr, action
+		)
+		SELECT * FROM (
+			SELECT edges.*, anchor,
+				ROW_NUMBER() OVER (PARTITION BY anchor ORDER BY call_count DESC, source, target) AS rn
+			FROM edges
+			CROSS JOIN LATERAL (VALUES (source)${outgoing ? '' : ', (target)'}) AS anchors(anchor)
+			WHERE anchor = ANY($1)
+		) ranked
+		${limitCondition}
+	`;
+	const result = await pool.query(query, params);
+
+	const edges = new Map();
+	result.rows.forEach(row => {
+		const edge = formatEdge(row);
+		edges.set(edgeKey(edge), edge);
+	});
+	return [...edges.values()];
+}
+
+// Address metadata joined with protocol info, keyed by address
+async function fetchNodeMetadata(pool, addressList) {
+	const metadata = {};
+	if (addressList.length === 0) {
+		return metadata;
+	}
+
+	const query = `
+		SELECT a.address, a.contract_name, a.is_contract, a.is_proxy, a.is_verified,
+			a.protocol_id, p.protocol_name, p.protocol_symbol, p.protocol_type
+		FROM addresses a
+		LEFT JOIN protocols p ON a.protocol_id = p.protocol_id
+		WHERE a.address = ANY($1)
+	`;
+	const result = await pool.query(query, [addressList]);
+	result.rows.forEach(row => {
+		const { address, ...rest } = row;
+		metadata[address] = rest;
+	});
+	return metadata;
+}
+
+/**
+ * Breadth-first expansion from a set of seed addresses, `depth` hops deep
+ * with at most `limit` edges per expanded node. Returns deduplicated nodes
+ * (with their hop distance and metadata) and aggregated edges. Expansion
+ * stops early and sets `truncated` once MAX_GRAPH_NODES is reached.
+ */
+async function expandGraph(pool, { seeds, depth, limit, actions }) {
+	const hops = new Map(seeds.map(address => [address, 0]));
+	const edges = new Map();
+	let frontier = [...seeds];
+	let truncated = false;
+
+	for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+		const found = await fetchNeighborEdges(pool, frontier, { actions, limit });
+		const next = [];
+
+		for (const edge of found) {
+			for (const address of [edge.source, edge.target]) {
+				if (hops.has(address)) continue;
+				if (hops.size >= MAX_GRAPH_NODES) {
+					truncated = true;
+					break;
+				}
+				hops.set(address, hop);
+				next.push(address);
+			}
+			if (hops.has(edge.source) && hops.has(edge.target)) {
+				edges.set(edgeKey(edge), edge);
+			}
+		}
+
+		frontier = next;
+	}
+
+	const metadata = await fetchNodeMetadata(pool, [...hops.keys()]);
+	const nodes = [...hops.entries()].map(([address, hop]) => ({
+		address,
+		hop,
+		metadata: metadata[address] || { contract_name: null },
+	}));
+
+	return { nodes, edges: [...edges.values()], truncated };
+}
+
+// Shortest path by hop count over `adjacency`, skipping removed nodes and edges
+function shortestPath(adjacency, from, to, removedNodes, removedEdges) {
+	const previous = new Map([[from, null]]);
+	const queue = [from];
+
+	while (queue.length > 0) {
+		const current = queue.shift();
+		if (current === to) {
+			const path = [];
+			for (let node = to; node !== null; node = previous.get(node)) {
+				path.unshift(node);
+			}
+			return path;
+		}
+		for (const next of adjacency.get(current) || []) {
+			if (previous.has(next) || removedNodes.has(next) || removedEdges.has(`${current}|${next}`)) continue;
+			previous.set(next, current);
+			queue.push(next);
+		}
+	}
+
+	return null;
+}
+
+// Yen's algorithm for the k shortest loopless paths, unit edge weights
+function kShortestPaths(adjacency, from, to, k, maxDepth) {
+	const first = shortestPath(adjacency, from, to, new Set(), new Set());
+	if (!first || first.length - 1 > maxDepth) {
+		return [];
+	}
+
+	const paths = [first];
+	const candidates = [];
+	const seen = new Set([first.join('|')]);
+
+	while (paths.length < k) {
+		const last = paths[paths.length - 1];
+
+		for (let i = 0; i < last.length - 1; i++) {
+			const spur = last[i];
+			const root = last.slice(0, i + 1);
+			const rootKey = root.join('|');
+
+			const removedEdges = new Set();
+			paths.forEach(path => {
+				if (path.length > i + 1 && path.slice(0, i + 1).join('|') === rootKey) {
+					removedEdges.add(`${path[i]}|${path[i + 1]}`);
+				}
+			});
+			const removedNodes = new Set(root.slice(0, -1));
+
+			const spurPath = shortestPath(adjacency, spur, to, removedNodes, removedEdges);
+			if (!spurPath) continue;
+
+			const candidate = [...root.slice(0, -1), ...spurPath];
+			const key = candidate.join('|');
+			if (candidate.length - 1 <= maxDepth && !seen.has(key)) {
+				seen.add(key);
+				candidates.push(candidate);
+			}
+		}
+
+		if (candidates.length === 0) break;
+		candidates.sort((a, b) => a.length - b.length);
+		paths.push(candidates.shift());
+	}
+
+	return paths;
+}
+
+// Up to `perEdge` distinct transaction hashes behind each aggregated edge
+async function fetchEdgeTransactions(pool, edges, { fromBlock, toBlock, perEdge = 20 }) {
+	if (edges.length === 0) {
+		return {};
+	}
+
+	const params = [
+		edges.map(edge => edge.source),
+		edges.map(edge => edge.target),
+		edges.map(edge => edge.action),
+		perEdge,
+	];
+	const blockConditions = [];
+	if (fromBlock !== undefined) {
+		params.push(fromBlock);
+		blockConditions.push(`AND t.block_number >= $${params.length}`);
+	}
+	if (toBlock !== undefined) {
+		params.push(toBlock);
+		blockConditions.push(`AND t.block_number <= $${params.length}`);
+	}
+
+	const query = `
+		SELECT e.source, e.target, e.action,
+			ARRAY(
+				SELECT DISTINCT t.tx_hash
+				FROM traces t
+				WHERE t.to_addr = e.target
+				AND t.action = e.action
+				AND ((e.action = 'delegate_call' AND t.storage_addr = e.source)
+					OR (e.action <> 'delegate_call' AND t.from_addr = e.source))
+				${blockConditions.join(' ')}
+				LIMIT $4
+			) AS tx_hashes
+		FROM unnest($1::text[], $2::text[], $3::text[]) AS e(source, target, action)
+	`;
+	const result = await pool.query(query, params);
+
+	const transactions = {};
+	result.rows.forEach(row => {
+		transactions[edgeKey(row)] = row.tx_hashes;
+	});
+	return transactions;
+}
+
+/**
+ * Finds the k shortest directed paths (by hop count) from `from` to `to`.
+ * The outgoing edges of `from` are explored breadth-first up to `maxDepth`
+ * hops, following at most the `limit` busiest edges per address, then Yen's algorithm runs over the explored subgraph. Every hop of a
+ * path lists the aggregated edges between its two addresses together with
+ * the transaction hashes behind them.
+ */
+async function findPaths(pool, { from, to, k, maxDepth, limit, fromBlock, toBlock }) {
+	const adjacency = new Map();
+	const pairEdges = new Map();
+	const visited = new Set([from]);
+	let frontier = [from];
+	let truncated = false;
+
+	for (let hop = 1; hop <= maxDepth && frontier.length > 0 && !truncated; hop++) {
+		const found = await fetchNeighborEdges(pool, frontier, { direction: 'out', limit, fromBlock, toBlock });
+		const next = [];
+
+		for (const edge of found) {
+			if (edge.source === edge.target) continue;
+			const pair = `${edge.source}|${edge.target}`;
+			if (!pairEdges.has(pair)) {
+				pairEdges.set(pair, []);
+				if (!adjacency.has(edge.source)) adjacency.set(edge.source, []);
+				adjacency.get(edge.source).push(edge.target);
+			}
+			pairEdges.get(pair).push(edge);
+
+			if (!visited.has(edge.target) && edge.target !== to) {
+				if (visited.size >= MAX_GRAPH_NODES) {
+					truncated = true;
+					continue;
+				}
+				visited.add(edge.target);
+				next.push(edge.target);
+			}
+		}
+
+		frontier = next;
+	}
+
+	const nodePaths = kShortestPaths(adjacency, from, to, k, maxDepth);
+
+	const pathEdges = new Map();
+	nodePaths.forEach(path => {
+		for (let i = 0; i < path.length - 1; i++) {
+			pairEdges.get(`${path[i]}|${path[i + 1]}`).forEach(edge => pathEdges.set(edgeKey(edge), edge));
+		}
+	});
+	const transactions = await fetchEdgeTransactions(pool, [...pathEdges.values()], { fromBlock, toBlock });
+	const metadata = await fetchNodeMetadata(pool, [...new Set(nodePaths.flat())]);
+
+	const paths = nodePaths.map(path => ({
+		length: path.length - 1,
+		addresses: path,
+		hops: path.slice(0, -1).map((source, i) => ({
+			source,
+			target: path[i + 1],
+			edges: pairEdges.get(`${source}|${path[i + 1]}`).map(edge => ({
+				...edge,
+				tx_hashes: transactions[edgeKey(edge)] || [],
+			})),
+		})),
+	}));
+
+	return { from, to, paths, metadata, truncated };
+}
+
+module.exports = {
+	fetchNeighborEdges,
+	fetchNodeMetadata,
+	expandGraph,
+	findPaths,
+};
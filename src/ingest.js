@@ -0,0 +1,389 @@
+// Trace ingestion worker: copies blocks and traces from the logic server into
+// the blocks and traces tables.
+//
+//   node ingest.js                      follow the chain head and process queued backfills
+//   node ingest.js backfill <from> <to> ingest a block range once and exit
+const pool = require('./db');
+const { LOGIC_SERVER } = require('./config');
+const { logicServer } = require('./upstream');
+const { canonicalizeTraces } = require('./core');
+
+const BATCH_SIZE = Number(process.env.INGEST_BATCH_SIZE) || 10;
+const POLL_INTERVAL_MS = Number(process.env.INGEST_POLL_INTERVAL_MS) || 5000;
+const START_BLOCK = process.env.INGEST_START_BLOCK;
+// Blocks deeper than this below the head are final and never re-checked for reorgs
+const CONFIRMATIONS = Number(process.env.INGEST_CONFIRMATIONS) || 12;
+
+const CHECKPOINT_NAME = 'head';
+
+// A fork below a finalized block: finalized data was served as immutable, so the worker stops
+class FatalIngestionError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'FatalIngestionError';
+	}
+}
+
+let stopping = false;
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Decimal string for decimal or 0x-prefixed hex values
+function toDecimal(value) {
+	if (value === undefined || value === null || value === '') return '0';
+	return BigInt(value).toString();
+}
+
+// Unix seconds for unix seconds, unix milliseconds or date strings
+function toUnixSeconds(value) {
+	if (value === undefined || value === null) return null;
+	if (typeof value === 'number' || /^\d+$/.test(value)) {
+		const number = Number(value);
+		return number > 1e12 ? Math.floor(number / 1000) : number;
+	}
+	if (/^0x[0-9a-fA-F]+$/.test(value)) return Number(BigInt(value));
+	const parsed = Date.parse(value);
+	return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function toBytes(value) {
+	if (!value || value === '0x') return null;
+	return Buffer.from(String(value).replace(/^0x/, ''), 'hex');
+}
+
+async function fetchBlockNumber() {
+	const response = await logicServer.get('/block_number');
+	const data = response.data;
+	return Number(typeof data === 'object' ? data.block_number ?? data.blockNumber ?? data.number : data);
+}
+
+async function fetchBlock(blockNumber) {
+	const response = await logicServer.get(`/block/${blockNumber}`);
+	const data = response.data || {};
+	const blockHash = data.block_hash || data.hash;
+	if (!blockHash) {
+		throw new Error(`Logic server returned no hash for block ${blockNumber}`);
+	}
+	return {
+		block_number: blockNumber,
+		block_hash: blockHash,
+		parent_hash: data.parent_hash || data.parentHash || null,
+		block_timestamp: toUnixSeconds(data.block_timestamp ?? data.timestamp),
+	};
+}
+
+async function fetchBlockTraces(blockNumber) {
+	const response = await logicServer.get(`/trace_block/${blockNumber}`);
+	return canonicalizeTraces(response.data || []).map(trace => ({
+		trace_id: trace.trace_id,
+		tx_hash: trace.tx_hash,
+		block_number: blockNumber,
+		from_addr: trace.from_addr,
+		to_addr: trace.to_addr,
+		storage_addr: trace.storage_addr,
+		value: toDecimal(trace.value),
+		action: trace.action,
+		call_data: toBytes(trace.call_data),
+	}));
+}
+
+// A re-ingested block stays finalized unless its hash changed
+async function storeBlocks(client, blocks) {
+	const query = `
+		INSERT INTO blocks (block_number, block_hash, parent_hash, block_timestamp)
+		SELECT number, hash, parent, to_timestamp(ts) AT TIME ZONE 'UTC'
+		FROM unnest($1::bigint[], $2::varchar[], $3::varchar[], $4::bigint[]) AS b(number, hash, parent, ts)
+		ON CONFLICT (block_number) DO UPDATE SET
+			block_hash = EXCLUDED.block_hash,
+			parent_hash = EXCLUDED.parent_hash,
+			block_timestamp = EXCLUDED.block_timestamp,
+			finalized = blocks.finalized AND blocks.block_hash = EXCLUDED.block_hash
+	`;
+	await client.query(query, [
+		blocks.map(block => block.block_number),
+		blocks.map(block => block.block_hash),
+		blocks.map(block => block.parent_hash),
+		blocks.map(block => block.block_timestamp),
+	]);
+}
+
+// Replaces all traces of the given blocks
+async function storeTraces(client, blockNumbers, traces) {
+	await client.query('DELETE FROM traces WHERE block_number = ANY($1)', [blockNumbers]);
+	if (traces.length === 0) return;
+
+	const query = `
+		INSERT INTO traces (trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action, call_data)
+		SELECT * FROM unnest(
+			$1::varchar[], $2::varchar[], $3::bigint[], $4::varchar[], $5::varchar[],
+			$6::varchar[], $7::varchar[], $8::varchar[], $9::bytea[]
+		)
+		ON CONFLICT (trace_id) DO UPDATE SET
+			tx_hash = EXCLUDED.tx_hash,
+			block_number = EXCLUDED.block_number,
+			from_addr = EXCLUDED.from_addr,
+			to_addr = EXCLUDED.to_addr,
+			storage_addr = EXCLUDED.storage_addr,
+			value = EXCLUDED.value,
+			action = EXCLUDED.action,
+			call_data = EXCLUDED.call_data
+	`;
+	const column = name => traces.map(trace => trace[name]);
+	await client.query(query, [
+		column('trace_id'),
+		column('tx_hash'),
+		column('block_number'),
+		column('from_addr'),
+		column('to_addr'),
+		column('storage_addr'),
+		column('value'),
+		column('action'),
+		column('call_data'),
+	]);
+}
+
+/**
+ * Fetches blocks `from`..`to` from the logic server and stores them in one
+ * transaction. `onCommit(client)` runs inside the same transaction so
+ * progress markers move atomically with the data. Fails if the fetched blocks
+ * don't form a chain starting at `expectedParent` (the stored hash of block
+ * `from - 1`), which means a reorg happened while fetching.
+ */
+async function ingestBatch(from, to, onCommit, { expectedParent } = {}) {
+	const blocks = [];
+	const traces = [];
+	for (let blockNumber = from; blockNumber <= to; blockNumber++) {
+		const block = await fetchBlock(blockNumber);
+		const parent = blocks.length > 0 ? blocks[blocks.length - 1].block_hash : expectedParent;
+		if (parent && block.parent_hash && block.parent_hash !== parent) {
+			// The chain moved under us, the caller re-checks for a reorg and retries
+			throw new Error(`Block ${blockNumber} does not extend ${parent}`);
+		}
+		blocks.push(block);
+		traces.push(...await fetchBlockTraces(blockNumber));
+	}
+
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		await storeBlocks(client, blocks);
+		await storeTraces(client, blocks.map(block => block.block_number), traces);
+		await onCommit(client);
+		await client.query('COMMIT');
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+
+	console.log(`Ingested blocks ${from}-${to} (${traces.length} traces)`);
+}
+
+async function getCheckpoint() {
+	const result = await pool.query('SELECT last_block FROM ingestion_state WHERE name = $1', [CHECKPOINT_NAME]);
+	return result.rows.length > 0 ? Number(result.rows[0].last_block) : null;
+}
+
+async function saveCheckpoint(client, lastBlock) {
+	const query = `
+		INSERT INTO ingestion_state (name, last_block, updated_at)
+		VALUES ($1, $2, NOW())
+		ON CONFLICT (name) DO UPDATE SET last_block = EXCLUDED.last_block, updated_at = NOW()
+	`;
+	await client.query(query, [CHECKPOINT_NAME, lastBlock]);
+}
+
+// Stored { block_hash, finalized } of `blockNumber`, or null if it isn't stored
+async function getStoredBlock(blockNumber) {
+	const result = await pool.query('SELECT block_hash, finalized FROM blocks WHERE block_number = $1', [blockNumber]);
+	return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+async function getStoredHash(blockNumber) {
+	const block = await getStoredBlock(blockNumber);
+	return block ? block.block_hash : null;
+}
+
+// Deletes blocks from `fromBlock` on together with their traces and moves the
+// head checkpoint back to `fromBlock - 1`. Checkpoints of other workers reading
+// the traces table move back only if they already passed the fork.
+async function rollback(fromBlock) {
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		const traces = await client.query('DELETE FROM traces WHERE block_number >= $1', [fromBlock]);
+		const blocks = await client.query('DELETE FROM blocks WHERE block_number >= $1', [fromBlock]);
+		await client.query(
+			'UPDATE ingestion_state SET last_block = $2, updated_at = NOW() WHERE name = $1 OR last_block >= $3',
+			[CHECKPOINT_NAME, fromBlock - 1, fromBlock]
+		);
+		await client.query('COMMIT');
+		console.warn(`Reorg: rolled back ${blocks.rowCount} blocks and ${traces.rowCount} traces from block ${fromBlock}`);
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Compares the stored hash of the checkpoint block with the canonical chain.
+ * On mismatch walks back to the last common ancestor, however deep, and
+ * rolls everything above it back, so followHead re-ingests the canonical
+ * blocks. Throws FatalIngestionError if the fork replaces a finalized block.
+ */
+async function checkReorg(checkpoint) {
+	let forkPoint = null;
+	for (let blockNumber = checkpoint; ; blockNumber--) {
+		const stored = await getStoredBlock(blockNumber);
+		if (!stored || stored.block_hash === (await fetchBlock(blockNumber)).block_hash) {
+			break;
+		}
+		if (stored.finalized) {
+			throw new FatalIngestionError(
+				`Reorg below finalized block ${blockNumber} (deeper than ${CONFIRMATIONS} confirmations), re-ingest the chain from before the fork`
+			);
+		}
+		forkPoint = blockNumber;
+	}
+
+	if (forkPoint !== null) {
+		await rollback(forkPoint);
+	}
+}
+
+// Marks blocks at least CONFIRMATIONS deep as final
+async function finalizeBlocks(head) {
+	await pool.query(
+		'UPDATE blocks SET finalized = TRUE WHERE finalized = FALSE AND block_number <= $1',
+		[head - CONFIRMATIONS]
+	);
+}
+
+// Ingests new blocks up to the current head. Returns true if anything was ingested.
+async function followHead() {
+	const head = await fetchBlockNumber();
+	let checkpoint = await getCheckpoint();
+	if (checkpoint === null) {
+		// Without a checkpoint start from INGEST_START_BLOCK, or from the current head
+		checkpoint = (START_BLOCK !== undefined ? Number(START_BLOCK) : head) - 1;
+	} else {
+		await checkReorg(checkpoint);
+		checkpoint = await getCheckpoint();
+	}
+
+	let ingested = false;
+	while (!stopping && checkpoint < head) {
+		const to = Math.min(checkpoint + BATCH_SIZE, head);
+		const expectedParent = await getStoredHash(checkpoint);
+		await ingestBatch(checkpoint + 1, to, client => saveCheckpoint(client, to), { expectedParent });
+		checkpoint = to;
+		ingested = true;
+	}
+
+	await finalizeBlocks(head);
+	return ingested;
+}
+
+// Processes the oldest queued backfill. Returns true if one was found.
+async function processBackfill() {
+	const result = await pool.query(`
+		UPDATE ingestion_backfills SET status = 'running', updated_at = NOW()
+		WHERE id = (
+			SELECT id FROM ingestion_backfills
+			WHERE status IN ('pending', 'running')
+			ORDER BY id
+			LIMIT 1
+		)
+		RETURNING id, to_block, next_block
+	`);
+	if (result.rows.length === 0) return false;
+
+	const backfill = result.rows[0];
+	const toBlock = Number(backfill.to_block);
+	let next = Number(backfill.next_block);
+
+	try {
+		while (!stopping && next <= toBlock) {
+			const to = Math.min(next + BATCH_SIZE - 1, toBlock);
+			await ingestBatch(next, to, client => client.query(
+				'UPDATE ingestion_backfills SET next_block = $2, updated_at = NOW() WHERE id = $1',
+				[backfill.id, to + 1]
+			));
+			next = to + 1;
+		}
+		if (next > toBlock) {
+			await pool.query("UPDATE ingestion_backfills SET status = 'done', updated_at = NOW() WHERE id = $1", [backfill.id]);
+		}
+	} catch (error) {
+		await pool.query(
+			"UPDATE ingestion_backfills SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1",
+			[backfill.id, error.message]
+		);
+		throw error;
+	}
+	return true;
+}
+
+async function run() {
+	while (!stopping) {
+		try {
+			const followed = await followHead();
+			const backfilled = await processBackfill();
+			if (!followed && !backfilled) {
+				await sleep(POLL_INTERVAL_MS);
+			}
+		} catch (error) {
+			if (error instanceof FatalIngestionError) {
+				throw error;
+			}
+			console.error('Ingestion error:', error.message);
+			await sleep(POLL_INTERVAL_MS);
+		}
+	}
+}
+
+async function backfill(from, to) {
+	for (let next = from; !stopping && next <= to; next += BATCH_SIZE) {
+		await ingestBatch(next, Math.min(next + BATCH_SIZE - 1, to), async () => {});
+	}
+}
+
+async function main() {
+	const [command, from, to] = process.argv.slice(2);
+
+	process.on('SIGINT', () => { stopping = true; });
+	process.on('SIGTERM', () => { stopping = true; });
+
+	if (command === 'backfill') {
+		if (!/^\d+$/.test(from) || !/^\d+$/.test(to) || Number(from) > Number(to)) {
+			console.error('Usage: node ingest.js backfill <from_block> <to_block>');
+			process.exit(1);
+		}
+		await backfill(Number(from), Number(to));
+	} else {
+		console.log(`Trace ingestion worker started (logic server ${LOGIC_SERVER.url})`);
+		await run();
+	}
+
+	await pool.end();
+}
+
+// Run as a worker; required (by the tests) it only exports the steps
+if (require.main === module) {
+	main().catch(error => {
+		console.error(error);
+		process.exit(1);
+	});
+}
+
+module.exports = {
+	FatalIngestionError,
+	ingestBatch,
+	checkReorg,
+	followHead,
+};
@@ -0,0 +1,262 @@
+// User-defined address labels, tags and watchlists
+
+const LABEL_COLUMNS = 'label_id, address, label, author, source, created_at, updated_at';
+const TAG_COLUMNS = 'tag_id, address, tag, author, source, created_at';
+const WATCHLIST_COLUMNS = 'w.watchlist_id, w.name, w.description, w.author, w.created_at, w.updated_at';
+
+// Tags are matched case-insensitively and stored lowercase without surrounding spaces
+function normalizeTag(tag) {
+	return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Labels and tags of the given addresses, keyed by address:
+ * { labels: [{ label_id, label, author, source }], tags: [{ tag_id, tag, author, source }] }.
+ * Addresses without any get empty arrays.
+ */
+async function fetchLabels(db, addressList) {
+	const labels = {};
+	addressList.forEach(address => {
+		labels[address] = { labels: [], tags: [] };
+	});
+	if (addressList.length === 0) {
+		return labels;
+	}
+
+	const labelResult = await db.query(
+		`SELECT ${LABEL_COLUMNS} FROM address_labels WHERE address = ANY($1) ORDER BY label_id`,
+		[addressList]
+	);
+	labelResult.rows.forEach(row => {
+		labels[row.address].labels.push({ label_id: row.label_id, label: row.label, author: row.author, source: row.source });
+	});
+
+	const tagResult = await db.query(
+		`SELECT ${TAG_COLUMNS} FROM address_tags WHERE address = ANY($1) ORDER BY tag`,
+		[addressList]
+	);
+	tagResult.rows.forEach(row => {
+		labels[row.address].tags.push({ tag_id: row.tag_id, tag: row.tag, author: row.author, source: row.source });
+	});
+
+	return labels;
+}
+
+async function createLabel(db, { address, label, author, source }) {
+	const result = await db.query(
+		`INSERT INTO address_labels (address, label, author, source) VALUES ($1, $2, $3, $4) RETURNING ${LABEL_COLUMNS}`,
+		[address, label, author || null, source || null]
+	);
+	return result.rows[0];
+}
+
+// Updates the given fields of a label; resolves to null if it doesn't exist
+async function updateLabel(db, labelId, fields) {
+	const updates = [];
+	const params = [labelId];
+	['label', 'author', 'source'].forEach(field => {
+		if (fields[field] !== undefined) {
+			params.push(fields[field]);
+			updates.push(`${field} = $${params.length}`);
+		}
+	});
+
+	const result = await db.query(
+		`UPDATE address_labels SET ${updates.join(', ')}, updated_at = NOW() WHERE label_id = $1 RETURNING ${LABEL_COLUMNS}`,
+		params
+	);
+	return result.rows[0] || null;
+}
+
+async function deleteLabel(db, labelId) {
+	const result = await db.query(`DELETE FROM address_labels WHERE label_id = $1 RETURNING ${LABEL_COLUMNS}`, [labelId]);
+	return result.rows[0] || null;
+}
+
+/**
+ * Adds `tag` to `address`. Tagging an address twice keeps the original
+ * author and source. Returns { tag, created }.
+ */
+async function addTag(db, { address, tag, author, source }) {
+	const inserted = await db.query(
+		`INSERT INTO address_tags (address, tag, author, source) VALUES ($1, $2, $3, $4)
+		ON CONFLICT (address, tag) DO NOTHING
+		RETURNING ${TAG_COLUMNS}`,
+		[address, normalizeTag(tag), author || null, source || null]
+	);
+	if (inserted.rows.length > 0) {
+		return { tag: inserted.rows[0], created: true };
+	}
+
+	const existing = await db.query(`SELECT ${TAG_COLUMNS} FROM address_tags WHERE address = $1 AND tag = $2`, [address, normalizeTag(tag)]);
+	return { tag: existing.rows[0], created: false };
+}
+
+async function removeTag(db, address, tag) {
+	const result = await db.query(
+		`DELETE FROM address_tags WHERE address = $1 AND tag = $2 RETURNING ${TAG_COLUMNS}`,
+		[address, normalizeTag(tag)]
+	);
+	return result.rows[0] || null;
+}
+
+// Every tag in use with the number of addresses carrying it
+async function listTags(db) {
+	const result = await db.query('SELECT tag, COUNT(*)::int AS address_count FROM address_tags GROUP BY tag ORDER BY tag');
+	return result.rows;
+}
+
+/**
+ * Addresses carrying every one of `tags`, with their contract name and
+ * protocol. Returns at most `limit` rows ordered by address.
+ */
+async function searchByTags(db, tags, limit) {
+	const query = `
+		SELECT t.address, a.contract_name, a.protocol_id, p.protocol_name, array_agg(t.tag ORDER BY t.tag) AS tags
+		FROM address_tags t
+		LEFT JOIN addresses a ON a.address = t.address
+		LEFT JOIN protocols p ON p.protocol_id = a.protocol_id
+		WHERE t.tag = ANY($1)
+		GROUP BY t.address, a.contract_name, a.protocol_id, p.protocol_name
+		HAVING COUNT(DISTINCT t.tag) = $2
+		ORDER BY t.address
+		LIMIT $3
+	`;
+	const normalized = [...new Set(tags.map(normalizeTag))];
+	const result = await db.query(query, [normalized, normalized.length, limit]);
+	return result.rows;
+}
+
+async function listWatchlists(db) {
+	const query = `
+		SELECT ${WATCHLIST_COLUMNS}, COUNT(wa.address)::int AS address_count
+		FROM watchlists w
+		LEFT JOIN watchlist_addresses wa ON wa.watchlist_id = w.watchlist_id
+		GROUP BY w.watchlist_id
+		ORDER BY w.name
+	`;
+	const result = await db.query(query);
+	return result.rows;
+}
+
+// Watchlist with its addresses, or null if it doesn't exist
+async function findWatchlist(db, watchlistId) {
+	const result = await db.query(`SELECT ${WATCHLIST_COLUMNS} FROM watchlists w WHERE w.watchlist_id = $1`, [watchlistId]);
+	if (result.rows.length === 0) {
+		return null;
+	}
+
+	const addressResult = await db.query(
+		'SELECT address, note, added_at FROM watchlist_addresses WHERE watchlist_id = $1 ORDER BY added_at, address',
+		[watchlistId]
+	);
+	return { ...result.rows[0], addresses: addressResult.rows };
+}
+
+async function findWatchlistByName(db, name) {
+	const result = await db.query(`SELECT ${WATCHLIST_COLUMNS} FROM watchlists w WHERE w.name = $1`, [name]);
+	return result.rows[0] || null;
+}
+
+/**
+ * Adds addresses ({ address, note }) to a watchlist. Addresses already on it
+ * get their note replaced when a new one is given. Returns the number of
+ * addresses written.
+ */
+async function addWatchlistAddresses(db, watchlistId, entries) {
+	if (entries.length === 0) {
+		return 0;
+	}
+
+	const query = `
+		INSERT INTO watchlist_addresses (watchlist_id, address, note)
+		SELECT $1, entry.address, entry.note
+		FROM unnest($2::varchar[], $3::text[]) AS entry(address, note)
+		ON CONFLICT (watchlist_id, address) DO UPDATE SET
+			note = COALESCE(EXCLUDED.note, watchlist_addresses.note)
+	`;
+	const result = await db.query(query, [
+		watchlistId,
+		entries.map(entry => entry.address),
+		entries.map(entry => entry.note || null),
+	]);
+	await db.query('UPDATE watchlists SET updated_at = NOW() WHERE watchlist_id = $1', [watchlistId]);
+	return result.rowCount;
+}
+
+async function removeWatchlistAddress(db, watchlistId, address) {
+	const result = await db.query('DELETE FROM watchlist_addresses WHERE watchlist_id = $1 AND address = $2', [watchlistId, address]);
+	if (result.rowCount > 0) {
+		await db.query('UPDATE watchlists SET updated_at = NOW() WHERE watchlist_id = $1', [watchlistId]);
+	}
+	return result.rowCount > 0;
+}
+
+// Creates a watchlist with its initial addresses in one transaction
+async function createWatchlist(pool, { name, description, author, addresses }) {
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		const result = await client.query(
+			'INSERT INTO watchlists (name, description, author) VALUES ($1, $2, $3) RETURNING watchlist_id',
+			[name, description || null, author || null]
+		);
+		const watchlistId = result.rows[0].watchlist_id;
+		await addWatchlistAddresses(client, watchlistId, addresses);
+		await client.query('COMMIT');
+		return watchlistId;
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+// Updates name and/or description; resolves to false if the watchlist doesn't exist
+async function updateWatchlist(db, watchlistId, { name, description }) {
+	const updates = [];
+	const params = [watchlistId];
+	if (name !== undefined) {
+		params.push(name);
+		updates.push(`name = $${params.length}`);
+	}
+	if (description !== undefined) {
+		params.push(description);
+		updates.push(`description = $${params.length}`);
+	}
+
+	const result = await db.query(`UPDATE watchlists SET ${updates.join(', ')}, updated_at = NOW() WHERE watchlist_id = $1`, params);
+	return result.rowCount > 0;
+}
+
+// True for the unique violation raised when a concurrent request took the watchlist name first
+function isWatchlistNameTaken(error) {
+	return error.code === '23505' && error.constraint === 'watchlists_name_key';
+}
+
+async function deleteWatchlist(db, watchlistId) {
+	const result = await db.query('DELETE FROM watchlists WHERE watchlist_id = $1', [watchlistId]);
+	return result.rowCount > 0;
+}
+
+module.exports = {
+	normalizeTag,
+	fetchLabels,
+	createLabel,
+	updateLabel,
+	deleteLabel,
+	addTag,
+	removeTag,
+	listTags,
+	searchByTags,
+	listWatchlists,
+	findWatchlist,
+	findWatchlistByName,
+	addWatchlistAddresses,
+	removeWatchlistAddress,
+	createWatchlist,
+	updateWatchlist,
+	isWatchlistNameTaken,
+	deleteWatchlist,
+};
@@ -0,0 +1,48 @@
+// Watchlist alert worker: evaluates alert rules against newly ingested
+// traces and delivers the resulting alerts to their webhooks.
+//
+//   node notify.js
+const pool = require('./db');
+const { evaluateNewBlocks, deliverPending } = require('./alerts');
+
+const BATCH_SIZE = Number(process.env.ALERT_BATCH_SIZE) || 100;
+const DELIVERY_BATCH_SIZE = Number(process.env.WEBHOOK_BATCH_SIZE) || 20;
+const POLL_INTERVAL_MS = Number(process.env.ALERT_POLL_INTERVAL_MS) || 5000;
+
+let stopping = false;
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function run() {
+	while (!stopping) {
+		try {
+			const evaluated = await evaluateNewBlocks(pool, BATCH_SIZE);
+			const delivered = await deliverPending(pool, DELIVERY_BATCH_SIZE);
+			if (delivered > 0) {
+				console.log(`Delivered ${delivered} webhook calls`);
+			}
+			if (evaluated === 0 && delivered === 0) {
+				await sleep(POLL_INTERVAL_MS);
+			}
+		} catch (error) {
+			console.error('Alert worker error:', error.message);
+			await sleep(POLL_INTERVAL_MS);
+		}
+	}
+}
+
+async function main() {
+	process.on('SIGINT', () => { stopping = true; });
+	process.on('SIGTERM', () => { stopping = true; });
+
+	console.log('Alert worker started');
+	await run();
+	await pool.end();
+}
+
+main().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
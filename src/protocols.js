@@ -0,0 +1,346 @@
+// Protocol maintenance (updates, address assignment, membership suggestions)
+// and protocol-level analytics over the traces table
+const { fetchAddressMetadata } = require('./core');
+
+// Request body fields of the protocol routes and the columns they map to
+const PROTOCOL_FIELDS = {
+	protocolName: 'protocol_name',
+	protocolSymbol: 'protocol_symbol',
+	protocolType: 'protocol_type',
+	mainAddress: 'main_address',
+	description: 'description',
+};
+
+const MAX_SUGGESTIONS = 200;
+// Default number of call volume buckets over the analysed block range
+const VOLUME_BUCKETS = 50;
+// Member-to-member edges listed in the analytics topology; totals cover all of them
+const MAX_TOPOLOGY_EDGES = 1000;
+
+/**
+ * Updates the given fields (request body names) of a protocol. Resolves to
+ * the updated row, or null if the protocol doesn't exist.
+ */
+async function updateProtocol(db, protocolId, fields) {
+	const updates = [];
+	const params = [protocolId];
+	Object.entries(PROTOCOL_FIELDS).forEach(([field, column]) => {
+		if (fields[field] !== undefined) {
+			params.push(fields[field]);
+			updates.push(`${column} = $${params.length}`);
+		}
+	});
+
+	const result = await db.query(`UPDATE protocols SET ${updates.join(', ')} WHERE protocol_id = $1 RETURNING *`, params);
+	return result.rows[0] || null;
+}
+
+/**
+ * Assigns `addresses` to a protocol, moving them away from any other one.
+ * Addresses missing from the addresses table get a bare row and are queued
+ * for enrichment. Returns { assigned, created }.
+ */
+async function assignAddresses(pool, protocolId, addresses) {
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		const created = await client.query(`
+			INSERT INTO addresses (address, protocol_id)
+			SELECT candidate, $1 FROM unnest($2::varchar[]) AS candidate
+			ON CONFLICT (address) DO NOTHING
+			RETURNING address
+		`, [protocolId, addresses]);
+		const createdAddresses = created.rows.map(row => row.address);
+		if (createdAddresses.length > 0) {
+			// The bare rows would otherwise keep enqueueAddresses from ever queueing them
+			await client.query(`
+				INSERT INTO enrichment_queue (address)
+				SELECT candidate FROM unnest($1::varchar[]) AS candidate
+				ON CONFLICT (address) DO NOTHING
+			`, [createdAddresses]);
+		}
+
+		const updated = await client.query(
+			'UPDATE addresses SET protocol_id = $1 WHERE address = ANY($2) AND protocol_id IS DISTINCT FROM $1',
+			[protocolId, addresses]
+		);
+		await client.query('COMMIT');
+		return { assigned: updated.rowCount + createdAddresses.length, created: createdAddresses };
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+// Detaches `addresses` from the protocol; returns the number of addresses detached
+async function unassignAddresses(db, protocolId, addresses) {
+	const result = await db.query(
+		'UPDATE addresses SET protocol_id = NULL WHERE protocol_id = $1 AND address = ANY($2)',
+		[protocolId, addresses]
+	);
+	return result.rowCount;
+}
+
+function escapeLike(value) {
+	return value.replace(/[\\%_]/g, match => '\\' + match);
+}
+
+/**
+ * Proposes addresses that probably belong to `protocol` but aren't assigned
+ * to it, with the reasons:
+ * - created_by_member: deployed (create/create2) by a member;
+ * - same_deployer: deployed by an address that also deployed a member;
+ * - name_pattern: contract name contains the protocol name or symbol, or
+ *   matches the case-insensitive regular expression `pattern`.
+ * Suggestions with more reasons come first.
+ */
+async function suggestMembers(db, protocol, { pattern } = {}) {
+	const suggestions = new Map();
+	function suggest(row, reason) {
+		if (!suggestions.has(row.address)) {
+			suggestions.set(row.address, {
+				address: row.address,
+				contract_name: row.contract_name,
+				current_protocol_id: row.protocol_id,
+				reasons: [],
+			});
+		}
+		suggestions.get(row.address).reasons.push(reason);
+	}
+
+	const createdQuery = `
+		SELECT DISTINCT ON (t.to_addr) t.to_addr AS address, t.from_addr AS member, t.tx_hash, t.block_number,
+			a.contract_name, a.protocol_id
+		FROM traces t
+		JOIN addresses m ON m.address = t.from_addr AND m.protocol_id = $1
+		LEFT JOIN addresses a ON a.address = t.to_addr
+		WHERE t.action IN ('create', 'create2') AND a.protocol_id IS DISTINCT FROM $1
+		ORDER BY t.to_addr, t.block_number
+		LIMIT $2
+	`;
+	const created = await db.query(createdQuery, [protocol.protocol_id, MAX_SUGGESTIONS]);
+	created.rows.forEach(row => suggest(row, {
+		type: 'created_by_member',
+		member: row.member,
+		tx_hash: row.tx_hash,
+		block_number: Number(row.block_number),
+	}));
+
+	const siblingsQuery = `
+		SELECT DISTINCT ON (sibling.to_addr) sibling.to_addr AS address, deploy.from_addr AS deployer, deploy.to_addr AS member,
+			a.contract_name, a.protocol_id
+		FROM traces deploy
+		JOIN addresses m ON m.address = deploy.to_addr AND m.protocol_id = $1
+		JOIN traces sibling ON sibling.from_addr = deploy.from_addr AND sibling.action IN ('create', 'create2')
+		LEFT JOIN addresses a ON a.address = sibling.to_addr
+		WHERE deploy.action IN ('create', 'create2') AND a.protocol_id IS DISTINCT FROM $1
+		ORDER BY sibling.to_addr, sibling.block_number
+		LIMIT $2
+	`;
+	const siblings = await db.query(siblingsQuery, [protocol.protocol_id, MAX_SUGGESTIONS]);
+	siblings.rows.forEach(row => suggest(row, { type: 'same_deployer', deployer: row.deployer, member: row.member }));
+
+	const likePatterns = [protocol.protocol_name, protocol.protocol_symbol]
+		.filter(value => value && value.length >= 3)
+		.map(value => `%${escapeLike(value)}%`);
+	if (likePatterns.length > 0 || pattern) {
+		const nameQuery = `
+			SELECT address, contract_name, protocol_id
+			FROM addresses
+			WHERE protocol_id IS DISTINCT FROM $1
+			AND (contract_name ILIKE ANY($2) OR ($3::text IS NOT NULL AND contract_name ~* $3))
+			ORDER BY contract_name, address
+			LIMIT $4
+		`;
+		const named = await db.query(nameQuery, [protocol.protocol_id, likePatterns, pattern || null, MAX_SUGGESTIONS]);
+		named.rows.forEach(row => suggest(row, { type: 'name_pattern', contract_name: row.contract_name }));
+	}
+
+	return [...suggestions.values()]
+		.sort((a, b) => b.reasons.length - a.reasons.length || a.address.localeCompare(b.address))
+		.slice(0, MAX_SUGGESTIONS);
+}
+
+// Sums of the edges in `classified` (see protocolAnalytics) by counterparty, busiest first
+function counterpartiesSql(incoming) {
+	return `
+		SELECT COALESCE(json_agg(top ORDER BY top.call_count DESC, top.address), '[]') FROM (
+			SELECT address, call_count, total_value::text AS total_value, members
+			FROM counterparties
+			WHERE incoming = ${incoming}
+			ORDER BY call_count DESC, address
+			LIMIT $2
+		) top
+	`;
+}
+
+/**
+ * Protocol overview from the traces of its member addresses, optionally
+ * limited to a block range:
+ * - top_callers / top_callees: external addresses calling into, or called
+ *   by, the members, busiest first (at most `limit` each);
+ * - interacting_protocols: other protocols those external addresses belong
+ *   to, with call counts in both directions (at most `limit`);
+ * - volume: calls touching members per bucket of `bucketSize` blocks
+ *   (by default the range split into VOLUME_BUCKETS);
+ * - topology: members with their internal call counts and the busiest
+ *   MAX_TOPOLOGY_EDGES aggregated calls between them.
+ * Edges are built as in fetchNeighborEdges (delegate calls start at
+ * storage_addr) and aggregated in the database, so the response stays
+ * bounded however many traces the members have.
+ * metadata covers every address returned, in the /api/trace shape.
+ */
+async function protocolAnalytics(pool, protocol, { fromBlock, toBlock, bucketSize, limit = 20 } = {}) {
+	const membersResult = await pool.query('SELECT address FROM addresses WHERE protocol_id = $1 ORDER BY address', [protocol.protocol_id]);
+	const members = membersResult.rows.map(row => row.address);
+
+	const params = [members, limit, MAX_TOPOLOGY_EDGES];
+	const blockConditions = [];
+	if (fromBlock !== undefined) {
+		params.push(fromBlock);
+		blockConditions.push(`AND block_number >= $${params.length}`);
+	}
+	if (toBlock !== undefined) {
+		params.push(toBlock);
+		blockConditions.push(`AND block_number <= $${params.length}`);
+	}
+
+	const analyticsResult = await pool.query(`
+		WITH edges AS (
+			SELECT from_addr AS source, to_addr AS target, action,
+				COUNT(*) AS call_count, COALESCE(SUM(value::numeric), 0) AS total_value,
+				MIN(block_number) AS first_block, MAX(block_number) AS last_block
+			FROM traces
+			WHERE action IN ('call', 'create', 'create2')
+			AND (from_addr = ANY($1) OR to_addr = ANY($1))
+			${blockConditions.join(' ')}
+			GROUP BY from_addr, to_addr, action
+			UNION ALL
+			SELECT storage_addr AS source, to_addr AS target, action,
+				COUNT(*) AS call_count, COALESCE(SUM(value::numeric), 0) AS total_value,
+				MIN(block_number) AS first_block, MAX(block_number) AS last_block
+			FROM traces
+			WHERE action = 'delegate_call'
+			AND (storage_addr = ANY($1) OR to_addr = ANY($1))
+			${blockConditions.join(' ')}
+			GROUP BY storage_addr, to_addr, action
+		), classified AS (
+			SELECT edges.*, source = ANY($1) AS from_member, target = ANY($1) AS to_member
+			FROM edges
+		), counterparties AS (
+			-- External addresses; incoming ones call into the members
+			SELECT CASE WHEN to_member THEN source ELSE target END AS address, to_member AS incoming,
+				SUM(call_count) AS call_count, SUM(total_value) AS total_value,
+				COUNT(DISTINCT CASE WHEN to_member THEN target ELSE source END) AS members
+			FROM classified
+			WHERE from_member <> to_member
+			GROUP BY 1, 2
+		)
+		SELECT
+			(SELECT json_build_object(
+				'internal_calls', COALESCE(SUM(call_count) FILTER (WHERE from_member AND to_member), 0),
+				'incoming_calls', COALESCE(SUM(call_count) FILTER (WHERE to_member AND NOT from_member), 0),
+				'outgoing_calls', COALESCE(SUM(call_count) FILTER (WHERE from_member AND NOT to_member), 0),
+				'internal_edges', COUNT(*) FILTER (WHERE from_member AND to_member),
+				'first_block', MIN(first_block),
+				'last_block', MAX(last_block)
+			) FROM classified) AS totals,
+			(${counterpartiesSql(true)}) AS top_callers,
+			(${counterpartiesSql(false)}) AS top_callees,
+			(SELECT COALESCE(json_agg(top ORDER BY top.incoming_calls + top.outgoing_calls DESC, top.protocol_id), '[]') FROM (
+				SELECT p.protocol_id, p.protocol_name,
+					COALESCE(SUM(c.call_count) FILTER (WHERE c.incoming), 0) AS incoming_calls,
+					COALESCE(SUM(c.call_count) FILTER (WHERE NOT c.incoming), 0) AS outgoing_calls,
+					COUNT(DISTINCT c.address) AS counterparties
+				FROM counterparties c
+				JOIN addresses a ON a.address = c.address
+				JOIN protocols p ON p.protocol_id = a.protocol_id
+				GROUP BY p.protocol_id, p.protocol_name
+				ORDER BY SUM(c.call_count) DESC, p.protocol_id
+				LIMIT $2
+			) top) AS interacting_protocols,
+			(SELECT COALESCE(json_agg(node ORDER BY node.address), '[]') FROM (
+				SELECT m.address,
+					COALESCE(SUM(e.call_count) FILTER (WHERE e.target = m.address), 0) AS internal_calls_in,
+					COALESCE(SUM(e.call_count) FILTER (WHERE e.source = m.address), 0) AS internal_calls_out
+				FROM unnest($1::text[]) AS m(address)
+				LEFT JOIN classified e ON e.from_member AND e.to_member AND m.address IN (e.source, e.target)
+				GROUP BY m.address
+			) node) AS topology_nodes,
+			(SELECT COALESCE(json_agg(edge ORDER BY edge.call_count DESC, edge.source, edge.target, edge.action), '[]') FROM (
+				SELECT source, target, action, call_count, total_value::text AS total_value, first_block, last_block
+				FROM classified
+				WHERE from_member AND to_member
+				ORDER BY call_count DESC, source, target, action
+				LIMIT $3
+			) edge) AS topology_edges
+	`, params);
+	const { totals, top_callers: topCallers, top_callees: topCallees, interacting_protocols: interactingProtocols, topology_nodes: topologyNodes, topology_edges: topologyEdges } = analyticsResult.rows[0];
+
+	// Call volume per block bucket
+	let volume = { bucket_size: null, buckets: [] };
+	if (totals.first_block !== null) {
+		const firstBlock = fromBlock ?? totals.first_block;
+		const lastBlock = toBlock ?? totals.last_block;
+		const size = bucketSize || Math.max(1, Math.ceil((lastBlock - firstBlock + 1) / VOLUME_BUCKETS));
+		const volumeResult = await pool.query(`
+			SELECT $2::bigint + ((block_number - $2) / $4) * $4 AS bucket_start,
+				COUNT(*)::int AS call_count, COUNT(DISTINCT tx_hash)::int AS tx_count,
+				COALESCE(SUM(value::numeric), 0)::text AS total_value
+			FROM traces
+			WHERE (from_addr = ANY($1) OR to_addr = ANY($1) OR storage_addr = ANY($1))
+			AND block_number BETWEEN $2 AND $3
+			GROUP BY bucket_start
+			ORDER BY bucket_start
+		`, [members, firstBlock, lastBlock, size]);
+		volume = {
+			bucket_size: size,
+			buckets: volumeResult.rows.map(row => ({
+				from_block: Number(row.bucket_start),
+				to_block: Math.min(Number(row.bucket_start) + size - 1, lastBlock),
+				call_count: row.call_count,
+				tx_count: row.tx_count,
+				total_value: row.total_value,
+			})),
+		};
+	}
+
+	const metadata = await fetchAddressMetadata(pool, [...new Set([
+		...members,
+		...topCallers.map(entry => entry.address),
+		...topCallees.map(entry => entry.address),
+	])]);
+
+	return {
+		protocol,
+		member_count: members.length,
+		from_block: fromBlock ?? null,
+		to_block: toBlock ?? null,
+		totals: {
+			internal_calls: totals.internal_calls,
+			incoming_calls: totals.incoming_calls,
+			outgoing_calls: totals.outgoing_calls,
+		},
+		top_callers: topCallers,
+		top_callees: topCallees,
+		interacting_protocols: interactingProtocols,
+		volume,
+		topology: {
+			nodes: topologyNodes,
+			edges: topologyEdges,
+			truncated: totals.internal_edges > topologyEdges.length,
+		},
+		metadata,
+	};
+}
+
+module.exports = {
+	PROTOCOL_FIELDS,
+	updateProtocol,
+	assignAddresses,
+	unassignAddresses,
+	suggestMembers,
+	protocolAnalytics,
+};
@@ -0,0 +1,132 @@
+// Address metadata providers used by the enrichment worker.
+//
+// A provider is an object with `name` and `async fetchAddress(address)`
+// resolving to the columns of the addresses table. Errors are retried by
+// the worker.
+const crypto = require('crypto');
+const { etherscan } = require('./upstream');
+
+const NOT_VERIFIED = 'Contract source code not verified';
+
+// Spaces calls so that at most `requestsPerSecond` start every second
+function createRateLimiter(requestsPerSecond) {
+	const interval = 1000 / requestsPerSecond;
+	let next = 0;
+	return async function wait() {
+		const now = Date.now();
+		const start = Math.max(now, next);
+		next = start + interval;
+		if (start > now) {
+			await new Promise(resolve => setTimeout(resolve, start - now));
+		}
+	};
+}
+
+// Calls go through the shared upstream client (ETHERSCAN in config.js)
+function createEtherscanProvider({ apiKey, requestsPerSecond = 4, client = etherscan }) {
+	if (!apiKey) {
+		throw new Error('ETHERSCAN_API_KEY is required for the etherscan enrichment provider');
+	}
+	const wait = createRateLimiter(requestsPerSecond);
+
+	async function request(params) {
+		await wait();
+		const response = await client.get('', { params: { ...params, apikey: apiKey } });
+		const data = response.data;
+		// Etherscan reports rate limiting and key problems with a 200 and status "0"
+		if (data.status === '0' && typeof data.result === 'string' && !data.result.startsWith('0x')) {
+			throw new Error(`Etherscan error: ${data.result}`);
+		}
+		return data.result;
+	}
+
+	return {
+		name: 'etherscan',
+
+		async fetchAddress(address) {
+			const bytecode = await request({ module: 'proxy', action: 'eth_getCode', address, tag: 'latest' });
+			if (!bytecode || bytecode === '0x') {
+				// EOA
+				return { address, is_contract: false };
+			}
+
+			const [result] = await request({ module: 'contract', action: 'getsourcecode', address });
+			const verified = result.ABI !== NOT_VERIFIED;
+			return {
+				address,
+				is_contract: true,
+				is_proxy: result.Proxy === '1',
+				is_verified: verified,
+				contract_bytecode: Buffer.from(bytecode.slice(2), 'hex'),
+				contract_source_code: result.SourceCode || null,
+				contract_abi: verified ? result.ABI : null,
+				contract_name: result.ContractName || null,
+				compiler_version: result.CompilerVersion || null,
+				constructor_arguments: result.ConstructorArguments || null,
+				license_type: result.LicenseType || null,
+			};
+		},
+	};
+}
+
+/**
+ * Offline provider returning deterministic metadata derived from the address:
+ * addresses whose last byte is even are verified contracts with a small ABI,
+ * the rest are EOAs. Addresses listed in `failures` throw, to exercise retries.
+ */
+function createMockProvider({ failures = [] } = {}) {
+	const failing = new Set(failures.map(address => address.toLowerCase()));
+
+	return {
+		name: 'mock',
+
+		async fetchAddress(address) {
+			if (failing.has(address.toLowerCase())) {
+				throw new Error(`Mock provider failure for ${address}`);
+			}
+			if (parseInt(address.slice(-2), 16) % 2 === 1) {
+				return { address, is_contract: false };
+			}
+			const suffix = address.slice(-4);
+			return {
+				address,
+				is_contract: true,
+				is_proxy: false,
+				is_verified: true,
+				contract_bytecode: crypto.createHash('sha256').update(address).digest(),
+				contract_source_code: `contract Mock${suffix} {}`,
+				contract_abi: JSON.stringify([
+					{ type: 'function', name: 'transfer', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+				]),
+				contract_name: `Mock${suffix}`,
+				compiler_version: 'v0.8.20+commit.a1b79de6',
+				constructor_arguments: null,
+				license_type: 'MIT',
+			};
+		},
+	};
+}
+
+// Provider selected by ENRICHMENT_PROVIDER (etherscan by default)
+function createProvider(name = process.env.ENRICHMENT_PROVIDER || 'etherscan') {
+	switch (name) {
+		case 'etherscan':
+			return createEtherscanProvider({
+				apiKey: process.env.ETHERSCAN_API_KEY,
+				requestsPerSecond: Number(process.env.ENRICHMENT_RATE_LIMIT) || 4,
+			});
+		case 'mock':
+			return createMockProvider({
+				failures: (process.env.ENRICHMENT_MOCK_FAILURES || '').split(',').filter(Boolean),
+			});
+		default:
+			throw new Error(`Unknown enrichment provider: ${name}`);
+	}
+}
+
+module.exports = {
+	createRateLimiter,
+	createEtherscanProvider,
+	createMockProvider,
+	createProvider,
+};
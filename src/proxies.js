@@ -0,0 +1,241 @@
+// Proxy contract resolution and proxy -> implementation history
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+// bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+// keccak256('PROXIABLE')
+const EIP1822_PROXIABLE_SLOT = '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7';
+// implementation()
+const IMPLEMENTATION_SELECTOR = '0x5c60da1b';
+// EIP-1167 minimal proxy runtime code around the 20-byte implementation address
+const MINIMAL_PROXY_REGEX = /^(?:0x)?363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Address stored in the low 20 bytes of a 32-byte word, or null when empty
+function wordToAddress(word) {
+	if (!word || word.length < 42) return null;
+	const address = '0x' + word.slice(-40).toLowerCase();
+	return address === ZERO_ADDRESS ? null : address;
+}
+
+function toHex(bytecode) {
+	if (!bytecode) return null;
+	return Buffer.isBuffer(bytecode) ? bytecode.toString('hex') : String(bytecode);
+}
+
+/**
+ * Determines the current implementation of `address`. Minimal proxies are
+ * recognized from `bytecode` alone; EIP-1967 (direct and beacon) and
+ * EIP-1822 need `rpc` to read storage. Returns { proxy_type, implementation }
+ * or null if the address is not a recognized proxy.
+ */
+async function resolveImplementation(rpc, address, bytecode) {
+	const code = toHex(bytecode) || (rpc ? await rpc.getCode(address) : null);
+	const minimal = code && code.match(MINIMAL_PROXY_REGEX);
+	if (minimal) {
+		return { proxy_type: 'eip1167', implementation: '0x' + minimal[1].toLowerCase() };
+	}
+	if (!rpc) {
+		return null;
+	}
+
+	const implementation = wordToAddress(await rpc.getStorageAt(address, EIP1967_IMPLEMENTATION_SLOT));
+	if (implementation) {
+		return { proxy_type: 'eip1967', implementation };
+	}
+
+	const beacon = wordToAddress(await rpc.getStorageAt(address, EIP1967_BEACON_SLOT));
+	if (beacon) {
+		const beaconImplementation = wordToAddress(await rpc.ethCall(beacon, IMPLEMENTATION_SELECTOR));
+		if (beaconImplementation) {
+			return { proxy_type: 'beacon', implementation: beaconImplementation, beacon };
+		}
+	}
+
+	const proxiable = wordToAddress(await rpc.getStorageAt(address, EIP1822_PROXIABLE_SLOT));
+	if (proxiable) {
+		return { proxy_type: 'eip1822', implementation: proxiable };
+	}
+
+	return null;
+}
+
+/**
+ * Refreshes the implementation history of `address`, if it resolves as a
+ * proxy or is marked as one (other contracts delegate_call into libraries):
+ * - every uninterrupted run of delegate calls into one implementation
+ *   (traces table) is a period row spanning the blocks it was seen in, so a
+ *   proxy returning to an earlier implementation gets a new row;
+ * - the implementation resolved from code/storage becomes the open period
+ *   (to_block NULL), continuing its latest observed run if that is the most
+ *   recent one, and any other open period is closed.
+ * Marks the address as a proxy in the addresses table when one is found.
+ * Returns { resolved, changed } where changed is true if the current
+ * implementation differs from the previously stored one.
+ */
+async function syncProxy(pool, rpc, address) {
+	const addressResult = await pool.query('SELECT is_contract, is_proxy, contract_bytecode FROM addresses WHERE address = $1', [address]);
+	if (addressResult.rows.length > 0 && !addressResult.rows[0].is_contract) {
+		// EOAs can't be proxies
+		return { resolved: null, changed: false };
+	}
+	const bytecode = addressResult.rows.length > 0 ? addressResult.rows[0].contract_bytecode : null;
+	const resolved = await resolveImplementation(rpc, address, bytecode);
+	if (!resolved && !(addressResult.rows.length > 0 && addressResult.rows[0].is_proxy)) {
+		return { resolved: null, changed: false };
+	}
+	const head = rpc ? await rpc.blockNumber() : null;
+
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+
+		const previousResult = await client.query(
+			'SELECT implementation_address FROM proxy_implementations WHERE proxy_address = $1 AND to_block IS NULL',
+			[address]
+		);
+		const previous = previousResult.rows.length > 0 ? previousResult.rows[0].implementation_address : null;
+
+		// Implementations observed through delegate calls, one row per run
+		const observedQuery = `
+			INSERT INTO proxy_implementations (proxy_address, implementation_address, proxy_type, from_block, to_block, source)
+			SELECT $1, to_addr, $2, MIN(block_number), MAX(block_number), 'traces'
+			FROM (
+				SELECT to_addr, block_number,
+					ROW_NUMBER() OVER (ORDER BY block_number, trace_id)
+						- ROW_NUMBER() OVER (PARTITION BY to_addr ORDER BY block_number, trace_id) AS run
+				FROM traces
+				WHERE action = 'delegate_call' AND storage_addr = $1 AND to_addr <> $1
+			) calls
+			GROUP BY to_addr, run
+			ON CONFLICT (proxy_address, implementation_address, from_block) DO UPDATE SET
+				to_block = CASE WHEN proxy_implementations.to_block IS NULL THEN NULL
+					ELSE GREATEST(proxy_implementations.to_block, EXCLUDED.to_block) END,
+				updated_at = NOW()
+			RETURNING implementation_address, from_block
+		`;
+		const observed = await client.query(observedQuery, [address, resolved ? resolved.proxy_type : 'delegate']);
+
+		if (resolved) {
+			// The current period starts with the open row or the latest run into the resolved implementation, whichever is earlier
+			const latestRun = observed.rows.reduce((latest, row) => (!latest || Number(row.from_block) > Number(latest.from_block) ? row : latest), null);
+			const currentRun = latestRun && latestRun.implementation_address === resolved.implementation ? latestRun : null;
+			const currentResult = await client.query(
+				'SELECT from_block FROM proxy_implementations WHERE proxy_address = $1 AND implementation_address = $2 AND to_block IS NULL',
+				[address, resolved.implementation]
+			);
+			const current = currentResult.rows[0];
+			let fromBlock = head;
+			if (current && (!currentRun || Number(current.from_block) <= Number(currentRun.from_block))) {
+				fromBlock = current.from_block;
+			} else if (currentRun) {
+				fromBlock = currentRun.from_block;
+			}
+
+			// Rows of the resolved implementation and open rows starting within the current period are part of it
+			await client.query(`
+				DELETE FROM proxy_implementations
+				WHERE proxy_address = $1 AND from_block >= $3
+				AND (implementation_address = $2 OR to_block IS NULL)
+				AND (implementation_address, from_block) IS DISTINCT FROM ($2, $3::bigint)
+			`, [address, resolved.implementation, fromBlock]);
+
+			// Close whatever was current before
+			await client.query(`
+				UPDATE proxy_implementations
+				SET to_block = GREATEST(from_block, COALESCE(
+					(SELECT MAX(block_number) FROM traces
+						WHERE action = 'delegate_call' AND storage_addr = $1 AND to_addr = implementation_address
+						AND block_number >= COALESCE(from_block, 0) AND block_number < COALESCE($3::bigint, block_number + 1)),
+					$3::bigint - 1,
+					from_block
+				)), updated_at = NOW()
+				WHERE proxy_address = $1 AND to_block IS NULL
+				AND (implementation_address, from_block) IS DISTINCT FROM ($2, $3::bigint)
+			`, [address, resolved.implementation, fromBlock]);
+
+			await client.query(`
+				INSERT INTO proxy_implementations (proxy_address, implementation_address, proxy_type, from_block, to_block, source)
+				VALUES ($1, $2, $3, $4, NULL, 'storage')
+				ON CONFLICT (proxy_address, implementation_address, from_block) DO UPDATE SET
+					proxy_type = EXCLUDED.proxy_type,
+					to_block = NULL,
+					updated_at = NOW()
+			`, [address, resolved.implementation, resolved.proxy_type, fromBlock]);
+
+			await client.query('UPDATE addresses SET is_proxy = TRUE WHERE address = $1', [address]);
+		}
+
+		await client.query('COMMIT');
+		return { resolved, changed: Boolean(resolved && previous && previous !== resolved.implementation) };
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Proxy information for the given addresses, keyed by proxy address:
+ * { proxy_type, implementation (current or null), history (newest first) }.
+ */
+async function fetchProxyInfo(pool, addressList) {
+	const info = {};
+	if (addressList.length === 0) {
+		return info;
+	}
+
+	const query = `
+		SELECT proxy_address, implementation_address, proxy_type, from_block, to_block, source
+		FROM proxy_implementations
+		WHERE proxy_address = ANY($1)
+		ORDER BY proxy_address, to_block DESC NULLS FIRST, from_block DESC NULLS LAST
+	`;
+	const result = await pool.query(query, [addressList]);
+	result.rows.forEach(row => {
+		if (!info[row.proxy_address]) {
+			info[row.proxy_address] = { proxy_type: row.proxy_type, implementation: null, history: [] };
+		}
+		const entry = info[row.proxy_address];
+		if (row.to_block === null) {
+			entry.implementation = row.implementation_address;
+			entry.proxy_type = row.proxy_type;
+		}
+		entry.history.push({
+			implementation: row.implementation_address,
+			proxy_type: row.proxy_type,
+			from_block: row.from_block === null ? null : Number(row.from_block),
+			to_block: row.to_block === null ? null : Number(row.to_block),
+			source: row.source,
+		});
+	});
+	return info;
+}
+
+/**
+ * Merges proxies with their implementations for graph display: in
+ * delegate calls from a known proxy, to_addr is replaced by the proxy and
+ * the original is kept in implementation_addr. Returns the rewritten traces.
+ */
+async function mergeProxyTraces(pool, traces) {
+	const proxies = [...new Set(traces.filter(trace => trace.action === 'delegate_call').map(trace => trace.storage_addr))];
+	const info = await fetchProxyInfo(pool, proxies);
+
+	return traces.map(trace => {
+		const proxy = trace.action === 'delegate_call' && info[trace.storage_addr];
+		if (!proxy || !proxy.history.some(entry => entry.implementation === trace.to_addr)) {
+			return trace;
+		}
+		return { ...trace, to_addr: trace.storage_addr, implementation_addr: trace.to_addr };
+	});
+}
+
+module.exports = {
+	resolveImplementation,
+	syncProxy,
+	fetchProxyInfo,
+	mergeProxyTraces,
+};
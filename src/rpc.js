@@ -0,0 +1,35 @@
+// Minimal Ethereum JSON-RPC client for node queries the logic server doesn't expose
+const { ethNode } = require('./upstream');
+
+/**
+ * Returns a client for the JSON-RPC node behind the upstream client `node`
+ * (ETH_RPC in config.js), or null when no ETH_RPC_URL is configured so
+ * callers can skip on-chain lookups. Every method is a read, so failed
+ * calls are retried.
+ */
+function createRpcClient(node = ethNode) {
+	if (!node) {
+		return null;
+	}
+
+	let id = 0;
+	async function call(method, params) {
+		const response = await node.post('', { jsonrpc: '2.0', id: ++id, method, params }, { idempotent: true });
+		if (response.data.error) {
+			throw new Error(`RPC ${method} failed: ${response.data.error.message}`);
+		}
+		return response.data.result;
+	}
+
+	return {
+		call,
+		blockNumber: async () => Number(await call('eth_blockNumber', [])),
+		getCode: (address, blockTag = 'latest') => call('eth_getCode', [address, blockTag]),
+		getStorageAt: (address, slot, blockTag = 'latest') => call('eth_getStorageAt', [address, slot, blockTag]),
+		ethCall: (to, data, blockTag = 'latest') => call('eth_call', [{ to, data }, blockTag]),
+	};
+}
+
+module.exports = {
+	createRpcClient,
+};
@@ -0,0 +1,394 @@
+// Security checks: results of the scorer behind SECURITY_SERVER_URL, cached
+// in security_check for SECURITY_CHECK_TTL_SECONDS with every run kept in
+// security_check_history.
+const { recordAudit } = require('./audit');
+const { UpstreamError } = require('./upstream');
+
+const TTL_SECONDS = Number(process.env.SECURITY_CHECK_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+function isExpired(row) {
+	return !row.checked_at || Date.now() - new Date(row.checked_at).getTime() >= TTL_SECONDS * 1000;
+}
+
+function formatCheck(row, extra) {
+	return {
+		address: row.address,
+		score: row.score,
+		reports: row.reports,
+		scanner_version: row.scanner_version,
+		checked_at: row.checked_at,
+		expires_at: row.checked_at ? new Date(new Date(row.checked_at).getTime() + TTL_SECONDS * 1000) : null,
+		...extra,
+	};
+}
+
+/**
+ * Creates a checker calling the `securityServer` upstream client with the
+ * address metadata served by the API behind `publicServer`, which is read
+ * with `apiKey`. Upstream failures are thrown as UpstreamError.
+ */
+function createSecurityChecker(pool, { securityServer, publicServer, apiKey }) {
+	/**
+	 * Runs the scorer on `address` and stores the result; throws if the scorer
+	 * fails. `trigger` records why: request, refresh, expired or proxy_upgrade.
+	 * Every run is written to the audit log under `actor`.
+	 */
+	async function runCheck(address, trigger, actor = `system:${trigger}`) {
+		let securityResponse;
+		try {
+			const addressMetadata = await publicServer.get(`/api/metadata/address/${address}`, {
+				headers: apiKey ? { 'X-API-Key': apiKey } : {},
+			});
+			securityResponse = await securityServer.post('', addressMetadata.data);
+
+			const { reports, score } = securityResponse.data || {};
+			if (score === undefined || score === null || !reports) {
+				throw new UpstreamError('Security server', 'Security server returned an invalid response');
+			}
+		} catch (error) {
+			recordAudit(pool, {
+				actor,
+				resourceType: 'security_check',
+				resourceId: address,
+				payload: { trigger },
+				outcome: 'failure',
+				error: error.message,
+			}).catch(auditError => console.error('Error writing audit entry:', auditError.message));
+			throw error;
+		}
+
+		const { reports, score } = securityResponse.data;
+		const scannerVersion = securityResponse.data.scanner_version || securityResponse.data.version
+			|| securityResponse.headers['x-scanner-version'] || null;
+
+		const client = await pool.connect();
+		try {
+			await client.query('BEGIN');
+			const previous = await client.query(
+				'SELECT score, reports, scanner_version, checked_at FROM security_check WHERE address = $1 FOR UPDATE',
+				[address]
+			);
+			const result = await client.query(`
+				INSERT INTO security_check (address, score, reports, scanner_version, checked_at)
+				VALUES ($1, $2, $3::jsonb, $4, NOW())
+				ON CONFLICT (address) DO UPDATE SET
+					score = EXCLUDED.score,
+					reports = EXCLUDED.reports,
+					scanner_version = EXCLUDED.scanner_version,
+					checked_at = EXCLUDED.checked_at
+				RETURNING *
+			`, [address, score, JSON.stringify(reports), scannerVersion]);
+			await client.query(`
+				INSERT INTO security_check_history (address, score, reports, scanner_version, trigger, checked_at)
+				VALUES ($1, $2, $3::jsonb, $4, $5, $6)
+			`, [address, score, JSON.stringify(reports), scannerVersion, trigger, result.rows[0].checked_at]);
+			await recordAudit(client, {
+				actor,
+				resourceType: 'security_check',
+				resourceId: address,
+				payload: { trigger },
+				before: previous.rows[0] || null,
+				after: { score, reports, scanner_version: scannerVersion, checked_at: result.rows[0].checked_at },
+				outcome: 'success',
+			});
+			await client.query('COMMIT');
+			return result.rows[0];
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw error;
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Returns the check of `address`, running the scorer when there is none,
+	 * it expired or `refresh` is set. If re-checking an expired result fails
+	 * the old one is returned with stale: true. `actor` is recorded in the
+	 * audit log when the scorer runs. With `scan` false the scorer never
+	 * runs: an expired result is returned as stale and a missing one as null.
+	 */
+	async function getCheck(address, { refresh = false, scan = true, actor } = {}) {
+		const existingResult = await pool.query('SELECT * FROM security_check WHERE address = $1', [address]);
+		const existing = existingResult.rows[0];
+
+		if (existing && !refresh && !isExpired(existing)) {
+			return formatCheck(existing, { cached: true, stale: false });
+		}
+		if (!scan) {
+			return existing ? formatCheck(existing, { cached: true, stale: true }) : null;
+		}
+
+		const trigger = !existing ? 'request' : refresh ? 'refresh' : 'expired';
+		try {
+			return formatCheck(await runCheck(address, trigger, actor), { cached: false, stale: false });
+		} catch (error) {
+			if (existing && !refresh) {
+				console.error(`Re-checking ${address} failed, serving the expired result:`, error.message);
+				return formatCheck(existing, { cached: true, stale: true });
+			}
+			throw error;
+		}
+	}
+
+	// Re-runs the check of `address` if it was ever checked. Returns the new result or null.
+	async function recheck(address, trigger) {
+		const existing = await pool.query('SELECT 1 FROM security_check WHERE address = $1', [address]);
+		if (existing.rows.length === 0) {
+			return null;
+		}
+		return runCheck(address, trigger);
+	}
+
+	return { runCheck, getCheck, recheck };
+}
+
+/**
+ * Check history of `address`, newest first. score_change is the difference
+ * to the previous run and reports_changed tells whether its reports differ.
+ */
+async function fetchCheckHistory(pool, address, limit) {
+	const query = `
+		SELECT score, reports, scanner_version, trigger, checked_at,
+			score - LAG(score) OVER w AS score_change,
+			CASE WHEN LAG(id) OVER w IS NULL THEN NULL
+				ELSE reports IS DISTINCT FROM LAG(reports) OVER w END AS reports_changed
+		FROM security_check_history
+		WHERE address = $1
+		WINDOW w AS (ORDER BY checked_at, id)
+		ORDER BY checked_at DESC, id DESC
+		LIMIT $2
+	`;
+	const result = await pool.query(query, [address, limit]);
+	return result.rows;
+}
+
+/**
+ * Background batch checks. Jobs and their items live in the database so a
+ * restarted server can resume them (resumeJobs); `concurrency` bounds the
+ * number of checks of a job running at once.
+ */
+function createSecurityJobs(pool, checker, { concurrency = 4 } = {}) {
+	const running = new Set();
+
+	/**
+	 * Creates a job for `addresses`. Addresses with a check that hasn't
+	 * expired are marked cached unless `refresh` is set; the rest run in the
+	 * background. Returns the job as getJob does, without results.
+	 */
+	async function createJob({ addresses, refresh = false, snapshotId = null }) {
+		const unique = [...new Set(addresses)];
+
+		const client = await pool.connect();
+		let jobId;
+		try {
+			await client.query('BEGIN');
+			const jobResult = await client.query(
+				'INSERT INTO security_check_jobs (refresh, snapshot_id) VALUES ($1, $2) RETURNING job_id',
+				[refresh, snapshotId]
+			);
+			jobId = jobResult.rows[0].job_id;
+
+			const cached = new Set();
+			if (!refresh) {
+				const existing = await client.query('SELECT address, checked_at FROM security_check WHERE address = ANY($1)', [unique]);
+				existing.rows.filter(row => !isExpired(row)).forEach(row => cached.add(row.address));
+			}
+
+			await client.query(`
+				INSERT INTO security_check_job_items (job_id, address, status)
+				SELECT $1, address, status FROM unnest($2::varchar[], $3::varchar[]) AS item(address, status)
+			`, [jobId, unique, unique.map(address => cached.has(address) ? 'cached' : 'pending')]);
+			if (cached.size === unique.length) {
+				await client.query("UPDATE security_check_jobs SET status = 'done', finished_at = NOW() WHERE job_id = $1", [jobId]);
+			}
+			await client.query('COMMIT');
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw error;
+		} finally {
+			client.release();
+		}
+
+		runInBackground(jobId);
+		return getJob(jobId, { results: false });
+	}
+
+	function runInBackground(jobId) {
+		processJob(jobId).catch(error => {
+			console.error(`Security check job ${jobId} failed:`, error.message);
+		});
+	}
+
+	async function processJob(jobId) {
+		if (running.has(jobId)) return;
+		running.add(jobId);
+		try {
+			const jobResult = await pool.query(
+				"UPDATE security_check_jobs SET status = 'running', updated_at = NOW() WHERE job_id = $1 AND status IN ('pending', 'running') RETURNING refresh",
+				[jobId]
+			);
+			if (jobResult.rows.length === 0) return;
+			const { refresh } = jobResult.rows[0];
+
+			const itemsResult = await pool.query(
+				"SELECT address FROM security_check_job_items WHERE job_id = $1 AND status = 'pending' ORDER BY address",
+				[jobId]
+			);
+			const queue = itemsResult.rows.map(row => row.address);
+
+			async function worker() {
+				while (queue.length > 0) {
+					const address = queue.shift();
+					try {
+						await checker.getCheck(address, { refresh, actor: `job:${jobId}` });
+						await pool.query(
+							"UPDATE security_check_job_items SET status = 'done', error = NULL, updated_at = NOW() WHERE job_id = $1 AND address = $2",
+							[jobId, address]
+						);
+					} catch (error) {
+						await pool.query(
+							"UPDATE security_check_job_items SET status = 'failed', error = $3, updated_at = NOW() WHERE job_id = $1 AND address = $2",
+							[jobId, address, error.message]
+						);
+					}
+				}
+			}
+			await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+			await pool.query(
+				"UPDATE security_check_jobs SET status = 'done', updated_at = NOW(), finished_at = NOW() WHERE job_id = $1",
+				[jobId]
+			);
+		} finally {
+			running.delete(jobId);
+		}
+	}
+
+	// Restarts jobs left unfinished by a previous server process
+	async function resumeJobs() {
+		const result = await pool.query("SELECT job_id FROM security_check_jobs WHERE status IN ('pending', 'running') ORDER BY job_id");
+		result.rows.forEach(row => runInBackground(row.job_id));
+		return result.rows.length;
+	}
+
+	/**
+	 * Job status with item counts by status and, unless `results` is false,
+	 * every address with its item status, error and current check result.
+	 * Resolves to null if the job doesn't exist.
+	 */
+	async function getJob(jobId, { results = true } = {}) {
+		const jobResult = await pool.query(`
+			SELECT j.job_id, j.status, j.refresh, j.snapshot_id, s.name AS snapshot_name, s.version AS snapshot_version,
+				j.created_at, j.updated_at, j.finished_at
+			FROM security_check_jobs j
+			LEFT JOIN snapshots s ON s.id = j.snapshot_id
+			WHERE j.job_id = $1
+		`, [jobId]);
+		if (jobResult.rows.length === 0) {
+			return null;
+		}
+
+		const countsResult = await pool.query(
+			'SELECT status, COUNT(*)::int AS count FROM security_check_job_items WHERE job_id = $1 GROUP BY status',
+			[jobId]
+		);
+		const counts = { pending: 0, cached: 0, done: 0, failed: 0 };
+		countsResult.rows.forEach(row => {
+			counts[row.status] = row.count;
+		});
+		const job = {
+			...jobResult.rows[0],
+			total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+			counts,
+		};
+		if (!results) {
+			return job;
+		}
+
+		const itemsResult = await pool.query(`
+			SELECT i.address, i.status, i.error, c.score, c.reports, c.scanner_version, c.checked_at
+			FROM security_check_job_items i
+			LEFT JOIN security_check c ON c.address = i.address
+			WHERE i.job_id = $1
+			ORDER BY i.address
+		`, [jobId]);
+		return { ...job, results: itemsResult.rows };
+	}
+
+	return { createJob, getJob, resumeJobs };
+}
+
+function reportCount(reports) {
+	if (Array.isArray(reports)) return reports.length;
+	if (reports && typeof reports === 'object') return Object.keys(reports).length;
+	return 0;
+}
+
+function scoreStats(scores) {
+	if (scores.length === 0) {
+		return { min: null, max: null, average: null };
+	}
+	return {
+		min: Math.min(...scores),
+		max: Math.max(...scores),
+		average: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+	};
+}
+
+/**
+ * Aggregate risk of a snapshot graph from the stored checks of its `nodes`
+ * ({ address, label, group }): coverage, score statistics overall and per
+ * group, and every node ordered by score with its report count. Unchecked
+ * and expired nodes are listed so they can be sent to a batch job.
+ */
+async function summarizeRisk(pool, nodes) {
+	const addresses = [...new Set(nodes.map(node => node.address))];
+	const result = await pool.query(
+		'SELECT address, score, reports, scanner_version, checked_at FROM security_check WHERE address = ANY($1)',
+		[addresses]
+	);
+	const checks = new Map(result.rows.map(row => [row.address, row]));
+
+	const nodesByAddress = new Map(nodes.map(node => [node.address, node]));
+
+	const nodeRisks = addresses.map(address => {
+		const node = nodesByAddress.get(address);
+		const check = checks.get(address);
+		return {
+			address,
+			label: node.label || null,
+			group: node.group || null,
+			score: check ? check.score : null,
+			report_count: check ? reportCount(check.reports) : null,
+			checked_at: check ? check.checked_at : null,
+			expired: check ? isExpired(check) : null,
+		};
+	});
+
+	const checked = nodeRisks.filter(node => node.score !== null);
+	const groups = {};
+	checked.forEach(node => {
+		const key = node.group || '';
+		if (!groups[key]) groups[key] = [];
+		groups[key].push(node.score);
+	});
+
+	return {
+		node_count: addresses.length,
+		checked_count: checked.length,
+		unchecked: nodeRisks.filter(node => node.score === null).map(node => node.address),
+		expired: nodeRisks.filter(node => node.expired).map(node => node.address),
+		score: scoreStats(checked.map(node => node.score)),
+		report_count: checked.reduce((sum, node) => sum + node.report_count, 0),
+		groups: Object.entries(groups).map(([group, scores]) => ({ group: group || null, checked_count: scores.length, score: scoreStats(scores) })),
+		nodes: [...checked].sort((a, b) => a.score - b.score).concat(nodeRisks.filter(node => node.score === null)),
+	};
+}
+
+module.exports = {
+	createSecurityChecker,
+	fetchCheckHistory,
+	createSecurityJobs,
+	summarizeRisk,
+};
@@ -1,39 +1,150 @@
 const https = require('https');
 const express = require('express');
-const axios = require('axios');
 const fs = require('fs');
 const cors = require('cors');
-const { Pool } = require('pg');
 const path = require('path');
-const dotenv = require('dotenv');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const pool = require('./db');
+const { numberFromEnv, PORT, CACHE } = require('./config');
+const { UpstreamError, logicServer, securityServer, publicServer } = require('./upstream');
+const { createCache, fetchCachedMetadata, listenForMetadataChanges, setCacheControl } = require('./cache');
+const {
+	normalizeTrace,
+	collectAddresses,
+	fetchFinalizedHead,
+	isFinalized,
+	markFinalized,
+	buildCallTree,
+} = require('./core');
+const { decodeTraces } = require('./abi');
+const { TRACE_ACTIONS, ADDRESS_REGEX, hasTraceFilters, parseTraceFilters, queryTraces, parseTimestamp, resolveBlockRange } = require('./traces');
+const { expandGraph, findPaths, fetchNodeMetadata } = require('./graph');
+const { enqueueAddresses, enqueueInBackground, getQueueStatus } = require('./enrichment');
+const { createRpcClient } = require('./rpc');
+const { syncProxy, fetchProxyInfo, mergeProxyTraces } = require('./proxies');
+const {
+	fetchLabels,
+	createLabel,
+	updateLabel,
+	deleteLabel,
+	addTag,
+	removeTag,
+	listTags,
+	searchByTags,
+	listWatchlists,
+	findWatchlist,
+	findWatchlistByName,
+	addWatchlistAddresses,
+	removeWatchlistAddress,
+	createWatchlist,
+	updateWatchlist,
+	isWatchlistNameTaken,
+	deleteWatchlist,
+} = require('./labels');
+const {
+	parseRule,
+	evaluateInBackground,
+	listRules,
+	createRule,
+	deleteRule,
+	listWebhooks,
+	createWebhook,
+	checkWebhookUrl,
+	deleteWebhook,
+	listAlerts,
+	listDeliveries,
+} = require('./alerts');
+const { createStreamHub } = require('./stream');
+const { PROTOCOL_FIELDS, updateProtocol, assignAddresses, unassignAddresses, suggestMembers, protocolAnalytics } = require('./protocols');
+const {
+	QUOTAS,
+	hasRole,
+	requireRole,
+	parseKeyRequest,
+	createApiKey,
+	listApiKeys,
+	revokeApiKey,
+	fetchUsage,
+	createAuth,
+} = require('./auth');
+const { recordAudit, describeRequest, auditRequests, queryAudit, findAuditEntry } = require('./audit');
+const { requestIds, errorEnvelope, notFound, handleErrors } = require('./errors');
+const { createValidator } = require('./validation');
+const { createSecurityChecker, fetchCheckHistory, createSecurityJobs, summarizeRisk } = require('./security');
+const { EXPORT_FORMATS, buildExportGraph, serializeGraph, parseGraphML, parseCytoscape } = require('./formats');
+const {
+	parseVersion,
+	findSnapshot,
+	listVersions,
+	listSnapshots,
+	loadNodes,
+	loadGroups,
+	loadEdges,
+	loadSnapshotTraces,
+	validateSnapshotContents,
+	insertSnapshotVersion,
+	saveSnapshotVersion,
+	diffNodes,
+	diffGroups,
+	diffEdges,
+	loadSnapshotContents,
+	deleteSnapshotVersions,
+	insertRestoredVersions,
+} = require('./snapshots');
 const app = express();
-const PORT = 3443;
 
-// Load environment variables from ../config/.env
-dotenv.config({ path: path.resolve(__dirname, '../.env') });
-
-const LOGIC_SERVER_URL = 'http://localhost:5566';
-const SECURITY_SERVER_URL = 'http://localhost:7777';
-const PUBLIC_SERVER_URL = 'https://localhost:3443';
+const auth = createAuth(pool, {
+	enabled: process.env.AUTH_ENABLED !== 'false',
+	adminApiKey: process.env.ADMIN_API_KEY,
+	jwtSecret: process.env.JWT_SECRET,
+	rateLimit: numberFromEnv('API_RATE_LIMIT_PER_MINUTE', 600),
+	quotas: {
+		trace: numberFromEnv('API_QUOTA_TRACE', null),
+		security_check: numberFromEnv('API_QUOTA_SECURITY_CHECK', null),
+	},
+});
 
-// PostgreSQL connection setup using .env config
-const pool = new Pool({
-	user: process.env.POSTGRES_USER,
-	host: process.env.POSTGRES_HOST,
-	database: process.env.POSTGRES_DB,
-	password: process.env.POSTGRES_PASSWORD,
-	port: process.env.POSTGRES_PORT,
+// The checker reads address metadata back from this API, so it needs a key of its own
+const securityChecker = createSecurityChecker(pool, {
+	securityServer,
+	publicServer,
+	apiKey: process.env.SECURITY_CHECK_API_KEY || process.env.ADMIN_API_KEY,
 });
+const securityJobs = createSecurityJobs(pool, securityChecker, { concurrency: Number(process.env.SECURITY_CHECK_CONCURRENCY) || 4 });
+const MAX_BATCH_CHECK_ADDRESSES = 1000;
 
-const options = {
-	key: fs.readFileSync('./private.key'),
-	cert: fs.readFileSync('./certificate.crt')
-};
+// A batch check is charged one security_check call per address
+function batchCheckCost(req) {
+	const addresses = req.body && req.body.addresses;
+	return Array.isArray(addresses) ? Math.min(Math.max(addresses.length, 1), MAX_BATCH_CHECK_ADDRESSES) : 1;
+}
+
+// Finalized blocks and traces, address traces and address metadata
+const cache = createCache(CACHE);
+
+// Answers a failed upstream call with 502, 503 (circuit open) or 504 (timeout).
+// A 404 from the upstream is passed on with `notFoundMessage` if one is given.
+function sendUpstreamError(res, error, notFoundMessage) {
+	if (!(error instanceof UpstreamError)) {
+		return res.status(500).json({ error: error.message });
+	}
+	if (notFoundMessage && error.upstreamStatus === 404) {
+		return res.status(404).json({ error: notFoundMessage });
+	}
+	res.status(error.status).json({ error: error.message, code: error.code });
+}
 
-// Enable CORS for all routes
-app.use(cors());
+// Live feed for /api/stream, polling the blocks table while clients are connected
+const streamHub = createStreamHub(pool, { pollIntervalMs: Number(process.env.STREAM_POLL_INTERVAL_MS) || 2000 });
+const MAX_STREAM_ADDRESSES = 1000;
+
+// Browsers may call the API from the origins in CORS_ORIGINS (comma-separated), from any origin when unset
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+	origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : '*',
+	exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining'],
+}));
 
 const swaggerOptions = {
 	definition: {
@@ -43,6 +154,25 @@ const swaggerOptions = {
 			version: '1.0.0',
 			description: 'API documentation for GraphChain backend',
 		},
+		components: {
+			schemas: {
+				Error: {
+					type: 'object',
+					description: 'Envelope of every error response',
+					properties: {
+						error: { type: 'string', description: 'Human-readable message' },
+						code: { type: 'string', description: 'Machine-readable code, e.g. VALIDATION_ERROR, NOT_FOUND, RATE_LIMITED' },
+						request_id: { type: 'string', description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' },
+						details: { description: 'Validation problems, when code is VALIDATION_ERROR' },
+					},
+				},
+			},
+			securitySchemes: {
+				ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+				BearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or HS256 JWT with role and sub claims' },
+			},
+		},
+		security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
 	},
 	apis: [path.join(__dirname, '*.js')], // or wherever your routes are
 };
@@ -50,6 +180,14 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Checks params, query and JSON bodies against the annotations above each route
+const validate = createValidator(swaggerSpec);
+
+// Errors are sent as { error, code, request_id, details? }.
+// Every /api route needs credentials; roles are checked per route with requireRole.
+// Mutating calls are audited, including the ones rejected by authentication.
+app.use('/api', requestIds, errorEnvelope, auditRequests(pool), auth.authenticate, auth.limitRate);
+
 
 /**
  * @swagger
@@ -60,17 +198,21 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *     responses:
  *       200:
  *         description: Latest block number
- *       500:
- *         description: Error fetching block number
+ *       502:
+ *         description: The logic server failed
+ *       503:
+ *         description: The logic server is failing, calls are paused
+ *       504:
+ *         description: The logic server timed out
  */
 // Route to get the latest block number
-app.get('/api/blockNumber', async (req, res) => {
+app.get('/api/blockNumber', requireRole('read'), validate, async (req, res) => {
 	try {
-		const response = await axios.get(`${LOGIC_SERVER_URL}/block_number`);
+		const response = await logicServer.get('/block_number');
 		res.send(response.data);
 	} catch (error) {
 		console.error('Error proxying /blockNumber:', error.message);
-		res.status(500).send('Error fetching block number');
+		sendUpstreamError(res, error);
 	}
 });
 
@@ -89,142 +231,420 @@ app.get('/api/blockNumber', async (req, res) => {
  *         description: The block number
  *     responses:
  *       200:
- *         description: Transactions for the block
+ *         description: Transactions for the block. finalized (also sent as the X-Block-Finalized header) tells whether the block is deeper than the ingestion worker's confirmation depth or may still be reorganized. Finalized blocks are cached (X-Cache tells whether this response came from the cache) and sent with an immutable Cache-Control; every response carries an ETag for conditional requests.
+ *       404:
+ *         description: Block not found
  *       500:
  *         description: Error fetching block transactions
+ *       502:
+ *         description: The logic server failed
+ *       503:
+ *         description: The logic server is failing, calls are paused
+ *       504:
+ *         description: The logic server timed out
  */
 // Route to get transactions for a specific block
-app.get('/api/block/:blockNumber', async (req, res) => {
+app.get('/api/block/:blockNumber', requireRole('read'), validate, async (req, res) => {
 	const blockNumber = req.params.blockNumber;
 	try {
-		const response = await axios.get(`${LOGIC_SERVER_URL}/block/${blockNumber}`);
-		res.send(response.data);
+		const finalized = isFinalized(blockNumber, await fetchFinalizedHead(pool));
+		// Only final blocks are cached, a reorg may still replace the others
+		const ttl = finalized ? CACHE.ttl.block : 0;
+		const { value: block, hit } = await cache.wrap(`block:${blockNumber}`, ttl, async () => {
+			const response = await logicServer.get(`/block/${blockNumber}`);
+			return response.data;
+		});
+		res.set('X-Block-Finalized', String(finalized));
+		res.set('X-Cache', hit ? 'HIT' : 'MISS');
+		setCacheControl(res, ttl);
+		if (block && typeof block === 'object' && !Array.isArray(block)) {
+			return res.send({ ...block, finalized });
+		}
+		res.send(block);
 	} catch (error) {
 		console.error(`Error proxying /block/${blockNumber}:`, error.message);
-		res.status(500).send('Error fetching block transactions');
+		sendUpstreamError(res, error, 'Block not found');
 	}
 });
 
+// Adds proxy information to the metadata of proxies merged by mergeProxyTraces
+async function addProxyMetadata(metadata, traces) {
+	const merged = [...new Set(traces.filter(trace => trace.implementation_addr).map(trace => trace.to_addr))];
+	const proxyInfo = await fetchProxyInfo(pool, merged);
+	Object.entries(proxyInfo).forEach(([proxy, info]) => {
+		metadata[proxy] = { ...metadata[proxy], proxy: info };
+	});
+}
+
 /**
  * @swagger
  * /api/trace:
  *   get:
  *     summary: Get traces for an address, transaction, or block
- *     description: Returns traces for a given address, transaction, or block. Only one parameter should be provided at a time.
+ *     description: Returns traces for a given address, transaction, or block. Only one parameter should be provided at a time. Logic server results are cached, for final blocks and transactions for CACHE_TTL_TRACE_SECONDS and for addresses for CACHE_TTL_ADDRESS_TRACE_SECONDS (X-Cache tells whether the traces came from the cache); address metadata is cached until it changes. Responses carry an ETag and must be revalidated.
  *     parameters:
  *       - in: query
  *         name: address
  *         schema:
  *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
  *         description: Address to get traces for
  *       - in: query
  *         name: tx
  *         schema:
  *           type: string
- *         description: Transaction hash to get traces for
+ *           pattern: '^0x[a-fA-F0-9]{64}$'
+ *         description: Transaction hash to get traces for. The response additionally contains the call tree nested by call depth.
  *       - in: query
  *         name: block
  *         schema:
  *           type: integer
+ *           minimum: 0
  *         description: Block number to get traces for
+ *       - in: query
+ *         name: decode
+ *         schema:
+ *           type: boolean
+ *         description: When true, call data of every trace is decoded against the ABI of to_addr (or of the implementation for proxies). Each trace gains selector, function_name, signature, args and decoded fields.
+ *       - in: query
+ *         name: merge_proxies
+ *         schema:
+ *           type: boolean
+ *         description: When true, known proxies and their implementations are merged into one node. Delegate calls from a proxy into one of its implementations get to_addr set to the proxy and the implementation moved to implementation_addr; metadata of merged proxies includes their proxy information.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Page size for address and block lookups. Any pagination or filter parameter makes the lookup run against the local traces table.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor taken from next_cursor of the previous page
+ *       - in: query
+ *         name: from_block
+ *         schema:
+ *           type: integer
+ *         description: Only traces at or after this block
+ *       - in: query
+ *         name: to_block
+ *         schema:
+ *           type: integer
+ *         description: Only traces at or before this block
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of actions (call, delegate_call, create, create2)
+ *       - in: query
+ *         name: counterparty
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: Only traces between the address and this counterparty (for block lookups, traces touching it)
+ *       - in: query
+ *         name: min_value
+ *         schema:
+ *           type: string
+ *           pattern: '^\d+$'
+ *         description: Minimum transferred value in wei
  *     responses:
  *       200:
- *         description: Traces and metadata
+ *         description: Traces and metadata. next_cursor is null on the last page and for unfiltered lookups. Every trace carries finalized (false while its block may still be reorganized), finalized_block is the highest final block.
  *       400:
  *         description: Missing or invalid query parameters
  *       404:
  *         description: Not found
  *       500:
  *         description: Internal server error
+ *       502:
+ *         description: The logic server failed
+ *       503:
+ *         description: The logic server is failing, calls are paused
+ *       504:
+ *         description: The logic server timed out
  */
 // Route to get traces for an address, transaction, or block
-app.get('/api/trace', async (req, res) => {
+app.get('/api/trace', requireRole('read'), validate, auth.quota('trace'), async (req, res) => {
 	const { address, tx, block } = req.query;
+	const decode = req.query.decode === 'true';
+	const mergeProxies = req.query.merge_proxies === 'true';
 
 	try {
 		let traces = [];
+		let nextCursor = null;
 		
-		if (address) {
+		if ((address || block) && !tx && hasTraceFilters(req.query)) {
+			// The logic server can't filter or paginate, answer from the local traces table
+			const { filters, error } = parseTraceFilters(req.query);
+			if (error) {
+				return res.status(400).json({ error });
+			}
+
+			const page = await queryTraces(pool, address ? { address } : { block: Number(block) }, filters);
+			traces = page.traces.map(normalizeTrace);
+			nextCursor = page.next_cursor;
+		} else if (address) {
 			try {
-				const response = await axios.get(`${LOGIC_SERVER_URL}/trace_address/${address}`);
-				traces = response.data;
+				const { value, hit } = await cache.wrap(`trace_address:${address.toLowerCase()}`, CACHE.ttl.addressTrace, async () => {
+					const response = await logicServer.get(`/trace_address/${address}`);
+					evaluateInBackground(pool, response.data, { partial: true });
+					return response.data;
+				});
+				traces = value;
+				res.set('X-Cache', hit ? 'HIT' : 'MISS');
 			} catch (err) {
-				console.error(err);
-				return res.status(404).json({ error: 'Address not found' });
+				console.error(err.message);
+				return sendUpstreamError(res, err, 'Address not found');
 			}
 		} else if (tx) {
-			return res.status(501).json({
-				error: 'Transaction lookup not implemented',
-				message: 'The transaction lookup feature is not currently supported'
+			// Prefer the local traces table, fall back to the logic server
+			const localQuery = `
+				SELECT trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action, call_data
+				FROM traces
+				WHERE tx_hash = $1
+				ORDER BY length(trace_id), trace_id
+			`;
+			const localResult = await pool.query(localQuery, [tx]);
+			let txTraces = localResult.rows;
+			const finalizedHead = await fetchFinalizedHead(pool);
+
+			if (txTraces.length === 0) {
+				try {
+					// Cached once every trace of the transaction is in a final block
+					const { value, hit } = await cache.wrap(`trace_tx:${tx.toLowerCase()}`, CACHE.ttl.trace, async () => {
+						const response = await logicServer.get(`/trace_tx/${tx}`);
+						evaluateInBackground(pool, response.data);
+						return response.data;
+					}, fetched => Array.isArray(fetched) && fetched.length > 0 && fetched.every(trace => isFinalized(trace.block_number, finalizedHead)));
+					txTraces = value;
+					res.set('X-Cache', hit ? 'HIT' : 'MISS');
+				} catch (err) {
+					console.error(err.message);
+					return sendUpstreamError(res, err, 'Transaction not found');
+				}
+			}
+
+			txTraces = txTraces.map(normalizeTrace);
+			if (decode) {
+				txTraces = await decodeTraces(pool, txTraces);
+			}
+			if (mergeProxies) {
+				txTraces = await mergeProxyTraces(pool, txTraces);
+			}
+
+			const { traces: orderedTraces, tree } = buildCallTree(markFinalized(txTraces, finalizedHead));
+			const addressList = collectAddresses(orderedTraces);
+			const metadata = await fetchCachedMetadata(cache, pool, addressList, CACHE.ttl.metadata);
+			if (mergeProxies) {
+				await addProxyMetadata(metadata, orderedTraces);
+			}
+			enqueueInBackground(pool, addressList);
+
+			setCacheControl(res, 0);
+			return res.json({
+				'tx_hash': tx,
+				'traces': orderedTraces,
+				'tree': tree,
+				'metadata': metadata,
+				'finalized_block': finalizedHead
 			});
 		} else if (block) {
 			try {
-				const response = await axios.get(`${LOGIC_SERVER_URL}/trace_block/${block}`);
-				traces = response.data;
+				const ttl = isFinalized(block, await fetchFinalizedHead(pool)) ? CACHE.ttl.trace : 0;
+				const { value, hit } = await cache.wrap(`trace_block:${block}`, ttl, async () => {
+					const response = await logicServer.get(`/trace_block/${block}`);
+					evaluateInBackground(pool, response.data);
+					return response.data;
+				});
+				traces = value;
+				res.set('X-Cache', hit ? 'HIT' : 'MISS');
 			} catch (err) {
-				console.error(err);
-				return res.status(404).json({ error: 'Block not found' });
+				console.error(err.message);
+				return sendUpstreamError(res, err, 'Block not found');
 			}
 		} else {
 			return res.status(400).json({ error: 'Provide address, tx, or block in query params' });
 		}
 		
-		// Extract unique addresses from traces
-		const uniqueAddresses = new Set();
-		traces.forEach(trace => {
-			if (trace.from_addr) uniqueAddresses.add(trace.from_addr);
-			if (trace.to_addr) uniqueAddresses.add(trace.to_addr);
-			if (trace.storage_addr) uniqueAddresses.add(trace.storage_addr);
-		});
-		
-		const addressList = [...uniqueAddresses];
-		
-		// Fetch metadata for unique addresses
-		let metadata = {};
-		if (addressList.length > 0) {
-			try {
-				// First, get basic address information
-				const addressQuery = 'SELECT address, contract_name, protocol_id FROM addresses WHERE address = ANY($1)';
-				const addressResult = await pool.query(addressQuery, [addressList]);
-				
-				// Group addresses by protocol_id to find snapshots
-				const addressesByProtocol = {};
-				addressResult.rows.forEach(row => {
-					if (row.protocol_id) {
-						if (!addressesByProtocol[row.protocol_id]) {
-							addressesByProtocol[row.protocol_id] = [];
-						}
-						addressesByProtocol[row.protocol_id].push(row.address);
-					}
-					
-					// Initialize metadata with basic info
-					metadata[row.address] = {
-						contract_name: row.contract_name
-					};
-				});
-				
-				// Add entries for addresses that don't have metadata in the database
-				addressList.forEach(addr => {
-					if (!metadata[addr]) {
-						metadata[addr] = {
-							contract_name: null
-						};
-					}
-				});
-			} catch (dbError) {
-				console.error('Error fetching address metadata:', dbError);
-				// We'll continue even if metadata fetch fails, just with an empty metadata object
-			}
+		if (decode) {
+			traces = await decodeTraces(pool, traces.map(normalizeTrace));
+		}
+		if (mergeProxies) {
+			traces = await mergeProxyTraces(pool, traces);
+		}
+
+		const finalizedHead = await fetchFinalizedHead(pool);
+		traces = markFinalized(traces, finalizedHead, address ? undefined : block);
+
+		const addressList = collectAddresses(traces);
+		const metadata = await fetchCachedMetadata(cache, pool, addressList, CACHE.ttl.metadata);
+		if (mergeProxies) {
+			await addProxyMetadata(metadata, traces);
 		}
+		enqueueInBackground(pool, addressList);
 		
-		// Return combined data
+		// Return combined data; metadata may change, so clients revalidate by ETag
+		setCacheControl(res, 0);
 		res.json({
 			'traces': traces,
-			'metadata': metadata
+			'metadata': metadata,
+			'next_cursor': nextCursor,
+			'finalized_block': finalizedHead
 		});
 		
-	} catch (err) {
-		res.status(500).json({ error: err.message });
+	} catch (error) {
+		console.error('Error fetching traces:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/graph/expand:
+ *   get:
+ *     summary: Expand the trace graph around a set of addresses
+ *     description: Walks the local traces table breadth-first from the seed addresses and returns a deduplicated node and edge list. Normal calls connect from_addr to to_addr, delegate calls connect storage_addr to to_addr. Edges are aggregated per source, target and action.
+ *     parameters:
+ *       - in: query
+ *         name: addresses
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}(,0x[a-fA-F0-9]{40})*$'
+ *         description: Comma-separated seed addresses
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 3
+ *           default: 1
+ *         description: Number of hops to expand
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 25
+ *         description: Maximum number of edges followed per node, busiest first
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           pattern: '^(call|delegate_call|create|create2)(,(call|delegate_call|create|create2))*$'
+ *         description: Comma-separated list of actions to follow (call, delegate_call, create, create2)
+ *     responses:
+ *       200:
+ *         description: Nodes with hop distance and metadata, edges with call_count, total_value, first_block and last_block
+ *       400:
+ *         description: Missing or invalid query parameters
+ *       500:
+ *         description: Error expanding graph
+ */
+app.get('/api/graph/expand', requireRole('read'), validate, async (req, res) => {
+	const seeds = [...new Set(String(req.query.addresses || '').split(',').filter(Boolean).map(addr => addr.toLowerCase()))];
+	const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+	const limit = req.query.limit === undefined ? 25 : Number(req.query.limit);
+	const actions = req.query.action === undefined ? TRACE_ACTIONS : String(req.query.action).split(',');
+
+	try {
+		const graph = await expandGraph(pool, { seeds, depth, limit, actions });
+		res.json(graph);
+	} catch (error) {
+		console.error('Error expanding graph:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/graph/path:
+ *   get:
+ *     summary: Find paths between two addresses
+ *     description: Returns the shortest and the k shortest directed paths from one address to another over the local traces table. Delegate calls are followed from storage_addr to to_addr, like /api/snapshot/{snapshotName} does. Every hop lists its aggregated edges and the transaction hashes behind them.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: Source address
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: Target address
+ *       - in: query
+ *         name: k
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 1
+ *         description: Number of shortest paths to return
+ *       - in: query
+ *         name: max_depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 6
+ *           default: 4
+ *         description: Maximum number of hops in a path
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Maximum number of outgoing edges followed per address, busiest first
+ *       - in: query
+ *         name: from_block
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Only consider traces at or after this block
+ *       - in: query
+ *         name: to_block
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Only consider traces at or before this block
+ *     responses:
+ *       200:
+ *         description: Paths ordered by length (empty when the addresses are not connected), with metadata for every address on them
+ *       400:
+ *         description: Missing or invalid query parameters
+ *       500:
+ *         description: Error finding paths
+ */
+app.get('/api/graph/path', requireRole('read'), validate, async (req, res) => {
+	const from = String(req.query.from || '').toLowerCase();
+	const to = String(req.query.to || '').toLowerCase();
+	const k = req.query.k === undefined ? 1 : Number(req.query.k);
+	const maxDepth = req.query.max_depth === undefined ? 4 : Number(req.query.max_depth);
+	const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+	const fromBlock = req.query.from_block === undefined ? undefined : Number(req.query.from_block);
+	const toBlock = req.query.to_block === undefined ? undefined : Number(req.query.to_block);
+
+	if (from === to) {
+		return res.status(400).json({ error: 'from and to must differ' });
+	}
+
+	try {
+		const result = await findPaths(pool, { from, to, k, maxDepth, limit, fromBlock, toBlock });
+		res.json(result);
+	} catch (error) {
+		console.error('Error finding paths:', error);
+		res.status(500).json({ error: error.message });
 	}
 });
 
@@ -233,14 +653,15 @@ app.get('/api/trace', async (req, res) => {
  * /api/metadata/address/{address}:
  *   get:
  *     summary: Get metadata for a single address
- *     description: Returns metadata for the specified address, including protocol information if available.
+ *     description: Returns metadata for the specified address, including protocol information if available. Proxies carry a proxy object with proxy_type (eip1967, eip1822, beacon or eip1167), the current implementation and the implementation history as periods with block ranges, newest first (to_block null for the current one; a proxy returning to an earlier implementation gets a new period); proxy is null for other addresses. labels and tags list the user-defined labels and tags of the address, each with author and source. A comma-separated list of addresses returns an object keyed by address.
  *     parameters:
  *       - in: path
  *         name: address
  *         required: true
  *         schema:
  *           type: string
- *         description: The address to fetch metadata for
+ *           pattern: '^0x[a-fA-F0-9]{40}(,0x[a-fA-F0-9]{40})*$'
+ *         description: The address to fetch metadata for, or a comma-separated list of addresses
  *     responses:
  *       200:
  *         description: Address metadata
@@ -250,7 +671,7 @@ app.get('/api/trace', async (req, res) => {
  *         description: Error fetching address metadata
  */
 // Route to get metadata for a single address
-app.get('/api/metadata/address/:address', async (req, res) => {
+app.get('/api/metadata/address/:address', requireRole('read'), validate, async (req, res) => {
 	const address = req.params.address;
 	
 	try {
@@ -270,8 +691,10 @@ app.get('/api/metadata/address/:address', async (req, res) => {
 			if (result.rows.length === 0) {
 				return res.status(404).json({ error: 'Address not found' });
 			}
-			
-			res.json(result.rows[0]);
+
+			const proxyInfo = await fetchProxyInfo(pool, [address]);
+			const labels = await fetchLabels(pool, [address]);
+			res.json({ ...result.rows[0], proxy: proxyInfo[address] || null, ...labels[address] });
 		} else {
 			// Handle multiple addresses
 			const placeholders = addresses.map((_, index) => `$${index + 1}`).join(',');
@@ -282,11 +705,13 @@ app.get('/api/metadata/address/:address', async (req, res) => {
 				WHERE a.address IN (${placeholders})
 			`;
 			const result = await pool.query(query, addresses);
+			const proxyInfo = await fetchProxyInfo(pool, addresses);
+			const labels = await fetchLabels(pool, addresses);
 			
 			// Create a map of address to metadata
 			const metadataMap = {};
 			result.rows.forEach(row => {
-				metadataMap[row.address] = row;
+				metadataMap[row.address] = { ...row, proxy: proxyInfo[row.address] || null, ...labels[row.address] };
 			});
 			
 			res.json(metadataMap);
@@ -297,6 +722,47 @@ app.get('/api/metadata/address/:address', async (req, res) => {
 	}
 });
 
+/**
+ * @swagger
+ * /api/metadata/address/{address}/proxy:
+ *   post:
+ *     summary: Resolve the implementation of a proxy
+ *     description: Resolves the current implementation of the address (EIP-1967, EIP-1822, beacon or minimal proxy) and refreshes its implementation history from storage and delegate_call traces. Delegate calls are only recorded for addresses that resolve as proxies or are marked as proxies, not for contracts calling into libraries. Reading storage needs ETH_RPC_URL; without it only minimal proxies are recognized. The enrichment worker does the same for every enriched contract and periodically for known proxies. When the implementation changed, a previously checked address is security-checked again.
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: The address to resolve
+ *     responses:
+ *       200:
+ *         description: Proxy information (null if the address is not a recognized proxy) and whether the implementation changed
+ *       400:
+ *         description: Invalid address
+ *       500:
+ *         description: Error resolving the proxy
+ */
+// Route to resolve a proxy implementation on demand
+app.post('/api/metadata/address/:address/proxy', requireRole('write'), validate, async (req, res) => {
+	const address = req.params.address.toLowerCase();
+
+	try {
+		const { changed } = await syncProxy(pool, createRpcClient(), address);
+		if (changed) {
+			securityChecker.recheck(address, 'proxy_upgrade').catch(error => {
+				console.error(`Security re-check of ${address} failed:`, error.message);
+			});
+		}
+		const proxyInfo = await fetchProxyInfo(pool, [address]);
+		res.json({ address, proxy: proxyInfo[address] || null, changed });
+	} catch (error) {
+		console.error(`Error resolving proxy ${address}:`, error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
 /**
  * @swagger
  * /api/metadata/protocol/{protocolId}:
@@ -309,6 +775,7 @@ app.get('/api/metadata/address/:address', async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: The protocol ID
  *     responses:
  *       200:
@@ -319,7 +786,7 @@ app.get('/api/metadata/address/:address', async (req, res) => {
  *         description: Error fetching protocol metadata
  */
 // Route to get all addresses for a specific protocol
-app.get('/api/metadata/protocol/:protocolId', async (req, res) => {
+app.get('/api/metadata/protocol/:protocolId', requireRole('read'), validate, async (req, res) => {
 	const protocolId = req.params.protocolId;
 	
 	try {
@@ -359,7 +826,7 @@ app.get('/api/metadata/protocol/:protocolId', async (req, res) => {
  *         description: Error fetching protocols
  */
 // Route to get all protocols
-app.get('/api/metadata/protocols', async (req, res) => {
+app.get('/api/metadata/protocols', requireRole('read'), validate, async (req, res) => {
 	try {
 		const query = 'SELECT * FROM protocols ORDER BY protocol_name';
 		const result = await pool.query(query);
@@ -382,17 +849,24 @@ app.get('/api/metadata/protocols', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [protocolName]
  *             properties:
  *               protocolName:
  *                 type: string
+ *                 minLength: 1
  *               protocolSymbol:
  *                 type: string
+ *                 nullable: true
  *               protocolType:
  *                 type: string
+ *                 nullable: true
  *               mainAddress:
  *                 type: string
+ *                 pattern: '^0x[a-fA-F0-9]{40}$'
+ *                 nullable: true
  *               description:
  *                 type: string
+ *                 nullable: true
  *     responses:
  *       201:
  *         description: Protocol created
@@ -402,13 +876,9 @@ app.get('/api/metadata/protocols', async (req, res) => {
  *         description: Error creating protocol
  */
 // Route to create a new protocol
-app.post('/api/metadata/protocol', express.json(), async (req, res) => {
+app.post('/api/metadata/protocol', requireRole('write'), express.json(), validate, async (req, res) => {
 	const { protocolName, protocolSymbol, protocolType, mainAddress, description } = req.body;
 	
-	if (!protocolName) {
-		return res.status(400).json({ error: 'Protocol name is required' });
-	}
-	
 	try {
 		const query = `
 			INSERT INTO protocols (protocol_name, protocol_symbol, protocol_type, main_address, description)
@@ -423,6 +893,7 @@ app.post('/api/metadata/protocol', express.json(), async (req, res) => {
 			description || null
 		]);
 		
+		res.locals.audit = { resourceType: 'protocol', resourceId: result.rows[0].protocol_id, after: result.rows[0] };
 		res.status(201).json(result.rows[0]);
 	} catch (error) {
 		console.error('Error creating protocol:', error);
@@ -432,10 +903,18 @@ app.post('/api/metadata/protocol', express.json(), async (req, res) => {
 
 /**
  * @swagger
- * /api/addresses/snapshot:
- *   post:
- *     summary: Create or update a snapshot with node coordinates
- *     description: Creates a new snapshot or updates an existing one with node coordinates.
+ * /api/metadata/protocol/{protocolId}:
+ *   patch:
+ *     summary: Update a protocol
+ *     description: Updates the given fields of a protocol; omitted fields keep their value.
+ *     parameters:
+ *       - in: path
+ *         name: protocolId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The protocol ID
  *     requestBody:
  *       required: true
  *       content:
@@ -443,331 +922,3156 @@ app.post('/api/metadata/protocol', express.json(), async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               snapshot_name:
+ *               protocolName:
  *                 type: string
- *               snapshot_nodes:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     x:
- *                       type: number
- *                     y:
- *                       type: number
- *                     address:
- *                       type: string
+ *                 minLength: 1
+ *               protocolSymbol:
+ *                 type: string
+ *                 nullable: true
+ *               protocolType:
+ *                 type: string
+ *                 nullable: true
+ *               mainAddress:
+ *                 type: string
+ *                 pattern: '^0x[a-fA-F0-9]{40}$'
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *                 nullable: true
  *     responses:
  *       200:
- *         description: Snapshot created/updated successfully
+ *         description: Updated protocol
  *       400:
- *         description: Invalid request body
+ *         description: Nothing to update, empty name or invalid main address
+ *       404:
+ *         description: Protocol not found
  *       500:
- *         description: Error creating/updating snapshot
+ *         description: Error updating protocol
  */
-app.post('/api/addresses/snapshot', express.json(), async (req, res) => {
-	const { snapshot_name, snapshot_nodes } = req.body;
-	
-	if (!snapshot_name || !Array.isArray(snapshot_nodes)) {
-		return res.status(400).json({ error: 'Invalid request body. snapshot_name and snapshot_nodes array are required' });
+// Route to update a protocol
+app.patch('/api/metadata/protocol/:protocolId', requireRole('write'), express.json(), validate, async (req, res) => {
+	const fields = req.body || {};
+	if (Object.keys(PROTOCOL_FIELDS).every(field => fields[field] === undefined)) {
+		return res.status(400).json({ error: `Provide ${Object.keys(PROTOCOL_FIELDS).join(', ')} to update` });
 	}
 
 	try {
-		// Begin transaction
-		await pool.query('BEGIN');
-
-		// Check if snapshot exists
-		const checkSnapshotQuery = 'SELECT id FROM snapshots WHERE name = $1';
-		const existingSnapshot = await pool.query(checkSnapshotQuery, [snapshot_name]);
-
-		if (existingSnapshot.rows.length > 0) {
-			// Delete existing snapshot and its nodes
-			const deleteNodesQuery = 'DELETE FROM snapshot_nodes WHERE snapshot_id = $1';
-			await pool.query(deleteNodesQuery, [existingSnapshot.rows[0].id]);
-			
-			const deleteSnapshotQuery = 'DELETE FROM snapshots WHERE id = $1';
-			await pool.query(deleteSnapshotQuery, [existingSnapshot.rows[0].id]);
-		}
-
-		// Create new snapshot
-		const createSnapshotQuery = 'INSERT INTO snapshots (name) VALUES ($1) RETURNING id';
-		const newSnapshot = await pool.query(createSnapshotQuery, [snapshot_name]);
-		const snapshotId = newSnapshot.rows[0].id;
-
-		// Insert all nodes
-		for (const node of snapshot_nodes) {
-			if (node.x === undefined || node.y === undefined || node.address === undefined) {
-				await pool.query('ROLLBACK');
-				return res.status(400).json({ error: 'Each node must have x, y, and address properties' });
-			}
-
-			const insertNodeQuery = `
-				INSERT INTO snapshot_nodes (x, y, address, snapshot_id)
-				VALUES ($1, $2, $3, $4)
-			`;
-			await pool.query(insertNodeQuery, [node.x, node.y, node.address, snapshotId]);
+		const before = await pool.query('SELECT * FROM protocols WHERE protocol_id = $1', [Number(req.params.protocolId)]);
+		const protocol = await updateProtocol(pool, Number(req.params.protocolId), fields);
+		if (!protocol) {
+			return res.status(404).json({ error: 'Protocol not found' });
 		}
-
-		// Commit transaction
-		await pool.query('COMMIT');
-
-		res.json({
-			success: true,
-			message: 'Snapshot created/updated successfully',
-			snapshot_id: snapshotId
-		});
+		res.locals.audit = { resourceType: 'protocol', resourceId: protocol.protocol_id, before: before.rows[0], after: protocol };
+		res.json(protocol);
 	} catch (error) {
-		// Rollback on error
-		await pool.query('ROLLBACK');
-		console.error('Error creating/updating snapshot:', error);
+		console.error('Error updating protocol:', error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
 /**
  * @swagger
- * /api/security/check/{address}:
- *   get:
- *     summary: Get security check for address
- *     description: Returns security check results for an address. If not available, performs a security check via external service.
+ * /api/metadata/protocol/{protocolId}:
+ *   delete:
+ *     summary: Delete a protocol
+ *     description: Deletes the protocol. Its addresses and snapshots are kept and lose their protocol_id.
  *     parameters:
  *       - in: path
- *         name: address
+ *         name: protocolId
  *         required: true
  *         schema:
- *           type: string
- *         description: Ethereum address to check
+ *           type: integer
+ *           minimum: 1
+ *         description: The protocol ID
  *     responses:
  *       200:
- *         description: Security check results
- *       400:
- *         description: Invalid address format
+ *         description: Protocol deleted
+ *       404:
+ *         description: Protocol not found
  *       500:
- *         description: Error performing security check
+ *         description: Error deleting protocol
  */
-app.get('/api/security/check/:address', async (req, res) => {
-	const address = req.params.address;
-	
-	// Basic validation for Ethereum address
-	if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
-		return res.status(400).json({ error: 'Invalid Ethereum address format' });
-	}
-	
+// Route to delete a protocol
+app.delete('/api/metadata/protocol/:protocolId', requireRole('admin'), validate, async (req, res) => {
 	try {
-		// Check if we already have security data for this address
-		const checkExistingQuery = 'SELECT * FROM security_check WHERE address = $1';
-		const existingResult = await pool.query(checkExistingQuery, [address]);
-		
-		if (existingResult.rows.length > 0) {
-			// Return existing security check data
-			return res.json({
-				address: existingResult.rows[0].address,
-				score: existingResult.rows[0].score,
-				reports: existingResult.rows[0].reports,
-				cached: true
-			});
+		const result = await pool.query('DELETE FROM protocols WHERE protocol_id = $1 RETURNING *', [Number(req.params.protocolId)]);
+		if (result.rowCount === 0) {
+			return res.status(404).json({ error: 'Protocol not found' });
 		}
-		
-		// If not found, request security check from external service
-		try {
-			const address_metadata = await axios.get(`${PUBLIC_SERVER_URL}/api/metadata/address/${address}`, {
-				httpsAgent: new https.Agent({  
-					rejectUnauthorized: false
-				})
-			});
-			const securityResponse = await axios.post(`${SECURITY_SERVER_URL}`, address_metadata.data);
-			console.log(securityResponse.data);
+		res.locals.audit = { resourceType: 'protocol', resourceId: result.rows[0].protocol_id, before: result.rows[0] };
+		res.json({ success: true, message: 'Protocol deleted' });
+	} catch (error) {
+		console.error('Error deleting protocol:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
 
-			if (!securityResponse.data || !securityResponse.data.score || !securityResponse.data.reports) {
-				throw new Error('Invalid response from security service');
-			}
-			
-			const { reports, score } = securityResponse.data;
-			
-			// Store the security check result in the database
-			const insertQuery = `
-				INSERT INTO security_check (address, score, reports)
-				VALUES ($1, $2, $3::jsonb)
-				RETURNING *
-			`;
-			const insertResult = await pool.query(insertQuery, [
-				address, 
-				score, 
-				JSON.stringify(reports)
-			]);
-			
-			return res.json({
-				address: insertResult.rows[0].address,
-				score: insertResult.rows[0].score,
-				reports: insertResult.rows[0].reports,
-				cached: false
-			});
-			
-		} catch (serviceError) {
-			console.error('Error checking security service:', serviceError);
-			return res.status(500).json({ 
-				error: 'Error contacting security service',
-				details: serviceError.message
-			});
+// Lowercased, deduplicated address list from a request; { addresses } or { error }
+function parseAddressList(addresses) {
+	if (!Array.isArray(addresses) || addresses.length === 0) {
+		return { error: 'addresses must be a non-empty array' };
+	}
+	const invalid = addresses.find(address => typeof address !== 'string' || !ADDRESS_REGEX.test(address));
+	if (invalid !== undefined) {
+		return { error: `Invalid address: ${invalid}` };
+	}
+	return { addresses: [...new Set(addresses.map(address => address.toLowerCase()))] };
+}
+
+/**
+ * @swagger
+ * /api/metadata/protocol/{protocolId}/addresses:
+ *   post:
+ *     summary: Assign addresses to a protocol
+ *     description: Sets protocol_id of the given addresses, moving them away from any other protocol. Addresses without metadata yet are created and queued for enrichment.
+ *     parameters:
+ *       - in: path
+ *         name: protocolId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The protocol ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [addresses]
+ *             properties:
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Number of addresses assigned and the addresses that had to be created
+ *       400:
+ *         description: Invalid addresses
+ *       404:
+ *         description: Protocol not found
+ *       500:
+ *         description: Error assigning addresses
+ */
+// Route to assign addresses to a protocol
+app.post('/api/metadata/protocol/:protocolId/addresses', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { addresses, error } = parseAddressList((req.body || {}).addresses);
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	try {
+		const protocolId = Number(req.params.protocolId);
+		const protocolResult = await pool.query('SELECT protocol_id FROM protocols WHERE protocol_id = $1', [protocolId]);
+		if (protocolResult.rows.length === 0) {
+			return res.status(404).json({ error: 'Protocol not found' });
 		}
-		
+
+		const assigned = await assignAddresses(pool, protocolId, addresses);
+		res.locals.audit = { resourceType: 'protocol', resourceId: protocolId, diff: { assigned_addresses: addresses, created: assigned.created } };
+		res.json(assigned);
 	} catch (error) {
-		console.error('Error performing security check:', error);
+		console.error('Error assigning protocol addresses:', error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
 /**
  * @swagger
- * /api/snapshot/{snapshotName}:
+ * /api/metadata/protocol/{protocolId}/addresses:
+ *   delete:
+ *     summary: Unassign addresses from a protocol
+ *     description: Clears protocol_id of the given addresses if they belong to this protocol.
+ *     parameters:
+ *       - in: path
+ *         name: protocolId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The protocol ID
+ *       - in: query
+ *         name: addresses
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of addresses
+ *     responses:
+ *       200:
+ *         description: Number of addresses unassigned
+ *       400:
+ *         description: Invalid addresses
+ *       404:
+ *         description: Protocol not found
+ *       500:
+ *         description: Error unassigning addresses
+ */
+// Route to unassign addresses from a protocol
+app.delete('/api/metadata/protocol/:protocolId/addresses', requireRole('write'), validate, async (req, res) => {
+	const { addresses, error } = parseAddressList(String(req.query.addresses || '').split(',').filter(Boolean));
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	try {
+		const protocolId = Number(req.params.protocolId);
+		const protocolResult = await pool.query('SELECT protocol_id FROM protocols WHERE protocol_id = $1', [protocolId]);
+		if (protocolResult.rows.length === 0) {
+			return res.status(404).json({ error: 'Protocol not found' });
+		}
+
+		const unassigned = await unassignAddresses(pool, protocolId, addresses);
+		res.locals.audit = { resourceType: 'protocol', resourceId: protocolId, diff: { unassigned_addresses: addresses, unassigned } };
+		res.json({ unassigned });
+	} catch (error) {
+		console.error('Error unassigning protocol addresses:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/metadata/protocol/{protocolId}/suggestions:
  *   get:
- *     summary: Get all nodes and traces for a specific snapshot
- *     description: Returns all addresses with their coordinates and traces between them for a given snapshot name.
+ *     summary: Suggest addresses that may belong to a protocol
+ *     description: >
+ *       Proposes addresses not assigned to the protocol, each with the reasons - created_by_member
+ *       (deployed by a member through create/create2), same_deployer (deployed by an address that also
+ *       deployed a member) and name_pattern (contract name contains the protocol name or symbol, or matches
+ *       pattern). Nothing is changed; assign accepted suggestions through the addresses endpoint.
  *     parameters:
  *       - in: path
- *         name: snapshotName
+ *         name: protocolId
  *         required: true
  *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The protocol ID
+ *       - in: query
+ *         name: pattern
+ *         schema:
  *           type: string
- *         description: The name of the snapshot
+ *         description: Additional case-insensitive regular expression matched against contract names
  *     responses:
  *       200:
- *         description: List of nodes with coordinates and their traces
+ *         description: Suggestions, those with the most reasons first
+ *       400:
+ *         description: Invalid pattern
+ *       404:
+ *         description: Protocol not found
+ *       500:
+ *         description: Error building suggestions
+ */
+// Route to suggest protocol members
+app.get('/api/metadata/protocol/:protocolId/suggestions', requireRole('read'), validate, async (req, res) => {
+	try {
+		const protocolResult = await pool.query('SELECT * FROM protocols WHERE protocol_id = $1', [Number(req.params.protocolId)]);
+		if (protocolResult.rows.length === 0) {
+			return res.status(404).json({ error: 'Protocol not found' });
+		}
+
+		const suggestions = await suggestMembers(pool, protocolResult.rows[0], { pattern: req.query.pattern });
+		res.json({ protocol_id: protocolResult.rows[0].protocol_id, suggestions });
+	} catch (error) {
+		if (error.code === '2201B') {
+			// invalid_regular_expression
+			return res.status(400).json({ error: 'Invalid pattern' });
+		}
+		console.error('Error suggesting protocol members:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/metadata/protocol/{protocolId}/analytics:
+ *   get:
+ *     summary: Get interaction analytics of a protocol
+ *     description: >
+ *       Aggregates the traces of the protocol's member addresses into a protocol overview - top external
+ *       callers and callees, the other protocols they belong to, call volume per block bucket and the
+ *       internal call topology between members. Delegate calls are counted from storage_addr, as in the graph
+ *       endpoints. The block range may be given by block numbers or by time.
+ *     parameters:
+ *       - in: path
+ *         name: protocolId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The protocol ID
+ *       - in: query
+ *         name: from_block
+ *         schema:
+ *           type: integer
+ *         description: Only traces at or after this block
+ *       - in: query
+ *         name: to_block
+ *         schema:
+ *           type: integer
+ *         description: Only traces at or before this block
+ *       - in: query
+ *         name: from_time
+ *         schema:
+ *           type: string
+ *         description: Only traces in blocks at or after this time (unix timestamp or ISO 8601)
+ *       - in: query
+ *         name: to_time
+ *         schema:
+ *           type: string
+ *         description: Only traces in blocks at or before this time (unix timestamp or ISO 8601)
+ *       - in: query
+ *         name: bucket_size
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Blocks per call volume bucket (defaults to the range split into 50 buckets)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum entries in top_callers, top_callees and interacting_protocols
+ *     responses:
+ *       200:
+ *         description: Protocol analytics
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 snapshot_name:
- *                   type: string
- *                   description: The name of the snapshot
- *                 snapshot_id:
+ *                 protocol:
+ *                   type: object
+ *                 member_count:
  *                   type: integer
- *                   description: The ID of the snapshot
- *                 nodes:
+ *                 totals:
+ *                   type: object
+ *                   description: Internal, incoming and outgoing call counts
+ *                 top_callers:
  *                   type: array
- *                   description: List of addresses with their coordinates
+ *                   description: External addresses calling members, with call_count, total_value and the number of members called
  *                   items:
  *                     type: object
- *                     properties:
- *                       node_id:
- *                         type: integer
- *                       x:
- *                         type: integer
- *                       y:
- *                         type: integer
- *                       address:
- *                         type: string
- *                 traces:
+ *                 top_callees:
  *                   type: array
- *                   description: List of traces between addresses, including both normal calls (with from_addr) and delegate calls (with storage_addr)
+ *                   description: External addresses called by members
  *                   items:
  *                     type: object
- *                     oneOf:
- *                       - properties:
- *                           from_addr:
- *                             type: string
- *                             description: Source address for normal calls (call, create, create2)
- *                           to_addr:
- *                             type: string
- *                           count:
- *                             type: integer
- *                       - properties:
- *                           storage_addr:
- *                             type: string
- *                             description: Storage address for delegate calls
- *                           to_addr:
- *                             type: string
- *                           count:
- *                             type: integer
+ *                 interacting_protocols:
+ *                   type: array
+ *                   description: Other protocols with incoming_calls, outgoing_calls and counterparties
+ *                   items:
+ *                     type: object
+ *                 volume:
+ *                   type: object
+ *                   description: bucket_size and buckets of from_block, to_block, call_count, tx_count and total_value
+ *                 topology:
+ *                   type: object
+ *                   description: >
+ *                     Member nodes with internal call counts and the 1000 busiest aggregated edges between members;
+ *                     truncated is true if there are more
+ *                 metadata:
+ *                   type: object
+ *                   description: Metadata of members and listed counterparties
+ *       400:
+ *         description: Invalid block range, bucket_size or limit
  *       404:
- *         description: Snapshot not found
+ *         description: Protocol not found
  *       500:
- *         description: Error retrieving snapshot data
+ *         description: Error computing analytics
  */
-app.get('/api/snapshot/:snapshotName', async (req, res) => {
-	const snapshotName = req.params.snapshotName;
-	
+// Route to get protocol interaction analytics
+app.get('/api/metadata/protocol/:protocolId/analytics', requireRole('read'), validate, async (req, res) => {
+	const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+	const bucketSize = req.query.bucket_size === undefined ? undefined : Number(req.query.bucket_size);
+
 	try {
-		// First get the snapshot ID
-		const snapshotQuery = 'SELECT id FROM snapshots WHERE name = $1';
-		const snapshotResult = await pool.query(snapshotQuery, [snapshotName]);
-		
-		if (snapshotResult.rows.length === 0) {
-			return res.status(404).json({ error: 'Snapshot not found' });
+		const { fromBlock, toBlock, error: rangeError } = await resolveBlockRange(pool, req.query);
+		if (rangeError) {
+			return res.status(400).json({ error: rangeError });
 		}
-		
-		const snapshotId = snapshotResult.rows[0].id;
-		
-		// Then get all nodes for this snapshot
-		const nodesQuery = 'SELECT node_id, x, y, address FROM snapshot_nodes WHERE snapshot_id = $1';
-		const nodesResult = await pool.query(nodesQuery, [snapshotId]);
-		
-		// Extract all addresses from nodes
-		const addresses = nodesResult.rows.map(node => node.address);
-		
-		// If no addresses found, return just the empty nodes
-		if (addresses.length === 0) {
-			return res.json({
-				snapshot_name: snapshotName,
-				snapshot_id: snapshotId,
-				nodes: [],
-				traces: []
-			});
+
+		const protocolResult = await pool.query('SELECT * FROM protocols WHERE protocol_id = $1', [Number(req.params.protocolId)]);
+		if (protocolResult.rows.length === 0) {
+			return res.status(404).json({ error: 'Protocol not found' });
 		}
-		
-		// Get normal call traces between these addresses
-		const normalCallsQuery = `
-			SELECT from_addr, to_addr, action
-			FROM traces 
-			WHERE action IN ('call', 'create', 'create2') 
-			AND from_addr = ANY($1) 
-			AND to_addr = ANY($1)
-			GROUP BY from_addr, to_addr, action
-		`;
-		const normalCallsResult = await pool.query(normalCallsQuery, [addresses]);
-		
-		// Get delegate call traces between these addresses
-		const delegateCallsQuery = `
-			SELECT storage_addr, to_addr, action
-			FROM traces 
-			WHERE action IN ('delegate_call') 
-			AND storage_addr = ANY($1) 
-			AND to_addr = ANY($1)
-			GROUP BY storage_addr, to_addr, action
-		`;
-		const delegateCallsResult = await pool.query(delegateCallsQuery, [addresses]);
-		
-		// Combine both types of traces
-		const traces = [
-			// Process normal calls
-			...normalCallsResult.rows.map(trace => ({
-				from_addr: trace.from_addr,
-				to_addr: trace.to_addr,
-				action: trace.action
-			})),
-			// Process delegate calls with original field names
-			...delegateCallsResult.rows.map(trace => ({
-				storage_addr: trace.storage_addr,
-				to_addr: trace.to_addr,
-				action: trace.action
-			}))
-		];
-		
-		// Return the snapshot data with all its nodes and traces
-		res.json({
-			snapshot_name: snapshotName,
-			snapshot_id: snapshotId,
-			nodes: nodesResult.rows,
-			traces: traces
-		});
-		
+
+		const analytics = await protocolAnalytics(pool, protocolResult.rows[0], { fromBlock, toBlock, bucketSize, limit });
+		res.json(analytics);
 	} catch (error) {
-		console.error('Error retrieving snapshot data:', error);
+		console.error('Error computing protocol analytics:', error);
 		res.status(500).json({ error: error.message });
 	}
 });
 
-// Start server
-https.createServer(options, app).listen(PORT, () => {
-	console.log(`Proxy server listening on port ${PORT}`);
+/**
+ * @swagger
+ * /api/labels/{address}:
+ *   get:
+ *     summary: Get labels and tags of an address
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: The address
+ *     responses:
+ *       200:
+ *         description: Labels and tags of the address, each with author and source
+ *       400:
+ *         description: Invalid address
+ *       500:
+ *         description: Error fetching labels
+ */
+// Route to get the labels and tags of an address
+app.get('/api/labels/:address', requireRole('read'), validate, async (req, res) => {
+	const address = req.params.address.toLowerCase();
+
+	try {
+		const labels = await fetchLabels(pool, [address]);
+		res.json({ address, ...labels[address] });
+	} catch (error) {
+		console.error('Error fetching labels:', error);
+		res.status(500).json({ error: error.message });
+	}
 });
+
+/**
+ * @swagger
+ * /api/labels:
+ *   post:
+ *     summary: Add a label to an address
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [address, label]
+ *             properties:
+ *               address:
+ *                 type: string
+ *                 pattern: '^0x[a-fA-F0-9]{40}$'
+ *               label:
+ *                 type: string
+ *                 minLength: 1
+ *               author:
+ *                 type: string
+ *                 nullable: true
+ *               source:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Where the label comes from (e.g. an incident report URL)
+ *     responses:
+ *       201:
+ *         description: Label created
+ *       400:
+ *         description: Invalid address or missing label
+ *       500:
+ *         description: Error creating label
+ */
+// Route to add a label to an address
+app.post('/api/labels', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { address, label, author, source } = req.body || {};
+	try {
+		res.status(201).json(await createLabel(pool, { address: address.toLowerCase(), label, author, source }));
+	} catch (error) {
+		console.error('Error creating label:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/labels/{labelId}:
+ *   patch:
+ *     summary: Update a label
+ *     parameters:
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The label ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 minLength: 1
+ *               author:
+ *                 type: string
+ *                 nullable: true
+ *               source:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated label
+ *       400:
+ *         description: Nothing to update or empty label
+ *       404:
+ *         description: Label not found
+ *       500:
+ *         description: Error updating label
+ */
+// Route to update a label
+app.patch('/api/labels/:labelId', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { label, author, source } = req.body || {};
+	if (label === undefined && author === undefined && source === undefined) {
+		return res.status(400).json({ error: 'Provide label, author or source to update' });
+	}
+
+	try {
+		const updated = await updateLabel(pool, Number(req.params.labelId), { label, author, source });
+		if (!updated) {
+			return res.status(404).json({ error: 'Label not found' });
+		}
+		res.json(updated);
+	} catch (error) {
+		console.error('Error updating label:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/labels/{labelId}:
+ *   delete:
+ *     summary: Delete a label
+ *     parameters:
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The label ID
+ *     responses:
+ *       200:
+ *         description: Deleted label
+ *       400:
+ *         description: Invalid label ID
+ *       404:
+ *         description: Label not found
+ *       500:
+ *         description: Error deleting label
+ */
+// Route to delete a label
+app.delete('/api/labels/:labelId', requireRole('write'), validate, async (req, res) => {
+	try {
+		const deleted = await deleteLabel(pool, Number(req.params.labelId));
+		if (!deleted) {
+			return res.status(404).json({ error: 'Label not found' });
+		}
+		res.json({ success: true, label: deleted });
+	} catch (error) {
+		console.error('Error deleting label:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: List tags
+ *     description: Returns every tag in use with the number of tagged addresses.
+ *     responses:
+ *       200:
+ *         description: Tags with address counts
+ *       500:
+ *         description: Error fetching tags
+ */
+// Route to list tags
+app.get('/api/tags', requireRole('read'), validate, async (req, res) => {
+	try {
+		res.json(await listTags(pool));
+	} catch (error) {
+		console.error('Error fetching tags:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/tags:
+ *   post:
+ *     summary: Tag an address
+ *     description: Tags are case-insensitive and stored lowercase. Tagging an address with a tag it already has keeps the original author and source.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [address, tag]
+ *             properties:
+ *               address:
+ *                 type: string
+ *                 pattern: '^0x[a-fA-F0-9]{40}$'
+ *               tag:
+ *                 type: string
+ *                 pattern: '\S'
+ *               author:
+ *                 type: string
+ *                 nullable: true
+ *               source:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Tag added
+ *       200:
+ *         description: The address already had this tag
+ *       400:
+ *         description: Invalid address or missing tag
+ *       500:
+ *         description: Error adding tag
+ */
+// Route to tag an address
+app.post('/api/tags', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { address, tag, author, source } = req.body || {};
+	try {
+		const { tag: row, created } = await addTag(pool, { address: address.toLowerCase(), tag, author, source });
+		res.status(created ? 201 : 200).json(row);
+	} catch (error) {
+		console.error('Error adding tag:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/tags/search:
+ *   get:
+ *     summary: Search addresses by tag
+ *     description: Returns addresses carrying every one of the given tags, with their contract name and protocol.
+ *     parameters:
+ *       - in: query
+ *         name: tags
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of tags
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Maximum number of addresses
+ *     responses:
+ *       200:
+ *         description: Matching addresses with all their tags
+ *       400:
+ *         description: Missing tags or invalid limit
+ *       500:
+ *         description: Error searching addresses
+ */
+// Route to search addresses by tag
+app.get('/api/tags/search', requireRole('read'), validate, async (req, res) => {
+	const tags = String(req.query.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+	const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+	if (tags.length === 0) {
+		return res.status(400).json({ error: 'Provide at least one tag in tags' });
+	}
+
+	try {
+		res.json(await searchByTags(pool, tags, limit));
+	} catch (error) {
+		console.error('Error searching addresses by tag:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/tags/{address}/{tag}:
+ *   delete:
+ *     summary: Remove a tag from an address
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: The address
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The tag to remove
+ *     responses:
+ *       200:
+ *         description: Tag removed
+ *       404:
+ *         description: The address doesn't have this tag
+ *       500:
+ *         description: Error removing tag
+ */
+// Route to remove a tag from an address
+app.delete('/api/tags/:address/:tag', requireRole('write'), validate, async (req, res) => {
+	try {
+		const removed = await removeTag(pool, req.params.address.toLowerCase(), req.params.tag);
+		if (!removed) {
+			return res.status(404).json({ error: 'Tag not found' });
+		}
+		res.json({ success: true, tag: removed });
+	} catch (error) {
+		console.error('Error removing tag:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * Watchlist addresses from a request body: plain address strings or
+ * { address, note } objects. Returns { entries } or { error }.
+ */
+function parseWatchlistEntries(addresses) {
+	if (!Array.isArray(addresses)) {
+		return { error: 'addresses must be an array' };
+	}
+
+	const entries = [];
+	for (const item of addresses) {
+		const entry = typeof item === 'string' ? { address: item } : item;
+		if (!entry || typeof entry.address !== 'string' || !ADDRESS_REGEX.test(entry.address)) {
+			return { error: `Invalid address: ${JSON.stringify(item)}` };
+		}
+		entries.push({ address: entry.address.toLowerCase(), note: entry.note || null });
+	}
+	return { entries };
+}
+
+/**
+ * @swagger
+ * /api/watchlists:
+ *   get:
+ *     summary: List watchlists
+ *     responses:
+ *       200:
+ *         description: Watchlists with their address counts
+ *       500:
+ *         description: Error fetching watchlists
+ */
+// Route to list watchlists
+app.get('/api/watchlists', requireRole('read'), validate, async (req, res) => {
+	try {
+		res.json(await listWatchlists(pool));
+	} catch (error) {
+		console.error('Error fetching watchlists:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists:
+ *   post:
+ *     summary: Create a watchlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *               author:
+ *                 type: string
+ *               addresses:
+ *                 type: array
+ *                 description: Address strings or objects with address and note
+ *                 items: {}
+ *     responses:
+ *       201:
+ *         description: Watchlist created
+ *       400:
+ *         description: Missing name or invalid addresses
+ *       409:
+ *         description: A watchlist with this name already exists
+ *       500:
+ *         description: Error creating watchlist
+ */
+// Route to create a watchlist
+app.post('/api/watchlists', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { name, description, author, addresses = [] } = req.body || {};
+	const { entries, error } = parseWatchlistEntries(addresses);
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	try {
+		if (await findWatchlistByName(pool, name)) {
+			return res.status(409).json({ error: 'A watchlist with this name already exists' });
+		}
+
+		const watchlistId = await createWatchlist(pool, { name, description, author, addresses: entries });
+		enqueueInBackground(pool, entries.map(entry => entry.address));
+		res.status(201).json(await findWatchlist(pool, watchlistId));
+	} catch (error) {
+		if (isWatchlistNameTaken(error)) {
+			return res.status(409).json({ error: 'A watchlist with this name already exists' });
+		}
+		console.error('Error creating watchlist:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}:
+ *   get:
+ *     summary: Get a watchlist
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     responses:
+ *       200:
+ *         description: Watchlist with its addresses, each with its labels and tags
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error fetching watchlist
+ */
+// Route to get a watchlist
+app.get('/api/watchlists/:watchlistId', requireRole('read'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	try {
+		const watchlist = await findWatchlist(pool, watchlistId);
+		if (!watchlist) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+
+		const labels = await fetchLabels(pool, watchlist.addresses.map(entry => entry.address));
+		watchlist.addresses = watchlist.addresses.map(entry => ({ ...entry, ...labels[entry.address] }));
+		res.json(watchlist);
+	} catch (error) {
+		console.error('Error fetching watchlist:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}:
+ *   patch:
+ *     summary: Rename a watchlist or change its description
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated watchlist
+ *       400:
+ *         description: Nothing to update or empty name
+ *       404:
+ *         description: Watchlist not found
+ *       409:
+ *         description: A watchlist with this name already exists
+ *       500:
+ *         description: Error updating watchlist
+ */
+// Route to update a watchlist
+app.patch('/api/watchlists/:watchlistId', requireRole('write'), express.json(), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	const { name, description } = req.body || {};
+	if (name === undefined && description === undefined) {
+		return res.status(400).json({ error: 'Provide name or description to update' });
+	}
+
+	try {
+		if (name !== undefined) {
+			const existing = await findWatchlistByName(pool, name);
+			if (existing && existing.watchlist_id !== watchlistId) {
+				return res.status(409).json({ error: 'A watchlist with this name already exists' });
+			}
+		}
+
+		if (!await updateWatchlist(pool, watchlistId, { name, description })) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+		res.json(await findWatchlist(pool, watchlistId));
+	} catch (error) {
+		if (isWatchlistNameTaken(error)) {
+			return res.status(409).json({ error: 'A watchlist with this name already exists' });
+		}
+		console.error('Error updating watchlist:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}:
+ *   delete:
+ *     summary: Delete a watchlist
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error deleting watchlist
+ */
+// Route to delete a watchlist
+app.delete('/api/watchlists/:watchlistId', requireRole('write'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	try {
+		if (!await deleteWatchlist(pool, watchlistId)) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+		res.json({ success: true, message: 'Watchlist deleted' });
+	} catch (error) {
+		console.error('Error deleting watchlist:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/addresses:
+ *   post:
+ *     summary: Add addresses to a watchlist
+ *     description: Addresses already on the watchlist keep their entry; a given note replaces the previous one.
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [addresses]
+ *             properties:
+ *               addresses:
+ *                 type: array
+ *                 description: Address strings or objects with address and note
+ *                 items: {}
+ *     responses:
+ *       200:
+ *         description: Updated watchlist
+ *       400:
+ *         description: Invalid addresses
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error adding addresses
+ */
+// Route to add addresses to a watchlist
+app.post('/api/watchlists/:watchlistId/addresses', requireRole('write'), express.json(), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	const { entries, error } = parseWatchlistEntries((req.body || {}).addresses);
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	try {
+		if (!await findWatchlist(pool, watchlistId)) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+
+		await addWatchlistAddresses(pool, watchlistId, entries);
+		enqueueInBackground(pool, entries.map(entry => entry.address));
+		res.json(await findWatchlist(pool, watchlistId));
+	} catch (error) {
+		console.error('Error adding watchlist addresses:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/addresses/{address}:
+ *   delete:
+ *     summary: Remove an address from a watchlist
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: The address to remove
+ *     responses:
+ *       200:
+ *         description: Address removed
+ *       404:
+ *         description: Watchlist not found or address not on it
+ *       500:
+ *         description: Error removing address
+ */
+// Route to remove an address from a watchlist
+app.delete('/api/watchlists/:watchlistId/addresses/:address', requireRole('write'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	try {
+		if (!await removeWatchlistAddress(pool, watchlistId, req.params.address.toLowerCase())) {
+			return res.status(404).json({ error: 'Address is not on this watchlist' });
+		}
+		res.json({ success: true, message: 'Address removed from watchlist' });
+	} catch (error) {
+		console.error('Error removing watchlist address:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/rules:
+ *   get:
+ *     summary: List the alert rules of a watchlist
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     responses:
+ *       200:
+ *         description: Alert rules
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error fetching alert rules
+ */
+// Route to list the alert rules of a watchlist
+app.get('/api/watchlists/:watchlistId/rules', requireRole('read'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+
+	try {
+		if (!await findWatchlist(pool, watchlistId)) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+		res.json(await listRules(pool, watchlistId));
+	} catch (error) {
+		console.error('Error fetching alert rules:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/rules:
+ *   post:
+ *     summary: Add an alert rule to a watchlist
+ *     description: >
+ *       Rules are evaluated against new traces touching an address of the watchlist, both traces ingested
+ *       into the traces table (by the alert worker, src/notify.js) and traces fetched from the logic server
+ *       by /api/trace. large_transfer fires for calls from or to the address carrying at least params.min_value wei;
+ *       new_counterparty fires the first time the address calls or is called by another address;
+ *       unseen_implementation fires when the address delegate_calls into an implementation it never used before.
+ *       Every match is raised once and sent to the webhooks of the watchlist.
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rule_type]
+ *             properties:
+ *               rule_type:
+ *                 type: string
+ *                 enum: [large_transfer, new_counterparty, unseen_implementation]
+ *               params:
+ *                 type: object
+ *                 properties:
+ *                   min_value:
+ *                     type: string
+ *                     description: Minimum value in wei (large_transfer)
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error creating alert rule
+ */
+// Route to add an alert rule to a watchlist
+app.post('/api/watchlists/:watchlistId/rules', requireRole('write'), express.json(), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	const { rule, error } = parseRule(req.body || {});
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	try {
+		if (!await findWatchlist(pool, watchlistId)) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+		res.status(201).json(await createRule(pool, watchlistId, rule));
+	} catch (error) {
+		console.error('Error creating alert rule:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/rules/{ruleId}:
+ *   delete:
+ *     summary: Delete an alert rule
+ *     description: Deletes the rule together with its alerts and their delivery log.
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Error deleting alert rule
+ */
+// Route to delete an alert rule
+app.delete('/api/watchlists/:watchlistId/rules/:ruleId', requireRole('write'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	const ruleId = Number(req.params.ruleId);
+	try {
+		if (!await deleteRule(pool, watchlistId, ruleId)) {
+			return res.status(404).json({ error: 'Rule not found' });
+		}
+		res.json({ success: true, message: 'Rule deleted' });
+	} catch (error) {
+		console.error('Error deleting alert rule:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/webhooks:
+ *   get:
+ *     summary: List the webhooks of a watchlist
+ *     description: Secrets are not returned.
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error fetching webhooks
+ */
+// Route to list the webhooks of a watchlist
+app.get('/api/watchlists/:watchlistId/webhooks', requireRole('read'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+
+	try {
+		if (!await findWatchlist(pool, watchlistId)) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+		res.json(await listWebhooks(pool, watchlistId));
+	} catch (error) {
+		console.error('Error fetching webhooks:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/webhooks:
+ *   post:
+ *     summary: Add a webhook to a watchlist
+ *     description: >
+ *       Alerts of the watchlist are POSTed to url as JSON. The X-Hub-Signature-256 header carries
+ *       sha256=<hex HMAC-SHA256 of the raw body keyed with the secret>, the same format verifySignature
+ *       in src/webhook.js checks. Failed deliveries are retried with exponential backoff.
+ *       url must point to a host in WEBHOOK_ALLOWED_HOSTS or, without that list, to a public address;
+ *       private, loopback and link-local targets are rejected, also at delivery time.
+ *       The secret is generated when not given and only returned in this response.
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       201:
+ *         description: Webhook created, including its secret
+ *       400:
+ *         description: Invalid URL or a URL of a private, loopback or link-local host
+ *       404:
+ *         description: Watchlist not found
+ *       500:
+ *         description: Error creating webhook
+ */
+// Route to add a webhook to a watchlist
+app.post('/api/watchlists/:watchlistId/webhooks', requireRole('write'), express.json(), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	const { url, secret } = req.body || {};
+
+	try {
+		const target = await checkWebhookUrl(url);
+		if (target.error) {
+			return res.status(400).json({ error: target.error });
+		}
+		if (!await findWatchlist(pool, watchlistId)) {
+			return res.status(404).json({ error: 'Watchlist not found' });
+		}
+		res.status(201).json(await createWebhook(pool, watchlistId, { url, secret }));
+	} catch (error) {
+		console.error('Error creating webhook:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{watchlistId}/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The watchlist ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Error deleting webhook
+ */
+// Route to delete a webhook
+app.delete('/api/watchlists/:watchlistId/webhooks/:webhookId', requireRole('write'), validate, async (req, res) => {
+	const watchlistId = Number(req.params.watchlistId);
+	const webhookId = Number(req.params.webhookId);
+	try {
+		if (!await deleteWebhook(pool, watchlistId, webhookId)) {
+			return res.status(404).json({ error: 'Webhook not found' });
+		}
+		res.json({ success: true, message: 'Webhook deleted' });
+	} catch (error) {
+		console.error('Error deleting webhook:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List raised alerts
+ *     description: Newest first. Each alert carries the rule, watchlist, matched address, details, the trace and its address metadata.
+ *     parameters:
+ *       - in: query
+ *         name: watchlist_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only alerts of this watchlist
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Maximum number of alerts
+ *     responses:
+ *       200:
+ *         description: Alerts
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Error fetching alerts
+ */
+// Route to list alerts
+app.get('/api/alerts', requireRole('read'), validate, async (req, res) => {
+	const watchlistId = req.query.watchlist_id === undefined ? undefined : Number(req.query.watchlist_id);
+	const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+	try {
+		res.json(await listAlerts(pool, { watchlistId, limit }));
+	} catch (error) {
+		console.error('Error fetching alerts:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: Webhook delivery log
+ *     description: Newest first. status is pending (waiting for a retry), processing, delivered or failed (retries exhausted); response_status and last_error describe the last attempt.
+ *     parameters:
+ *       - in: query
+ *         name: watchlist_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only deliveries of alerts of this watchlist
+ *       - in: query
+ *         name: webhook_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only deliveries to this webhook
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, delivered, failed]
+ *         description: Only deliveries with this status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Maximum number of deliveries
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Error fetching deliveries
+ */
+// Route to get the webhook delivery log
+app.get('/api/webhooks/deliveries', requireRole('read'), validate, async (req, res) => {
+	const watchlistId = req.query.watchlist_id === undefined ? undefined : Number(req.query.watchlist_id);
+	const webhookId = req.query.webhook_id === undefined ? undefined : Number(req.query.webhook_id);
+	const { status } = req.query;
+	const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+	try {
+		res.json(await listDeliveries(pool, { watchlistId, webhookId, status, limit }));
+	} catch (error) {
+		console.error('Error fetching webhook deliveries:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/addresses/snapshot:
+ *   post:
+ *     summary: Save a new version of a snapshot with node coordinates
+ *     description: Creates a snapshot, or a new version of it if a snapshot with this name already exists. Earlier versions are kept. description and protocol_id default to the values of the previous version.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [snapshot_name, snapshot_nodes]
+ *             properties:
+ *               snapshot_name:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               protocol_id:
+ *                 type: integer
+ *                 nullable: true
+ *               snapshot_nodes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     x:
+ *                       type: number
+ *                     y:
+ *                       type: number
+ *                     address:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *                     group:
+ *                       type: string
+ *                       description: Key of the group the node belongs to
+ *                     notes:
+ *                       type: string
+ *               snapshot_groups:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *                     collapsed:
+ *                       type: boolean
+ *               snapshot_edges:
+ *                 type: array
+ *                 description: Annotations on edges between snapshot nodes
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     source:
+ *                       type: string
+ *                     target:
+ *                       type: string
+ *                     action:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *                     hidden:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Snapshot version created successfully
+ *       400:
+ *         description: Invalid request body
+ *       500:
+ *         description: Error creating snapshot
+ */
+// Audit details of a snapshot save. The replaced version is kept whole so the save can be reverted from the audit log.
+async function snapshotSaveAudit(name, previous, snapshotId, version) {
+	const before = previous ? await loadSnapshotContents(pool, previous) : null;
+	const nodes = await loadNodes(pool, snapshotId);
+	return {
+		resourceType: 'snapshot',
+		resourceId: name,
+		before,
+		after: { id: snapshotId, name, version, node_count: nodes.length },
+		diff: diffNodes(before ? before.nodes : [], nodes),
+	};
+}
+
+app.post('/api/addresses/snapshot', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { snapshot_name, snapshot_nodes, snapshot_groups, snapshot_edges, description, protocol_id } = req.body;
+	const contents = { nodes: snapshot_nodes, groups: snapshot_groups, edges: snapshot_edges };
+	const validationError = validateSnapshotContents(contents);
+	if (validationError) {
+		return res.status(400).json({ error: validationError });
+	}
+
+	try {
+		const { snapshotId, version, previous } = await saveSnapshotVersion(pool, {
+			name: snapshot_name,
+			description,
+			protocolId: protocol_id,
+			contents
+		});
+		enqueueInBackground(pool, snapshot_nodes.map(node => node.address));
+		res.locals.audit = await snapshotSaveAudit(snapshot_name, previous, snapshotId, version);
+
+		res.json({
+			success: true,
+			message: previous ? 'Snapshot version created successfully' : 'Snapshot created successfully',
+			snapshot_id: snapshotId,
+			version: version
+		});
+	} catch (error) {
+		console.error('Error creating snapshot:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshots:
+ *   get:
+ *     summary: List snapshots
+ *     description: Returns the latest version of every snapshot together with its number of versions.
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring of the name or description
+ *       - in: query
+ *         name: protocol_id
+ *         schema:
+ *           type: integer
+ *         description: Only snapshots attached to this protocol
+ *     responses:
+ *       200:
+ *         description: List of snapshots
+ *       400:
+ *         description: Invalid protocol_id
+ *       500:
+ *         description: Error listing snapshots
+ */
+app.get('/api/snapshots', requireRole('read'), validate, async (req, res) => {
+	const { search } = req.query;
+	const protocolId = req.query.protocol_id === undefined ? undefined : Number(req.query.protocol_id);
+
+	try {
+		const snapshots = await listSnapshots(pool, { search, protocolId });
+		res.json(snapshots);
+	} catch (error) {
+		console.error('Error listing snapshots:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/security/check/batch:
+ *   post:
+ *     summary: Start a batch security check
+ *     description: >
+ *       Checks a list of addresses, or every node of a snapshot, in the background and returns a job id
+ *       right away. Addresses with a check that hasn't expired are taken from the cache unless refresh is set;
+ *       the rest are checked with bounded concurrency (SECURITY_CHECK_CONCURRENCY, default 4).
+ *       Poll /api/security/jobs/{jobId} for progress and results.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addresses:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: string
+ *                   pattern: '^0x[a-fA-F0-9]{40}$'
+ *               snapshot_name:
+ *                 type: string
+ *               version:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Snapshot version, latest by default
+ *               refresh:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       202:
+ *         description: Job created, with its id and item counts
+ *       400:
+ *         description: Neither addresses nor snapshot_name given, or invalid addresses
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Error creating the job
+ */
+// Route to start a batch security check
+app.post('/api/security/check/batch', requireRole('write'), express.json(), validate, auth.quota('security_check', batchCheckCost), async (req, res) => {
+	const { addresses, snapshot_name, version, refresh = false } = req.body || {};
+
+	if ((addresses === undefined) === (snapshot_name === undefined)) {
+		return res.status(400).json({ error: 'Provide either addresses or snapshot_name' });
+	}
+
+	try {
+		let jobAddresses = addresses;
+		let snapshotId = null;
+		if (snapshot_name !== undefined) {
+			const snapshot = await findSnapshot(pool, snapshot_name, version);
+			if (!snapshot) {
+				return res.status(404).json({ error: 'Snapshot not found' });
+			}
+			snapshotId = snapshot.id;
+			jobAddresses = (await loadNodes(pool, snapshot.id)).map(node => node.address);
+			if (jobAddresses.length === 0) {
+				return res.status(400).json({ error: 'Snapshot has no nodes' });
+			}
+		}
+
+		const job = await securityJobs.createJob({ addresses: jobAddresses, refresh, snapshotId });
+		res.status(202).json(job);
+	} catch (error) {
+		console.error('Error creating security check job:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/security/jobs/{jobId}:
+ *   get:
+ *     summary: Status and results of a batch security check
+ *     description: status is pending, running or done. counts gives the number of addresses per item status (pending, cached, done, failed); results lists every address with its item status, error and current check result. Jobs of a snapshot also carry its risk summary once done.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The job ID
+ *     responses:
+ *       200:
+ *         description: Job status and results
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Error fetching the job
+ */
+// Route to get a batch security check
+app.get('/api/security/jobs/:jobId', requireRole('read'), validate, async (req, res) => {
+	try {
+		const job = await securityJobs.getJob(Number(req.params.jobId));
+		if (!job) {
+			return res.status(404).json({ error: 'Job not found' });
+		}
+		if (job.snapshot_id !== null && job.status === 'done') {
+			job.risk_summary = await summarizeRisk(pool, await loadNodes(pool, job.snapshot_id));
+		}
+		res.json(job);
+	} catch (error) {
+		console.error('Error fetching security check job:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}/risk:
+ *   get:
+ *     summary: Aggregate risk summary of a snapshot
+ *     description: Summarizes the stored security checks of the snapshot's nodes - how many are checked, unchecked or expired, score minimum, maximum and average overall and per node group, the total number of reports, and every node ordered by score (unchecked nodes last). Run a batch check with snapshot_name to fill the gaps.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Snapshot version, latest by default
+ *     responses:
+ *       200:
+ *         description: Risk summary
+ *       400:
+ *         description: Invalid version
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Error building the summary
+ */
+// Route to summarize the risk of a snapshot
+app.get('/api/snapshot/:snapshotName/risk', requireRole('read'), validate, async (req, res) => {
+	const version = parseVersion(req.query.version);
+
+	try {
+		const snapshot = await findSnapshot(pool, req.params.snapshotName, version);
+		if (!snapshot) {
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+
+		const summary = await summarizeRisk(pool, await loadNodes(pool, snapshot.id));
+		res.json({ snapshot_name: snapshot.name, version: snapshot.version, ...summary });
+	} catch (error) {
+		console.error('Error summarizing snapshot risk:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/security/check/{address}:
+ *   get:
+ *     summary: Get security check for address
+ *     description: Returns security check results for an address. If none are stored, they expired (SECURITY_CHECK_TTL_SECONDS, default 7 days) or refresh=true, performs a security check via external service and records it in the check history. If re-checking an expired result fails, the expired result is returned with stale set. Checks are paid, so running one requires the write role - callers with the read role get stored results only, an expired one with stale set.
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: Ethereum address to check
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Run a new check even if the stored one hasn't expired (write role)
+ *     responses:
+ *       200:
+ *         description: Security check results with scanner_version, checked_at and expires_at
+ *       400:
+ *         description: Invalid address format
+ *       403:
+ *         description: A check would have to run, which requires the write role
+ *       500:
+ *         description: Error performing security check
+ *       502:
+ *         description: The security server failed
+ *       503:
+ *         description: The security server is failing, calls are paused
+ *       504:
+ *         description: The security server timed out
+ */
+app.get('/api/security/check/:address', requireRole('read'), validate, auth.quota('security_check'), async (req, res) => {
+	const address = req.params.address;
+	const refresh = req.query.refresh === 'true';
+	// Scans are paid, so only writers may start one
+	const canScan = hasRole(req.auth, 'write');
+	if (refresh && !canScan) {
+		return res.status(403).json({ error: 'refresh=true requires the write role' });
+	}
+
+	try {
+		const check = await securityChecker.getCheck(address, { refresh, scan: canScan, actor: req.auth.subject });
+		if (!check) {
+			return res.status(403).json({ error: 'The address has not been checked yet; running a check requires the write role' });
+		}
+		res.json(check);
+	} catch (error) {
+		console.error('Error checking security service:', error.message);
+		if (error instanceof UpstreamError) {
+			return sendUpstreamError(res, error);
+		}
+		res.status(500).json({ error: 'Error contacting security service', code: 'SECURITY_SERVICE_ERROR' });
+	}
+});
+
+/**
+ * @swagger
+ * /api/security/check/{address}/history:
+ *   get:
+ *     summary: Security check history of an address
+ *     description: Every check run for the address, newest first, with the scanner version, what triggered it (request, refresh, expired or proxy_upgrade), the score change to the previous run and whether the reports changed.
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: Ethereum address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Maximum number of entries
+ *     responses:
+ *       200:
+ *         description: Check history
+ *       400:
+ *         description: Invalid address or limit
+ *       500:
+ *         description: Error fetching check history
+ */
+app.get('/api/security/check/:address/history', requireRole('read'), validate, async (req, res) => {
+	const address = req.params.address;
+	const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+	try {
+		res.json({ address, history: await fetchCheckHistory(pool, address, limit) });
+	} catch (error) {
+		console.error('Error fetching security check history:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}:
+ *   get:
+ *     summary: Get all nodes and traces for a specific snapshot
+ *     description: Returns all addresses with their coordinates and traces between them for a given snapshot name.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Snapshot version to fetch, the latest one by default
+ *       - in: query
+ *         name: from_block
+ *         schema:
+ *           type: integer
+ *         description: Only aggregate traces at or after this block
+ *       - in: query
+ *         name: to_block
+ *         schema:
+ *           type: integer
+ *         description: Only aggregate traces at or before this block
+ *       - in: query
+ *         name: from_time
+ *         schema:
+ *           type: string
+ *         description: Unix timestamp or ISO 8601 date, resolved through the blocks table. Alternative to from_block.
+ *       - in: query
+ *         name: to_time
+ *         schema:
+ *           type: string
+ *         description: Unix timestamp or ISO 8601 date, resolved through the blocks table. Alternative to to_block.
+ *     responses:
+ *       200:
+ *         description: List of nodes with coordinates and their traces
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snapshot_name:
+ *                   type: string
+ *                   description: The name of the snapshot
+ *                 snapshot_id:
+ *                   type: integer
+ *                   description: The ID of the snapshot
+ *                 from_block:
+ *                   type: integer
+ *                   description: Lower bound of the aggregated block range, if any
+ *                 to_block:
+ *                   type: integer
+ *                   description: Upper bound of the aggregated block range, if any
+ *                 version:
+ *                   type: integer
+ *                   description: The version of the snapshot
+ *                 description:
+ *                   type: string
+ *                 protocol_id:
+ *                   type: integer
+ *                 nodes:
+ *                   type: array
+ *                   description: List of addresses with their coordinates
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       node_id:
+ *                         type: integer
+ *                       x:
+ *                         type: integer
+ *                       y:
+ *                         type: integer
+ *                       address:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       color:
+ *                         type: string
+ *                       group:
+ *                         type: string
+ *                       notes:
+ *                         type: string
+ *                 groups:
+ *                   type: array
+ *                   description: Node groups with their label, color and collapsed state
+ *                   items:
+ *                     type: object
+ *                 edges:
+ *                   type: array
+ *                   description: Edge annotations (label, color, notes, hidden) saved with the snapshot
+ *                   items:
+ *                     type: object
+ *                 traces:
+ *                   type: array
+ *                   description: List of traces between addresses, including both normal calls (with from_addr) and delegate calls (with storage_addr)
+ *                   items:
+ *                     type: object
+ *                     oneOf:
+ *                       - properties:
+ *                           from_addr:
+ *                             type: string
+ *                             description: Source address for normal calls (call, create, create2)
+ *                           to_addr:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                           total_value:
+ *                             type: string
+ *                           first_block:
+ *                             type: integer
+ *                           last_block:
+ *                             type: integer
+ *                       - properties:
+ *                           storage_addr:
+ *                             type: string
+ *                             description: Storage address for delegate calls
+ *                           to_addr:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                           total_value:
+ *                             type: string
+ *                           first_block:
+ *                             type: integer
+ *                           last_block:
+ *                             type: integer
+ *       400:
+ *         description: Invalid version or block range
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Error retrieving snapshot data
+ */
+app.get('/api/snapshot/:snapshotName', requireRole('read'), validate, async (req, res) => {
+	const snapshotName = req.params.snapshotName;
+	const version = parseVersion(req.query.version);
+
+	try {
+		const { fromBlock, toBlock, error: rangeError } = await resolveBlockRange(pool, req.query);
+		if (rangeError) {
+			return res.status(400).json({ error: rangeError });
+		}
+
+		// First get the requested (or latest) snapshot version
+		const snapshot = await findSnapshot(pool, snapshotName, version);
+		
+		if (!snapshot) {
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+		
+		const snapshotId = snapshot.id;
+		
+		// Then get all nodes for this snapshot
+		const nodes = await loadNodes(pool, snapshotId);
+		const groups = await loadGroups(pool, snapshotId);
+		const edges = await loadEdges(pool, snapshotId);
+		
+		// Extract all addresses from nodes
+		const addresses = nodes.map(node => node.address);
+		
+		// If no addresses found, return just the empty nodes
+		if (addresses.length === 0) {
+			return res.json({
+				snapshot_name: snapshotName,
+				snapshot_id: snapshotId,
+				version: snapshot.version,
+				description: snapshot.description,
+				protocol_id: snapshot.protocol_id,
+				from_block: fromBlock,
+				to_block: toBlock,
+				nodes: [],
+				groups: groups,
+				edges: edges,
+				traces: []
+			});
+		}
+		
+		const traces = await loadSnapshotTraces(pool, addresses, { fromBlock, toBlock });
+		
+		// Return the snapshot data with all its nodes and traces
+		res.json({
+			snapshot_name: snapshotName,
+			snapshot_id: snapshotId,
+			version: snapshot.version,
+			description: snapshot.description,
+			protocol_id: snapshot.protocol_id,
+			from_block: fromBlock,
+			to_block: toBlock,
+			nodes: nodes,
+			groups: groups,
+			edges: edges,
+			traces: traces
+		});
+		
+	} catch (error) {
+		console.error('Error retrieving snapshot data:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}/versions:
+ *   get:
+ *     summary: List versions of a snapshot
+ *     description: Returns every saved version of the snapshot, newest first, with its node count.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *     responses:
+ *       200:
+ *         description: List of versions
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Error listing snapshot versions
+ */
+app.get('/api/snapshot/:snapshotName/versions', requireRole('read'), validate, async (req, res) => {
+	try {
+		const versions = await listVersions(pool, req.params.snapshotName);
+
+		if (versions.length === 0) {
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+
+		res.json(versions);
+	} catch (error) {
+		console.error('Error listing snapshot versions:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}/diff:
+ *   get:
+ *     summary: Compare two versions of a snapshot
+ *     description: >
+ *       Returns nodes added, removed, moved or re-annotated between two versions of the snapshot (added, removed,
+ *       changed, unchanged), and in the same shape groups (by key, in groups) and edge annotations (by source,
+ *       target and action, in edges).
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Base version
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version to compare against the base, the latest one by default
+ *     responses:
+ *       200:
+ *         description: Differences between the versions
+ *       400:
+ *         description: Invalid versions
+ *       404:
+ *         description: Snapshot or version not found
+ *       500:
+ *         description: Error comparing snapshot versions
+ */
+app.get('/api/snapshot/:snapshotName/diff', requireRole('read'), validate, async (req, res) => {
+	const snapshotName = req.params.snapshotName;
+	const fromVersion = parseVersion(req.query.from);
+	const toVersion = parseVersion(req.query.to);
+
+	try {
+		const fromSnapshot = await findSnapshot(pool, snapshotName, fromVersion);
+		const toSnapshot = await findSnapshot(pool, snapshotName, toVersion);
+
+		if (!fromSnapshot || !toSnapshot) {
+			return res.status(404).json({ error: 'Snapshot version not found' });
+		}
+
+		const fromNodes = await loadNodes(pool, fromSnapshot.id);
+		const toNodes = await loadNodes(pool, toSnapshot.id);
+
+		res.json({
+			snapshot_name: snapshotName,
+			from_version: fromSnapshot.version,
+			to_version: toSnapshot.version,
+			...diffNodes(fromNodes, toNodes),
+			groups: diffGroups(await loadGroups(pool, fromSnapshot.id), await loadGroups(pool, toSnapshot.id)),
+			edges: diffEdges(await loadEdges(pool, fromSnapshot.id), await loadEdges(pool, toSnapshot.id)),
+		});
+	} catch (error) {
+		console.error('Error comparing snapshot versions:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}:
+ *   patch:
+ *     summary: Update or rename a snapshot
+ *     description: Updates the name, description or protocol of every version of the snapshot.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               protocol_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Latest version of the updated snapshot
+ *       400:
+ *         description: Nothing to update, or the protocol doesn't exist
+ *       404:
+ *         description: Snapshot not found
+ *       409:
+ *         description: A snapshot with the new name already exists
+ *       500:
+ *         description: Error updating snapshot
+ */
+app.patch('/api/snapshot/:snapshotName', requireRole('write'), express.json(), validate, async (req, res) => {
+	const snapshotName = req.params.snapshotName;
+	const { name, description, protocol_id } = req.body || {};
+
+	const updates = [];
+	const params = [snapshotName];
+	if (name !== undefined) {
+		params.push(name);
+		updates.push(`name = $${params.length}`);
+	}
+	if (description !== undefined) {
+		params.push(description);
+		updates.push(`description = $${params.length}`);
+	}
+	if (protocol_id !== undefined) {
+		params.push(protocol_id);
+		updates.push(`protocol_id = $${params.length}`);
+	}
+	if (updates.length === 0) {
+		return res.status(400).json({ error: 'Provide name, description or protocol_id to update' });
+	}
+
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		// The same locks as saves of both names take, in a fixed order, so no version is added or taken in between
+		for (const lockedName of [...new Set([snapshotName, name !== undefined ? name : snapshotName])].sort()) {
+			await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [lockedName]);
+		}
+
+		if (name !== undefined && name !== snapshotName && await findSnapshot(client, name)) {
+			await client.query('ROLLBACK');
+			return res.status(409).json({ error: 'A snapshot with this name already exists' });
+		}
+
+		if (protocol_id !== undefined && protocol_id !== null) {
+			// Locked so the protocol can't be deleted before the update commits
+			const protocolResult = await client.query('SELECT protocol_id FROM protocols WHERE protocol_id = $1 FOR KEY SHARE', [protocol_id]);
+			if (protocolResult.rows.length === 0) {
+				await client.query('ROLLBACK');
+				return res.status(400).json({ error: `Protocol ${protocol_id} does not exist` });
+			}
+		}
+
+		const before = await findSnapshot(client, snapshotName);
+		const updateQuery = `UPDATE snapshots SET ${updates.join(', ')} WHERE name = $1`;
+		const result = await client.query(updateQuery, params);
+
+		if (result.rowCount === 0) {
+			await client.query('ROLLBACK');
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+
+		const snapshot = await findSnapshot(client, name !== undefined ? name : snapshotName);
+		await client.query('COMMIT');
+		res.locals.audit = { resourceType: 'snapshot', resourceId: snapshotName, before, after: snapshot };
+		res.json(snapshot);
+	} catch (error) {
+		await client.query('ROLLBACK');
+		console.error('Error updating snapshot:', error);
+		res.status(500).json({ error: error.message });
+	} finally {
+		client.release();
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}:
+ *   delete:
+ *     summary: Delete a snapshot
+ *     description: Deletes every version of the snapshot, or only the given version.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Delete only this version
+ *     responses:
+ *       200:
+ *         description: Snapshot deleted
+ *       400:
+ *         description: Invalid version
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Error deleting snapshot
+ */
+app.delete('/api/snapshot/:snapshotName', requireRole('admin'), validate, async (req, res) => {
+	const snapshotName = req.params.snapshotName;
+	const version = parseVersion(req.query.version);
+
+	try {
+		const deleted = await deleteSnapshotVersions(pool, snapshotName, version);
+
+		if (deleted.length === 0) {
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+
+		const deletedVersions = deleted.map(snapshot => snapshot.version);
+		// The deleted versions are kept whole so the delete can be reverted from the audit log
+		res.locals.audit = { resourceType: 'snapshot', resourceId: snapshotName, before: deleted, diff: { deleted_versions: deletedVersions } };
+		res.json({
+			success: true,
+			deleted_versions: deletedVersions
+		});
+	} catch (error) {
+		console.error('Error deleting snapshot:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/{snapshotName}/export:
+ *   get:
+ *     summary: Export a snapshot as a graph file
+ *     description: Exports snapshot nodes with their address metadata and groups and the aggregated traces between them as GraphML, GEXF, Cytoscape JSON or CSV node/edge lists. Nodes carry the label, color and collapsed state of their group; GraphML and Cytoscape JSON also contain the full group list, so an import restores every group. CSV cells that a spreadsheet would evaluate as a formula are prefixed with an apostrophe.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the snapshot
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [graphml, gexf, cytoscape, csv-nodes, csv-edges]
+ *         description: Export format
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Snapshot version to export, the latest one by default
+ *       - in: query
+ *         name: from_block
+ *         schema:
+ *           type: integer
+ *         description: Only aggregate traces at or after this block
+ *       - in: query
+ *         name: to_block
+ *         schema:
+ *           type: integer
+ *         description: Only aggregate traces at or before this block
+ *     responses:
+ *       200:
+ *         description: Graph file as an attachment
+ *       400:
+ *         description: Invalid format, version or block range
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Error exporting snapshot
+ */
+app.get('/api/snapshot/:snapshotName/export', requireRole('read'), validate, async (req, res) => {
+	const snapshotName = req.params.snapshotName;
+	const format = EXPORT_FORMATS[req.query.format];
+	const version = parseVersion(req.query.version);
+
+	try {
+		const { fromBlock, toBlock, error: rangeError } = await resolveBlockRange(pool, req.query);
+		if (rangeError) {
+			return res.status(400).json({ error: rangeError });
+		}
+
+		const snapshot = await findSnapshot(pool, snapshotName, version);
+		if (!snapshot) {
+			return res.status(404).json({ error: 'Snapshot not found' });
+		}
+
+		const nodes = await loadNodes(pool, snapshot.id);
+		const groups = await loadGroups(pool, snapshot.id);
+		const annotations = await loadEdges(pool, snapshot.id);
+		const addresses = nodes.map(node => node.address);
+		const traces = addresses.length > 0 ? await loadSnapshotTraces(pool, addresses, { fromBlock, toBlock }) : [];
+		const metadata = await fetchNodeMetadata(pool, addresses);
+
+		const graph = buildExportGraph(snapshotName, nodes, groups, traces, annotations, metadata);
+		const fileName = `${snapshotName}.v${snapshot.version}.${format.extension}`.replace(/[^\w.-]/g, '_');
+
+		res.set('Content-Type', format.contentType);
+		res.attachment(fileName);
+		res.send(serializeGraph(graph, req.query.format));
+	} catch (error) {
+		console.error('Error exporting snapshot:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/snapshot/import:
+ *   post:
+ *     summary: Import a snapshot from a graph file
+ *     description: Creates a snapshot (or a new version of it) from a GraphML or Cytoscape JSON document. Node positions, labels, colors, groups and notes are imported, and annotated edges become edge annotations. Every node address must be a valid Ethereum address.
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *         description: Name of the snapshot to create
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *         description: Snapshot description
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/graphml+xml:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Snapshot imported
+ *       400:
+ *         description: Missing name, unparseable document or invalid addresses
+ *       415:
+ *         description: Unsupported content type
+ *       500:
+ *         description: Error importing snapshot
+ */
+app.post(
+	'/api/snapshot/import',
+	requireRole('write'),
+	express.text({ type: ['application/graphml+xml', 'application/xml', 'text/xml'], limit: '10mb' }),
+	express.json({ limit: '10mb' }),
+	validate,
+	async (req, res) => {
+		const { name, description } = req.query;
+
+		let contents;
+		try {
+			if (req.is('json')) {
+				contents = parseCytoscape(req.body);
+			} else if (typeof req.body === 'string') {
+				contents = parseGraphML(req.body);
+			} else {
+				return res.status(415).json({ error: 'Upload GraphML (application/graphml+xml) or Cytoscape JSON (application/json)' });
+			}
+		} catch (parseError) {
+			return res.status(400).json({ error: 'Could not parse graph document', details: parseError.message });
+		}
+
+		// Same address rules as /api/security/check
+		const invalidAddresses = contents.nodes.map(node => node.address).filter(address => !ADDRESS_REGEX.test(address));
+		if (invalidAddresses.length > 0) {
+			return res.status(400).json({ error: 'Invalid Ethereum address format', addresses: invalidAddresses });
+		}
+		const validationError = validateSnapshotContents(contents);
+		if (validationError) {
+			return res.status(400).json({ error: validationError });
+		}
+
+		try {
+			const { snapshotId, version, previous } = await saveSnapshotVersion(pool, { name, description, contents });
+			enqueueInBackground(pool, contents.nodes.map(node => node.address));
+			res.locals.audit = await snapshotSaveAudit(name, previous, snapshotId, version);
+
+			res.json({
+				success: true,
+				message: 'Snapshot imported successfully',
+				snapshot_id: snapshotId,
+				version: version,
+				node_count: contents.nodes.length,
+				edge_annotation_count: contents.edges.length
+			});
+		} catch (error) {
+			console.error('Error importing snapshot:', error);
+			res.status(500).json({ error: error.message });
+		}
+	}
+);
+
+/**
+ * @swagger
+ * /api/ingest/backfill:
+ *   post:
+ *     summary: Queue a block range for ingestion
+ *     description: Queues a backfill that the trace ingestion worker (src/ingest.js) picks up to fill the blocks and traces tables.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from_block, to_block]
+ *             properties:
+ *               from_block:
+ *                 type: integer
+ *                 minimum: 0
+ *               to_block:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       202:
+ *         description: Backfill queued
+ *       400:
+ *         description: Invalid block range
+ *       500:
+ *         description: Error queueing backfill
+ */
+app.post('/api/ingest/backfill', requireRole('admin'), express.json(), validate, async (req, res) => {
+	const { from_block, to_block } = req.body || {};
+
+	if (from_block > to_block) {
+		return res.status(400).json({ error: 'from_block must not be greater than to_block' });
+	}
+
+	try {
+		const query = `
+			INSERT INTO ingestion_backfills (from_block, to_block, next_block)
+			VALUES ($1, $2, $1)
+			RETURNING *
+		`;
+		const result = await pool.query(query, [from_block, to_block]);
+		res.status(202).json(result.rows[0]);
+	} catch (error) {
+		console.error('Error queueing backfill:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/ingest/status:
+ *   get:
+ *     summary: Get trace ingestion status
+ *     description: Returns the last block ingested by the worker and the most recent backfill requests.
+ *     responses:
+ *       200:
+ *         description: Ingestion checkpoint and backfills
+ *       500:
+ *         description: Error fetching ingestion status
+ */
+app.get('/api/ingest/status', requireRole('read'), validate, async (req, res) => {
+	try {
+		const stateResult = await pool.query('SELECT name, last_block, updated_at FROM ingestion_state ORDER BY name');
+		const backfillsResult = await pool.query('SELECT * FROM ingestion_backfills ORDER BY id DESC LIMIT 50');
+
+		res.json({
+			checkpoints: stateResult.rows,
+			backfills: backfillsResult.rows
+		});
+	} catch (error) {
+		console.error('Error fetching ingestion status:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/enrichment/status:
+ *   get:
+ *     summary: Get address enrichment status
+ *     description: Returns the number of queued addresses by status (pending, processing, done, failed) and the most recent errors.
+ *     responses:
+ *       200:
+ *         description: Enrichment queue status
+ *       500:
+ *         description: Error fetching enrichment status
+ */
+app.get('/api/enrichment/status', requireRole('read'), validate, async (req, res) => {
+	try {
+		res.json(await getQueueStatus(pool));
+	} catch (error) {
+		console.error('Error fetching enrichment status:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/enrichment/queue:
+ *   post:
+ *     summary: Queue addresses for enrichment
+ *     description: Queues addresses that have no metadata yet. Addresses already in the addresses table or in the queue are skipped.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [addresses]
+ *             properties:
+ *               addresses:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   pattern: '^0x[a-fA-F0-9]{40}$'
+ *     responses:
+ *       202:
+ *         description: Number of newly queued addresses
+ *       400:
+ *         description: Invalid addresses
+ *       500:
+ *         description: Error queueing addresses
+ */
+app.post('/api/enrichment/queue', requireRole('write'), express.json(), validate, async (req, res) => {
+	const { addresses } = req.body || {};
+
+	try {
+		const queued = await enqueueAddresses(pool, addresses);
+		res.status(202).json({ queued });
+	} catch (error) {
+		console.error('Error queueing addresses:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: >
+ *       Returns audit entries newest first. Every POST, PUT, PATCH and DELETE under /api is recorded with its actor
+ *       (the calling key or JWT subject), route, redacted payload, status code and outcome; protocol, snapshot and
+ *       API key changes and security check writes also record the state before and after and their diff, and
+ *       protocol address assignments the addresses.
+ *       Page through older entries with before_id. Requires the admin role.
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Caller subject, e.g. key:12, jwt:alice or system:proxy_upgrade
+ *       - in: query
+ *         name: resource_type
+ *         schema:
+ *           type: string
+ *           enum: [protocol, snapshot, api_key, security_check]
+ *       - in: query
+ *         name: resource_id
+ *         schema:
+ *           type: string
+ *         description: Protocol ID, snapshot name, API key ID or address
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Route pattern, e.g. /api/addresses/snapshot
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: from_time
+ *         schema:
+ *           type: string
+ *         description: Only entries at or after this time (unix timestamp or ISO 8601)
+ *       - in: query
+ *         name: to_time
+ *         schema:
+ *           type: string
+ *         description: Only entries at or before this time (unix timestamp or ISO 8601)
+ *       - in: query
+ *         name: before_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only entries older than this audit ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           minimum: 1
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Error querying the audit log
+ */
+// Route to query the audit log
+app.get('/api/audit', requireRole('admin'), validate, async (req, res) => {
+	const { actor, resource_type, resource_id, route, outcome } = req.query;
+	const fromTime = parseTimestamp(req.query.from_time);
+	const toTime = parseTimestamp(req.query.to_time);
+	const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+	if (fromTime === null || toTime === null) {
+		return res.status(400).json({ error: 'from_time and to_time must be unix timestamps or ISO 8601 dates' });
+	}
+
+	try {
+		res.json(await queryAudit(pool, {
+			actor,
+			resourceType: resource_type,
+			resourceId: resource_id,
+			route,
+			outcome,
+			fromTime,
+			toTime,
+			beforeId: req.query.before_id,
+			limit,
+		}));
+	} catch (error) {
+		console.error('Error querying audit log:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/audit/{auditId}:
+ *   get:
+ *     summary: Get an audit entry
+ *     description: Returns the entry with reverted_by set to the audit ID of its revert, if it was reverted. Requires the admin role.
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Audit entry
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Audit entry not found
+ *       500:
+ *         description: Error fetching the audit entry
+ */
+// Route to get an audit entry
+app.get('/api/audit/:auditId', requireRole('admin'), validate, async (req, res) => {
+	try {
+		const entry = await findAuditEntry(pool, req.params.auditId);
+		if (!entry) {
+			return res.status(404).json({ error: 'Audit entry not found' });
+		}
+		res.json(entry);
+	} catch (error) {
+		console.error('Error fetching audit entry:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/audit/{auditId}/revert:
+ *   post:
+ *     summary: Revert a snapshot delete or overwrite
+ *     description: >
+ *       Reverts a successful snapshot change recorded in the audit log. A delete (DELETE /api/snapshot/{snapshotName})
+ *       is reverted by re-creating the deleted versions with their original version numbers. An overwrite
+ *       (POST /api/addresses/snapshot on an existing name) is reverted by saving the contents of the version it
+ *       replaced as a new version, so the history is kept; so is an import (POST /api/snapshot/import) over an
+ *       existing snapshot. The revert is audited itself, in the same transaction, and an entry can be reverted
+ *       only once, also by concurrent requests. Requires the admin role.
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Change reverted
+ *       400:
+ *         description: The entry is not a successful snapshot delete, overwrite or import over an existing snapshot
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Audit entry not found
+ *       409:
+ *         description: Already reverted, or a deleted version exists again
+ *       500:
+ *         description: Error reverting the change
+ */
+// Route to revert a snapshot change from the audit log
+app.post('/api/audit/:auditId/revert', requireRole('admin'), validate, async (req, res) => {
+	const auditId = Number(req.params.auditId);
+	const client = await pool.connect();
+	const reject = async (status, error) => {
+		await client.query('ROLLBACK');
+		return res.status(status).json({ error });
+	};
+
+	try {
+		await client.query('BEGIN');
+		// A concurrent revert of the same entry waits here and then finds this one's audit entry
+		await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit_revert:${auditId}`]);
+		const entry = await findAuditEntry(client, auditId);
+		if (!entry) {
+			return reject(404, 'Audit entry not found');
+		}
+		const isDelete = entry.method === 'DELETE' && entry.route === '/api/snapshot/:snapshotName';
+		const isSave = entry.method === 'POST' && ['/api/addresses/snapshot', '/api/snapshot/import'].includes(entry.route);
+		if (entry.outcome !== 'success' || !entry.before || !(isDelete || isSave)) {
+			return reject(400, 'Only successful snapshot deletes, overwrites and imports over an existing snapshot can be reverted');
+		}
+		if (entry.reverted_by) {
+			return reject(409, `Already reverted by audit entry ${entry.reverted_by}`);
+		}
+
+		let details;
+		let body;
+		if (isDelete) {
+			const { restored, error } = await insertRestoredVersions(client, entry.before);
+			if (error) {
+				return reject(409, error);
+			}
+			details = { diff: { restored_versions: restored } };
+			body = { success: true, restored_versions: restored };
+		} else {
+			// Saving the replaced contents again keeps the overwriting version in the history
+			const previous = entry.before;
+			const protocolResult = await client.query('SELECT 1 FROM protocols WHERE protocol_id = $1', [previous.protocol_id]);
+			const { snapshotId, version } = await insertSnapshotVersion(client, {
+				name: entry.resource_id,
+				description: previous.description,
+				protocolId: protocolResult.rows.length > 0 ? previous.protocol_id : null,
+				contents: { nodes: previous.nodes, groups: previous.groups, edges: previous.edges },
+			});
+			details = { after: { id: snapshotId, name: entry.resource_id, version, restored_from_version: previous.version } };
+			body = { success: true, snapshot_id: snapshotId, version, restored_from_version: previous.version };
+		}
+
+		// Committed together with the revert, so reverted_by is set as soon as the change is visible
+		await recordAudit(client, {
+			...details,
+			...describeRequest(req, 200),
+			resourceType: 'snapshot',
+			resourceId: entry.resource_id,
+			reverts: entry.audit_id,
+		});
+		await client.query('COMMIT');
+		res.locals.audit = { recorded: true };
+		res.json(body);
+	} catch (error) {
+		await client.query('ROLLBACK');
+		console.error('Error reverting audit entry:', error);
+		res.status(500).json({ error: error.message });
+	} finally {
+		client.release();
+	}
+});
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists all keys, including revoked ones. Keys themselves are never returned, only their prefix. Requires the admin role.
+ *     responses:
+ *       200:
+ *         description: API keys
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Error listing API keys
+ */
+// Route to list API keys
+app.get('/api/keys', requireRole('admin'), validate, async (req, res) => {
+	try {
+		res.json(await listApiKeys(pool));
+	} catch (error) {
+		console.error('Error listing API keys:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       Creates a key with the read, write or admin role. The key is returned only in this response.
+ *       rateLimit (requests per minute) and quotas (daily calls per route group - trace for /api/trace,
+ *       security_check for security checks) override the server defaults; a null quota is unlimited.
+ *       Requires the admin role.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [read, write, admin]
+ *               rateLimit:
+ *                 type: integer
+ *                 nullable: true
+ *               quotas:
+ *                 type: object
+ *                 example: { "trace": 10000, "security_check": 100 }
+ *     responses:
+ *       201:
+ *         description: Key created; the key field holds the secret
+ *       400:
+ *         description: Invalid name, role, rateLimit or quotas
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Error creating API key
+ */
+// Route to create an API key
+app.post('/api/keys', requireRole('admin'), express.json(), validate, async (req, res) => {
+	const request = parseKeyRequest(req.body);
+	if (request.error) {
+		return res.status(400).json({ error: request.error });
+	}
+
+	try {
+		const { key, ...created } = await createApiKey(pool, request);
+		res.locals.audit = { resourceType: 'api_key', resourceId: created.key_id, after: created };
+		res.status(201).json({ ...created, key });
+	} catch (error) {
+		console.error('Error creating API key:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/keys/current:
+ *   get:
+ *     summary: Describe the calling credentials
+ *     description: Returns the caller's subject, role, rate limit and today's quota usage.
+ *     responses:
+ *       200:
+ *         description: Caller, limits and usage
+ *       500:
+ *         description: Error fetching usage
+ */
+// Route to describe the caller
+app.get('/api/keys/current', requireRole('read'), validate, async (req, res) => {
+	try {
+		const usage = await fetchUsage(pool, req.auth.subject);
+		res.json({
+			subject: req.auth.subject,
+			role: req.auth.role,
+			key_id: req.auth.keyId,
+			rate_limit: auth.rateLimitOf(req.auth),
+			quotas: Object.fromEntries(QUOTAS.map(quota => [quota, {
+				limit: auth.quotaLimit(req.auth, quota),
+				used: usage[quota] || 0,
+			}])),
+		});
+	} catch (error) {
+		console.error('Error fetching API usage:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately; its row is kept for reference. Requires the admin role.
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: No active key with this ID
+ *       500:
+ *         description: Error revoking API key
+ */
+// Route to revoke an API key
+app.delete('/api/keys/:keyId', requireRole('admin'), validate, async (req, res) => {
+	try {
+		const key = await revokeApiKey(pool, Number(req.params.keyId));
+		if (!key) {
+			return res.status(404).json({ error: 'API key not found' });
+		}
+		res.locals.audit = { resourceType: 'api_key', resourceId: key.key_id, before: { ...key, revoked_at: null }, after: key };
+		res.json(key);
+	} catch (error) {
+		console.error('Error revoking API key:', error);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Live feed of new blocks and traces (Server-Sent Events)
+ *     description: >
+ *       Opens a text/event-stream pushing blocks as the ingestion worker stores them.
+ *       With blocks=true every new block is sent as a `block` event (block_number, block_hash,
+ *       parent_hash, timestamp, finalized). With addresses and/or protocol_id, every block containing
+ *       traces that touch one of the addresses or an address of the protocols yields a `traces` event
+ *       with block_number, traces, metadata (same shape as /api/trace) and finalized_block.
+ *       Event ids are block numbers; reconnecting with Last-Event-ID replays the missed blocks
+ *       (at most 500). A comment line is sent every 25 seconds to keep the connection open.
+ *       EventSource cannot send headers, so the API key may be passed as the api_key query parameter.
+ *     parameters:
+ *       - in: query
+ *         name: blocks
+ *         schema:
+ *           type: boolean
+ *         description: Subscribe to new blocks
+ *       - in: query
+ *         name: addresses
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}(,0x[a-fA-F0-9]{40})*$'
+ *         description: Comma-separated addresses (at most 1000) whose traces to stream
+ *       - in: query
+ *         name: protocol_id
+ *         schema:
+ *           type: string
+ *           pattern: '^\d+(,\d+)*$'
+ *         description: Comma-separated protocol IDs whose addresses' traces to stream
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *       400:
+ *         description: No subscription or invalid parameters
+ */
+// Route to stream new blocks and traces
+app.get('/api/stream', requireRole('read'), validate, async (req, res) => {
+	const blocks = req.query.blocks === 'true';
+	const addresses = [...new Set(String(req.query.addresses || '').split(',').filter(Boolean).map(addr => addr.toLowerCase()))];
+	const protocolIds = String(req.query.protocol_id || '').split(',').filter(Boolean);
+
+	if (!blocks && addresses.length === 0 && protocolIds.length === 0) {
+		return res.status(400).json({ error: 'Subscribe to blocks=true, addresses or protocol_id' });
+	}
+	if (addresses.length > MAX_STREAM_ADDRESSES) {
+		return res.status(400).json({ error: `At most ${MAX_STREAM_ADDRESSES} addresses can be streamed` });
+	}
+
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+		'X-Accel-Buffering': 'no',
+	});
+	res.flushHeaders();
+
+	const send = (event, data, id) => {
+		res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+	};
+	const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+	let unsubscribe = null;
+	let closed = false;
+	req.on('close', () => {
+		closed = true;
+		clearInterval(heartbeat);
+		if (unsubscribe) unsubscribe();
+	});
+
+	try {
+		const subscription = await streamHub.subscribe({
+			blocks,
+			addresses: new Set(addresses),
+			protocolIds: protocolIds.map(Number),
+			send,
+		}, req.get('Last-Event-ID'));
+		if (closed) {
+			subscription();
+		} else {
+			unsubscribe = subscription;
+		}
+	} catch (error) {
+		console.error('Error opening stream:', error);
+		clearInterval(heartbeat);
+		send('error', { error: 'Internal server error', code: 'INTERNAL_ERROR', request_id: req.id });
+		res.end();
+	}
+});
+
+// Unknown /api routes and errors thrown outside the handlers, e.g. invalid JSON bodies
+app.use('/api', notFound);
+app.use(handleErrors);
+
+// Start server; required (by the tests) it only exports the app
+if (require.main === module) {
+	const options = {
+		key: fs.readFileSync('./private.key'),
+		cert: fs.readFileSync('./certificate.crt')
+	};
+
+	https.createServer(options, app).listen(PORT, () => {
+		console.log(`Proxy server listening on port ${PORT} (${cache.backend} cache)`);
+		listenForMetadataChanges(pool, cache);
+		securityJobs.resumeJobs().catch(error => {
+			console.error('Error resuming security check jobs:', error.message);
+		});
+	});
+}
+
+module.exports = app;
@@ -0,0 +1,452 @@
+// Snapshot versions and node queries
+
+const SNAPSHOT_COLUMNS = 's.id, s.name, s.version, s.description, s.protocol_id, s.created_at';
+
+// Parses a version query param: undefined when absent, null when invalid
+function parseVersion(value) {
+	if (value === undefined) return undefined;
+	return /^[1-9]\d*$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Returns the snapshot row for `name` at `version`, or the latest version
+ * when `version` is undefined. Resolves to null if it doesn't exist.
+ */
+async function findSnapshot(db, name, version) {
+	let result;
+	if (version === undefined) {
+		result = await db.query(
+			`SELECT ${SNAPSHOT_COLUMNS} FROM snapshots s WHERE s.name = $1 ORDER BY s.version DESC LIMIT 1`,
+			[name]
+		);
+	} else {
+		result = await db.query(
+			`SELECT ${SNAPSHOT_COLUMNS} FROM snapshots s WHERE s.name = $1 AND s.version = $2`,
+			[name, version]
+		);
+	}
+	return result.rows[0] || null;
+}
+
+async function listVersions(db, name) {
+	const query = `
+		SELECT ${SNAPSHOT_COLUMNS}, COUNT(n.node_id)::int AS node_count
+		FROM snapshots s
+		LEFT JOIN snapshot_nodes n ON n.snapshot_id = s.id
+		WHERE s.name = $1
+		GROUP BY s.id
+		ORDER BY s.version DESC
+	`;
+	const result = await db.query(query, [name]);
+	return result.rows;
+}
+
+/**
+ * Latest version of every snapshot, optionally filtered by a case-insensitive
+ * substring of the name or description and by protocol.
+ */
+async function listSnapshots(db, { search, protocolId }) {
+	const conditions = [];
+	const params = [];
+	if (search) {
+		params.push(`%${search}%`);
+		conditions.push(`(s.name ILIKE $${params.length} OR s.description ILIKE $${params.length})`);
+	}
+	if (protocolId !== undefined) {
+		params.push(protocolId);
+		conditions.push(`s.protocol_id = $${params.length}`);
+	}
+
+	const query = `
+		SELECT * FROM (
+			SELECT DISTINCT ON (s.name) ${SNAPSHOT_COLUMNS},
+				COUNT(*) OVER (PARTITION BY s.name)::int AS version_count
+			FROM snapshots s
+			ORDER BY s.name, s.version DESC
+		) s
+		${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+		ORDER BY s.name
+	`;
+	const result = await db.query(query, params);
+	return result.rows;
+}
+
+async function loadNodes(db, snapshotId) {
+	const nodesQuery = `
+		SELECT node_id, x, y, address, label, color, group_key AS "group", notes
+		FROM snapshot_nodes
+		WHERE snapshot_id = $1
+	`;
+	const nodesResult = await db.query(nodesQuery, [snapshotId]);
+	return nodesResult.rows;
+}
+
+async function loadGroups(db, snapshotId) {
+	const groupsQuery = `
+		SELECT group_key AS key, label, color, collapsed
+		FROM snapshot_groups
+		WHERE snapshot_id = $1
+		ORDER BY group_id
+	`;
+	const groupsResult = await db.query(groupsQuery, [snapshotId]);
+	return groupsResult.rows;
+}
+
+async function loadEdges(db, snapshotId) {
+	const edgesQuery = `
+		SELECT edge_id, source, target, action, label, color, notes, hidden
+		FROM snapshot_edges
+		WHERE snapshot_id = $1
+		ORDER BY edge_id
+	`;
+	const edgesResult = await db.query(edgesQuery, [snapshotId]);
+	return edgesResult.rows;
+}
+
+/**
+ * Checks the nodes, groups and edge annotations of a snapshot request body.
+ * Returns an error message for a 400 response, or null if the body is valid.
+ */
+function validateSnapshotContents({ nodes, groups, edges }) {
+	if (nodes.some(node => !node || node.x === undefined || node.y === undefined || node.address === undefined)) {
+		return 'Each node must have x, y, and address properties';
+	}
+	if (groups !== undefined) {
+		if (!Array.isArray(groups) || groups.some(group => !group || !group.key)) {
+			return 'snapshot_groups must be an array of objects with a key property';
+		}
+		if (new Set(groups.map(group => group.key)).size !== groups.length) {
+			return 'Group keys must be unique';
+		}
+	}
+	if (edges !== undefined) {
+		if (!Array.isArray(edges) || edges.some(edge => !edge || !edge.source || !edge.target)) {
+			return 'snapshot_edges must be an array of objects with source and target properties';
+		}
+	}
+	return null;
+}
+
+/**
+ * Inserts nodes, groups and edge annotations of a new snapshot version.
+ * Groups referenced by nodes but missing from `groups` are created with defaults.
+ */
+async function insertSnapshotContents(db, snapshotId, { nodes, groups = [], edges = [] }) {
+	const groupKeys = new Set(groups.map(group => group.key));
+	const implicitGroups = [...new Set(nodes.map(node => node.group).filter(key => key && !groupKeys.has(key)))]
+		.map(key => ({ key }));
+
+	for (const group of [...groups, ...implicitGroups]) {
+		const insertGroupQuery = `
+			INSERT INTO snapshot_groups (snapshot_id, group_key, label, color, collapsed)
+			VALUES ($1, $2, $3, $4, $5)
+		`;
+		await db.query(insertGroupQuery, [
+			snapshotId,
+			group.key,
+			group.label || null,
+			group.color || null,
+			Boolean(group.collapsed)
+		]);
+	}
+
+	for (const node of nodes) {
+		const insertNodeQuery = `
+			INSERT INTO snapshot_nodes (x, y, address, snapshot_id, label, color, group_key, notes)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+		`;
+		await db.query(insertNodeQuery, [
+			node.x,
+			node.y,
+			node.address,
+			snapshotId,
+			node.label || null,
+			node.color || null,
+			node.group || null,
+			node.notes || null
+		]);
+	}
+
+	for (const edge of edges) {
+		const insertEdgeQuery = `
+			INSERT INTO snapshot_edges (snapshot_id, source, target, action, label, color, notes, hidden)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+		`;
+		await db.query(insertEdgeQuery, [
+			snapshotId,
+			edge.source,
+			edge.target,
+			edge.action || null,
+			edge.label || null,
+			edge.color || null,
+			edge.notes || null,
+			Boolean(edge.hidden)
+		]);
+	}
+}
+
+/**
+ * Inserts `contents` (nodes, groups, edges) as the next version of snapshot
+ * `name` on `client`, which must be in a transaction. description and
+ * protocolId default to the values of the previous version when undefined.
+ * Returns { snapshotId, version, previous } where previous is the prior
+ * latest version row or null.
+ */
+async function insertSnapshotVersion(client, { name, description, protocolId, contents }) {
+	// Serialize concurrent saves of the same name so version numbers don't collide
+	await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [name]);
+	const previous = await findSnapshot(client, name);
+	const version = previous ? previous.version + 1 : 1;
+
+	// Create new snapshot version
+	const createSnapshotQuery = `
+		INSERT INTO snapshots (name, version, description, protocol_id)
+		VALUES ($1, $2, $3, $4)
+		RETURNING id
+	`;
+	const newSnapshot = await client.query(createSnapshotQuery, [
+		name,
+		version,
+		description !== undefined ? description : (previous ? previous.description : null),
+		protocolId !== undefined ? protocolId : (previous ? previous.protocol_id : null)
+	]);
+	const snapshotId = newSnapshot.rows[0].id;
+
+	// Insert all nodes, groups and edge annotations
+	await insertSnapshotContents(client, snapshotId, contents);
+
+	return { snapshotId, version, previous };
+}
+
+// insertSnapshotVersion in a transaction of its own
+async function saveSnapshotVersion(pool, snapshot) {
+	const client = await pool.connect();
+	try {
+		// Begin transaction
+		await client.query('BEGIN');
+		const saved = await insertSnapshotVersion(client, snapshot);
+		// Commit transaction
+		await client.query('COMMIT');
+		return saved;
+	} catch (error) {
+		// Rollback on error
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+// A snapshot row together with its nodes, groups and edge annotations
+async function loadSnapshotContents(db, snapshot) {
+	return {
+		...snapshot,
+		nodes: await loadNodes(db, snapshot.id),
+		groups: await loadGroups(db, snapshot.id),
+		edges: await loadEdges(db, snapshot.id),
+	};
+}
+
+/**
+ * Deletes every version of snapshot `name`, or only `version`, in a single
+ * transaction. Returns the deleted versions with their contents (see
+ * loadSnapshotContents), oldest first; empty if nothing matched.
+ */
+async function deleteSnapshotVersions(pool, name, version) {
+	const client = await pool.connect();
+	try {
+		await client.query('BEGIN');
+		await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [name]);
+
+		const result = version === undefined
+			? await client.query(`SELECT ${SNAPSHOT_COLUMNS} FROM snapshots s WHERE s.name = $1 ORDER BY s.version`, [name])
+			: await client.query(`SELECT ${SNAPSHOT_COLUMNS} FROM snapshots s WHERE s.name = $1 AND s.version = $2`, [name, version]);
+		const deleted = [];
+		for (const snapshot of result.rows) {
+			deleted.push(await loadSnapshotContents(client, snapshot));
+		}
+
+		// snapshot_nodes, groups and edges are removed by ON DELETE CASCADE
+		await client.query('DELETE FROM snapshots WHERE id = ANY($1)', [result.rows.map(row => row.id)]);
+		await client.query('COMMIT');
+		return deleted;
+	} catch (error) {
+		await client.query('ROLLBACK');
+		throw error;
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Re-creates deleted snapshot versions (as returned by
+ * deleteSnapshotVersions) under their original name, version and creation
+ * time on `client`, which must be in a transaction. A protocol deleted in
+ * the meantime is dropped. Returns { restored: [version, ...] }, or { error }
+ * if one of the versions exists again; the caller then rolls back.
+ */
+async function insertRestoredVersions(client, versions) {
+	const restored = [];
+	for (const snapshot of versions) {
+		await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [snapshot.name]);
+		if (await findSnapshot(client, snapshot.name, snapshot.version)) {
+			return { error: `Version ${snapshot.version} of snapshot ${snapshot.name} exists again` };
+		}
+
+		const inserted = await client.query(`
+			INSERT INTO snapshots (name, version, description, protocol_id, created_at)
+			VALUES ($1, $2, $3, (SELECT protocol_id FROM protocols WHERE protocol_id = $4), $5)
+			RETURNING id
+		`, [snapshot.name, snapshot.version, snapshot.description, snapshot.protocol_id, snapshot.created_at]);
+		await insertSnapshotContents(client, inserted.rows[0].id, snapshot);
+		restored.push(snapshot.version);
+	}
+	return { restored };
+}
+
+/**
+ * Traces between snapshot addresses aggregated per edge, with call count,
+ * total value and first/last block. Normal calls are paired by
+ * from_addr/to_addr and delegate calls by storage_addr/to_addr.
+ * `fromBlock` and `toBlock` optionally bound the traces considered.
+ */
+async function loadSnapshotTraces(db, addresses, { fromBlock, toBlock } = {}) {
+	const params = [addresses];
+	const blockConditions = [];
+	if (fromBlock !== undefined) {
+		params.push(fromBlock);
+		blockConditions.push(`AND block_number >= $${params.length}`);
+	}
+	if (toBlock !== undefined) {
+		params.push(toBlock);
+		blockConditions.push(`AND block_number <= $${params.length}`);
+	}
+	const stats = `
+		COUNT(*)::int AS count,
+		SUM(value::numeric)::text AS total_value,
+		MIN(block_number) AS first_block,
+		MAX(block_number) AS last_block
+	`;
+
+	// Get normal call traces between these addresses
+	const normalCallsQuery = `
+		SELECT from_addr, to_addr, action, ${stats}
+		FROM traces 
+		WHERE action IN ('call', 'create', 'create2') 
+		AND from_addr = ANY($1) 
+		AND to_addr = ANY($1)
+		${blockConditions.join(' ')}
+		GROUP BY from_addr, to_addr, action
+	`;
+	const normalCallsResult = await db.query(normalCallsQuery, params);
+
+	// Get delegate call traces between these addresses
+	const delegateCallsQuery = `
+		SELECT storage_addr, to_addr, action, ${stats}
+		FROM traces 
+		WHERE action IN ('delegate_call') 
+		AND storage_addr = ANY($1) 
+		AND to_addr = ANY($1)
+		${blockConditions.join(' ')}
+		GROUP BY storage_addr, to_addr, action
+	`;
+	const delegateCallsResult = await db.query(delegateCallsQuery, params);
+
+	const edgeStats = trace => ({
+		count: trace.count,
+		total_value: trace.total_value,
+		first_block: Number(trace.first_block),
+		last_block: Number(trace.last_block),
+	});
+
+	// Combine both types of traces
+	return [
+		// Process normal calls
+		...normalCallsResult.rows.map(trace => ({
+			from_addr: trace.from_addr,
+			to_addr: trace.to_addr,
+			action: trace.action,
+			...edgeStats(trace)
+		})),
+		// Process delegate calls with original field names
+		...delegateCallsResult.rows.map(trace => ({
+			storage_addr: trace.storage_addr,
+			to_addr: trace.to_addr,
+			action: trace.action,
+			...edgeStats(trace)
+		}))
+	];
+}
+
+const NODE_ANNOTATIONS = ['label', 'color', 'group', 'notes'];
+
+/**
+ * Compares two lists of items identified by their `keyFields`. Returns added
+ * and removed items, items whose `fields` changed (with the key fields and
+ * both states) and the number of unchanged items.
+ */
+function diffByKey(fromItems, toItems, keyFields, fields) {
+	const keyOf = item => JSON.stringify(keyFields.map(field => item[field] ?? null));
+	const before = new Map(fromItems.map(item => [keyOf(item), item]));
+	const after = new Map(toItems.map(item => [keyOf(item), item]));
+
+	const added = toItems.filter(item => !before.has(keyOf(item)));
+	const removed = fromItems.filter(item => !after.has(keyOf(item)));
+	const changed = [];
+	let unchanged = 0;
+
+	toItems.forEach(item => {
+		const previous = before.get(keyOf(item));
+		if (!previous) return;
+		const changedFields = fields.filter(field => previous[field] !== item[field]);
+		if (changedFields.length > 0) {
+			const pick = (source, picked) => Object.fromEntries(picked.map(field => [field, source[field]]));
+			changed.push({
+				...pick(item, keyFields),
+				from: pick(previous, changedFields),
+				to: pick(item, changedFields),
+			});
+		} else {
+			unchanged++;
+		}
+	});
+
+	return { added, removed, changed, unchanged };
+}
+
+// Nodes compared by address: position and annotations
+function diffNodes(fromNodes, toNodes) {
+	return diffByKey(fromNodes, toNodes, ['address'], ['x', 'y', ...NODE_ANNOTATIONS]);
+}
+
+// Groups compared by key: label, color and collapsed state
+function diffGroups(fromGroups, toGroups) {
+	return diffByKey(fromGroups, toGroups, ['key'], ['label', 'color', 'collapsed']);
+}
+
+// Edge annotations compared by source, target and action
+function diffEdges(fromEdges, toEdges) {
+	const strip = edges => edges.map(({ edge_id, ...edge }) => edge);
+	return diffByKey(strip(fromEdges), strip(toEdges), ['source', 'target', 'action'], ['label', 'color', 'notes', 'hidden']);
+}
+
+module.exports = {
+	parseVersion,
+	findSnapshot,
+	listVersions,
+	listSnapshots,
+	loadNodes,
+	loadGroups,
+	loadEdges,
+	loadSnapshotTraces,
+	validateSnapshotContents,
+	insertSnapshotContents,
+	insertSnapshotVersion,
+	saveSnapshotVersion,
+	loadSnapshotContents,
+	deleteSnapshotVersions,
+	insertRestoredVersions,
+	diffNodes,
+	diffGroups,
+	diffEdges,
+};
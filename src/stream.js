@@ -0,0 +1,211 @@
+// Live block and trace feed for Server-Sent Events subscribers.
+//
+// The hub polls the blocks table filled by the ingestion worker while anyone
+// is subscribed and pushes every new block to each subscriber, in order.
+const { normalizeTrace, collectAddresses, fetchAddressMetadata, fetchFinalizedHead, markFinalized } = require('./core');
+
+// Blocks pushed per poll, so a reconnecting client catches up gradually
+const MAX_BLOCKS_PER_POLL = 50;
+// How far back Last-Event-ID may rewind, and how many streamed blocks are checked for reorgs
+const MAX_REPLAY_BLOCKS = 500;
+
+async function fetchHead(pool) {
+	const result = await pool.query('SELECT MAX(block_number) AS block_number FROM blocks');
+	const blockNumber = result.rows[0].block_number;
+	return blockNumber === null ? null : Number(blockNumber);
+}
+
+/**
+ * Creates the subscription hub. A subscriber is
+ * { blocks, addresses (Set), protocolIds (array), send(event, data, id) }:
+ * it receives a `block` event per new block when `blocks` is set and a
+ * `traces` event per block with traces touching one of its addresses or an
+ * address of one of its protocols. Event ids are block numbers, usable as
+ * Last-Event-ID to resume. Streamed blocks replaced by a reorg, at the same
+ * height or not, are streamed again once re-ingested.
+ */
+function createStreamHub(pool, { pollIntervalMs = 2000 } = {}) {
+	const subscribers = new Set();
+	// Hashes of the unfinalized blocks streamed so far, by block number
+	const streamedHashes = new Map();
+	let timer = null;
+	let polling = false;
+
+	async function poll() {
+		if (polling || subscribers.size === 0) return;
+		polling = true;
+		try {
+			await pushNewBlocks();
+		} catch (error) {
+			console.error('Error streaming blocks:', error.message);
+		} finally {
+			polling = false;
+		}
+	}
+
+	// Lowest streamed block whose stored hash changed or that was rolled back, or null
+	async function findReorgedBlock() {
+		if (streamedHashes.size === 0) return null;
+		const blockNumbers = [...streamedHashes.keys()];
+		const result = await pool.query('SELECT block_number, block_hash FROM blocks WHERE block_number = ANY($1)', [blockNumbers]);
+		const stored = new Map(result.rows.map(row => [Number(row.block_number), row.block_hash]));
+		const reorged = blockNumbers.filter(blockNumber => stored.get(blockNumber) !== streamedHashes.get(blockNumber));
+		return reorged.length > 0 ? Math.min(...reorged) : null;
+	}
+
+	async function pushNewBlocks() {
+		const head = await fetchHead(pool);
+		if (head === null) return;
+
+		const active = [...subscribers];
+		// Blocks replaced by a reorg are streamed again, from the fork on, to the subscribers that got them
+		const reorgedBlock = await findReorgedBlock();
+		if (reorgedBlock !== null) {
+			active.forEach(subscriber => {
+				if (subscriber.lastBlock !== null && subscriber.lastBlock >= reorgedBlock) {
+					subscriber.lastBlock = Math.max(reorgedBlock - 1, subscriber.startBlock ?? -1);
+				}
+			});
+			[...streamedHashes.keys()].filter(blockNumber => blockNumber >= reorgedBlock).forEach(blockNumber => streamedHashes.delete(blockNumber));
+		}
+		active.forEach(subscriber => {
+			if (subscriber.lastBlock === null || subscriber.lastBlock > head) {
+				subscriber.lastBlock = head;
+			}
+		});
+
+		const from = Math.min(...active.map(subscriber => subscriber.lastBlock)) + 1;
+		if (from > head) return;
+		const to = Math.min(head, from + MAX_BLOCKS_PER_POLL - 1);
+
+		const blocksResult = await pool.query(`
+			SELECT block_number, block_hash, parent_hash, block_timestamp, finalized
+			FROM blocks
+			WHERE block_number BETWEEN $1 AND $2
+			ORDER BY block_number
+		`, [from, to]);
+
+		// Protocol membership is looked up on every poll so newly assigned addresses are picked up
+		const protocolIds = [...new Set(active.flatMap(subscriber => subscriber.protocolIds))];
+		const protocolAddresses = new Map(protocolIds.map(id => [id, new Set()]));
+		if (protocolIds.length > 0) {
+			const protocolResult = await pool.query('SELECT protocol_id, address FROM addresses WHERE protocol_id = ANY($1)', [protocolIds]);
+			protocolResult.rows.forEach(row => protocolAddresses.get(row.protocol_id).add(row.address));
+		}
+
+		const watchedBy = new Map(active.map(subscriber => {
+			const watched = new Set(subscriber.addresses);
+			subscriber.protocolIds.forEach(id => protocolAddresses.get(id).forEach(address => watched.add(address)));
+			return [subscriber, watched];
+		}));
+		const allWatched = [...new Set([...watchedBy.values()].flatMap(watched => [...watched]))];
+
+		let traces = [];
+		if (allWatched.length > 0) {
+			const tracesResult = await pool.query(`
+				SELECT trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action, call_data
+				FROM traces
+				WHERE block_number BETWEEN $1 AND $2
+				AND (from_addr = ANY($3) OR to_addr = ANY($3) OR storage_addr = ANY($3))
+				ORDER BY block_number, length(trace_id), trace_id
+			`, [from, to, allWatched]);
+			traces = tracesResult.rows.map(normalizeTrace);
+		}
+
+		const finalizedHead = await fetchFinalizedHead(pool);
+		traces = markFinalized(traces, finalizedHead);
+		const metadata = await fetchAddressMetadata(pool, collectAddresses(traces));
+
+		blocksResult.rows.forEach(row => {
+			const blockNumber = Number(row.block_number);
+			const block = {
+				block_number: blockNumber,
+				block_hash: row.block_hash,
+				parent_hash: row.parent_hash,
+				timestamp: row.block_timestamp,
+				finalized: row.finalized,
+			};
+			if (!row.finalized) {
+				streamedHashes.set(blockNumber, row.block_hash);
+			}
+			const blockTraces = traces.filter(trace => trace.block_number === blockNumber);
+
+			active.forEach(subscriber => {
+				if (blockNumber <= subscriber.lastBlock || !subscribers.has(subscriber)) return;
+
+				const events = [];
+				if (subscriber.blocks) {
+					events.push(['block', block]);
+				}
+
+				const watched = watchedBy.get(subscriber);
+				const matching = blockTraces.filter(trace =>
+					watched.has(trace.from_addr) || watched.has(trace.to_addr) || watched.has(trace.storage_addr)
+				);
+				if (matching.length > 0) {
+					const subset = {};
+					collectAddresses(matching).forEach(address => {
+						subset[address] = metadata[address];
+					});
+					events.push(['traces', {
+						block_number: blockNumber,
+						traces: matching,
+						metadata: subset,
+						finalized_block: finalizedHead,
+					}]);
+				}
+
+				// Only the last event of a block carries its id, so a reconnect never skips part of a block
+				events.forEach(([event, data], index) => {
+					subscriber.send(event, data, index === events.length - 1 ? blockNumber : undefined);
+				});
+			});
+		});
+
+		active.forEach(subscriber => {
+			subscriber.lastBlock = Math.max(subscriber.lastBlock, to);
+		});
+		// Finalized blocks never change
+		[...streamedHashes.keys()]
+			.filter(blockNumber => (finalizedHead !== null && blockNumber <= finalizedHead) || blockNumber <= to - MAX_REPLAY_BLOCKS)
+			.forEach(blockNumber => streamedHashes.delete(blockNumber));
+	}
+
+	return {
+		/**
+		 * Registers `subscriber`. Without `lastEventId` it starts at the current
+		 * head; otherwise blocks after that id are replayed (at most
+		 * MAX_REPLAY_BLOCKS). Returns a function that unsubscribes.
+		 */
+		async subscribe(subscriber, lastEventId) {
+			const head = await fetchHead(pool);
+			let lastBlock = head;
+			if (/^\d+$/.test(lastEventId || '') && head !== null) {
+				lastBlock = Math.max(Number(lastEventId), head - MAX_REPLAY_BLOCKS);
+			}
+
+			// Blocks up to startBlock were never streamed to this subscriber
+			const entry = { ...subscriber, lastBlock, startBlock: lastBlock };
+			subscribers.add(entry);
+			if (!timer) {
+				timer = setInterval(poll, pollIntervalMs);
+			}
+
+			return function unsubscribe() {
+				subscribers.delete(entry);
+				if (subscribers.size === 0 && timer) {
+					clearInterval(timer);
+					timer = null;
+				}
+			};
+		},
+
+		get size() {
+			return subscribers.size;
+		},
+	};
+}
+
+module.exports = {
+	createStreamHub,
+};
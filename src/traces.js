@@ -0,0 +1,215 @@
+// Filtered, cursor-paginated queries against the local traces table
+
+const TRACE_ACTIONS = ['call', 'delegate_call', 'create', 'create2'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+const FILTER_PARAMS = ['limit', 'cursor', 'from_block', 'to_block', 'action', 'counterparty', 'min_value'];
+
+function encodeCursor(row) {
+	return Buffer.from(JSON.stringify([Number(row.block_number), row.trace_id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+	try {
+		const [blockNumber, traceId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		if (!Number.isInteger(blockNumber) || typeof traceId !== 'string') {
+			return null;
+		}
+		return { blockNumber, traceId };
+	} catch (err) {
+		return null;
+	}
+}
+
+function parseBlock(value) {
+	if (value === undefined) return undefined;
+	return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+// Unix seconds or an ISO 8601 date, as unix seconds
+function parseTimestamp(value) {
+	if (value === undefined) return undefined;
+	if (/^\d+$/.test(value)) return Number(value);
+	const parsed = Date.parse(value);
+	return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Resolves from_block/to_block or from_time/to_time query params to a block
+ * range. Timestamps are mapped through the blocks table to the first block
+ * at or after from_time and the last block at or before to_time.
+ * Returns { fromBlock, toBlock } (either may be undefined) or { error }.
+ */
+async function resolveBlockRange(pool, query) {
+	let fromBlock = parseBlock(query.from_block);
+	let toBlock = parseBlock(query.to_block);
+	const fromTime = parseTimestamp(query.from_time);
+	const toTime = parseTimestamp(query.to_time);
+
+	if (fromBlock === null || toBlock === null) {
+		return { error: 'from_block and to_block must be non-negative integers' };
+	}
+	if (fromTime === null || toTime === null) {
+		return { error: 'from_time and to_time must be unix timestamps or ISO 8601 dates' };
+	}
+	if ((fromBlock !== undefined && fromTime !== undefined) || (toBlock !== undefined && toTime !== undefined)) {
+		return { error: 'Provide either a block or a time bound for each side of the range, not both' };
+	}
+
+	if (fromTime !== undefined) {
+		const result = await pool.query(
+			`SELECT MIN(block_number) AS block_number FROM blocks WHERE block_timestamp >= to_timestamp($1) AT TIME ZONE 'UTC'`,
+			[fromTime]
+		);
+		// No block after from_time yet: the range is empty
+		fromBlock = result.rows[0].block_number === null ? Number.MAX_SAFE_INTEGER : Number(result.rows[0].block_number);
+	}
+	if (toTime !== undefined) {
+		const result = await pool.query(
+			`SELECT MAX(block_number) AS block_number FROM blocks WHERE block_timestamp <= to_timestamp($1) AT TIME ZONE 'UTC'`,
+			[toTime]
+		);
+		toBlock = result.rows[0].block_number === null ? -1 : Number(result.rows[0].block_number);
+	}
+
+	return { fromBlock, toBlock };
+}
+
+// True when the request asks for anything the logic server can't answer
+function hasTraceFilters(query) {
+	return FILTER_PARAMS.some(param => query[param] !== undefined);
+}
+
+/**
+ * Parses pagination and filter query params of the trace endpoints.
+ * Returns { filters } on success or { error } with a message for a 400 response.
+ */
+function parseTraceFilters(query) {
+	const filters = {};
+
+	if (query.limit !== undefined) {
+		const limit = Number(query.limit);
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+		}
+		filters.limit = limit;
+	} else {
+		filters.limit = DEFAULT_PAGE_SIZE;
+	}
+
+	if (query.cursor !== undefined) {
+		filters.cursor = decodeCursor(query.cursor);
+		if (!filters.cursor) {
+			return { error: 'Invalid cursor' };
+		}
+	}
+
+	filters.fromBlock = parseBlock(query.from_block);
+	filters.toBlock = parseBlock(query.to_block);
+	if (filters.fromBlock === null || filters.toBlock === null) {
+		return { error: 'from_block and to_block must be non-negative integers' };
+	}
+
+	if (query.action !== undefined) {
+		filters.actions = String(query.action).split(',');
+		if (!filters.actions.every(action => TRACE_ACTIONS.includes(action))) {
+			return { error: `action must be one of ${TRACE_ACTIONS.join(', ')}` };
+		}
+	}
+
+	if (query.counterparty !== undefined) {
+		if (!ADDRESS_REGEX.test(query.counterparty)) {
+			return { error: 'Invalid counterparty address format' };
+		}
+		// Traces are stored with lowercase addresses
+		filters.counterparty = query.counterparty.toLowerCase();
+	}
+
+	if (query.min_value !== undefined) {
+		if (!/^\d+$/.test(query.min_value)) {
+			return { error: 'min_value must be a non-negative integer (wei)' };
+		}
+		filters.minValue = query.min_value;
+	}
+
+	return { filters };
+}
+
+/**
+ * Loads one page of traces from the traces table. Exactly one of `address`
+ * or `block` selects the base set; `filters` comes from parseTraceFilters.
+ * `address` may be checksummed.
+ * Returns { traces, next_cursor } where next_cursor is null on the last page.
+ */
+async function queryTraces(pool, { address, block }, filters) {
+	const conditions = [];
+	const params = [];
+	const param = value => {
+		params.push(value);
+		return `$${params.length}`;
+	};
+
+	if (address) {
+		const p = param(address.toLowerCase());
+		if (filters.counterparty) {
+			const c = param(filters.counterparty);
+			conditions.push(`(
+				(from_addr = ${p} AND to_addr = ${c})
+				OR (to_addr = ${p} AND from_addr = ${c})
+				OR (storage_addr = ${p} AND to_addr = ${c})
+				OR (to_addr = ${p} AND storage_addr = ${c})
+			)`);
+		} else {
+			conditions.push(`(from_addr = ${p} OR to_addr = ${p} OR storage_addr = ${p})`);
+		}
+	} else {
+		conditions.push(`block_number = ${param(block)}`);
+		if (filters.counterparty) {
+			const c = param(filters.counterparty);
+			conditions.push(`(from_addr = ${c} OR to_addr = ${c} OR storage_addr = ${c})`);
+		}
+	}
+
+	if (filters.fromBlock !== undefined) {
+		conditions.push(`block_number >= ${param(filters.fromBlock)}`);
+	}
+	if (filters.toBlock !== undefined) {
+		conditions.push(`block_number <= ${param(filters.toBlock)}`);
+	}
+	if (filters.actions) {
+		conditions.push(`action = ANY(${param(filters.actions)})`);
+	}
+	if (filters.minValue !== undefined) {
+		conditions.push(`value::numeric >= ${param(filters.minValue)}::numeric`);
+	}
+	if (filters.cursor) {
+		conditions.push(`(block_number, trace_id) > (${param(filters.cursor.blockNumber)}, ${param(filters.cursor.traceId)})`);
+	}
+
+	// Fetch one extra row to know whether another page exists
+	const query = `
+		SELECT trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action, call_data
+		FROM traces
+		WHERE ${conditions.join(' AND ')}
+		ORDER BY block_number, trace_id
+		LIMIT ${param(filters.limit + 1)}
+	`;
+	const result = await pool.query(query, params);
+
+	const rows = result.rows.slice(0, filters.limit);
+	const nextCursor = result.rows.length > filters.limit ? encodeCursor(rows[rows.length - 1]) : null;
+
+	return { traces: rows, next_cursor: nextCursor };
+}
+
+module.exports = {
+	TRACE_ACTIONS,
+	ADDRESS_REGEX,
+	hasTraceFilters,
+	parseTraceFilters,
+	queryTraces,
+	parseTimestamp,
+	resolveBlockRange,
+};
@@ -0,0 +1,132 @@
+// HTTP clients for the upstream services (logic server, security server,
+// this API itself, Etherscan and the JSON-RPC node) with timeouts, bounded
+// retries and a circuit breaker each
+const https = require('https');
+const axios = require('axios');
+const { LOGIC_SERVER, SECURITY_SERVER, PUBLIC_SERVER, ETHERSCAN, ETH_RPC } = require('./config');
+
+/**
+ * A failed upstream call. `status` is the status to answer the API client
+ * with (502 for upstream errors, 503 while the circuit is open, 504 for
+ * timeouts) and `code` the matching error code; `upstreamStatus` is the
+ * status the upstream answered with, if it answered.
+ */
+class UpstreamError extends Error {
+	constructor(upstream, message, { status = 502, code = 'UPSTREAM_ERROR', upstreamStatus = null, cause } = {}) {
+		super(message, { cause });
+		this.name = 'UpstreamError';
+		this.upstream = upstream;
+		this.status = status;
+		this.code = code;
+		this.upstreamStatus = upstreamStatus;
+	}
+}
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toUpstreamError(name, timeoutMs, error) {
+	if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+		return new UpstreamError(name, `${name} did not answer within ${timeoutMs} ms`, { status: 504, code: 'UPSTREAM_TIMEOUT', cause: error });
+	}
+	if (error.response) {
+		return new UpstreamError(name, `${name} answered with status ${error.response.status}`, { upstreamStatus: error.response.status, cause: error });
+	}
+	return new UpstreamError(name, `${name} is unreachable`, { cause: error });
+}
+
+// Timeouts, connection failures and 5xx answers count against the breaker; 4xx answers don't
+function isFailure(error) {
+	return error.upstreamStatus === null || error.upstreamStatus >= 500;
+}
+
+/**
+ * Creates a client for the upstream `name` at `url` (see upstreamConfig in
+ * config.js). get() retries failures up to `retries` times with exponential
+ * backoff; post() only when called with `idempotent: true`, e.g. for JSON-RPC
+ * reads. Both reject with UpstreamError and fail fast while the circuit is
+ * open.
+ */
+function createUpstreamClient(name, { url, timeoutMs, retries, retryDelayMs, failureThreshold, resetTimeoutMs, httpsAgent }) {
+	const http = axios.create({ baseURL: url, timeout: timeoutMs, httpsAgent });
+	let failures = 0;
+	let openUntil = 0;
+	let trialRunning = false;
+
+	async function send(config) {
+		const now = Date.now();
+		const trial = failures >= failureThreshold;
+		if (trial) {
+			// Open: reject until the reset timeout, then let one trial request through (half-open)
+			if (now < openUntil || trialRunning) {
+				throw new UpstreamError(name, `${name} is unavailable after repeated failures, try again in ${Math.ceil((openUntil - now) / 1000)} s`, {
+					status: 503,
+					code: 'UPSTREAM_UNAVAILABLE',
+				});
+			}
+			trialRunning = true;
+		}
+
+		try {
+			const response = await http.request(config);
+			failures = 0;
+			return response;
+		} catch (error) {
+			const upstreamError = toUpstreamError(name, timeoutMs, error);
+			if (isFailure(upstreamError)) {
+				failures += 1;
+				if (failures >= failureThreshold) {
+					openUntil = Date.now() + resetTimeoutMs;
+					if (failures === failureThreshold) {
+						console.error(`${name} failed ${failures} times in a row, pausing calls for ${resetTimeoutMs} ms`);
+					}
+				}
+			} else {
+				failures = 0;
+			}
+			throw upstreamError;
+		} finally {
+			if (trial) trialRunning = false;
+		}
+	}
+
+	async function withRetries(config) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await send(config);
+			} catch (error) {
+				if (attempt >= retries || !isFailure(error) || error.code === 'UPSTREAM_UNAVAILABLE') {
+					throw error;
+				}
+				await sleep(retryDelayMs * 2 ** attempt);
+			}
+		}
+	}
+
+	return {
+		name,
+		get: (path, config = {}) => withRetries({ ...config, method: 'get', url: path }),
+		post: (path, data, { idempotent = false, ...config } = {}) => (idempotent ? withRetries : send)({ ...config, method: 'post', url: path, data }),
+	};
+}
+
+const logicServer = createUpstreamClient('Logic server', LOGIC_SERVER);
+const securityServer = createUpstreamClient('Security server', SECURITY_SERVER);
+// The API serves a self-signed certificate
+const publicServer = createUpstreamClient('Public API', {
+	...PUBLIC_SERVER,
+	httpsAgent: new https.Agent({ rejectUnauthorized: false }),
+});
+const etherscan = createUpstreamClient('Etherscan', ETHERSCAN);
+const ethNode = ETH_RPC.url ? createUpstreamClient('Ethereum node', ETH_RPC) : null;
+
+module.exports = {
+	UpstreamError,
+	createUpstreamClient,
+	logicServer,
+	securityServer,
+	publicServer,
+	etherscan,
+	ethNode,
+};
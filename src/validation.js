@@ -0,0 +1,152 @@
+// Request validation derived from the swagger-jsdoc annotations: path and
+// query parameters and JSON bodies are checked against the schemas documented
+// for the matched route, so the docs and the checks cannot diverge.
+//
+// Supported schema keywords: type (string, integer, number, boolean, object,
+// array), enum, pattern, minLength, minimum, maximum, minItems, maxItems,
+// nullable, required, properties and items.
+
+// Appends the problems of `value` against `schema` to `problems`, naming it `name`
+function checkValue(value, schema, name, problems) {
+	if (!schema) return;
+	if (value === null) {
+		if (!schema.nullable) problems.push(`${name} must not be null`);
+		return;
+	}
+
+	switch (schema.type) {
+		case 'integer':
+			if (!Number.isInteger(value)) return problems.push(`${name} must be an integer`);
+			break;
+		case 'number':
+			if (typeof value !== 'number' || !Number.isFinite(value)) return problems.push(`${name} must be a number`);
+			break;
+		case 'string':
+			if (typeof value !== 'string') return problems.push(`${name} must be a string`);
+			break;
+		case 'boolean':
+			if (typeof value !== 'boolean') return problems.push(`${name} must be a boolean`);
+			break;
+		case 'array':
+			if (!Array.isArray(value)) return problems.push(`${name} must be an array`);
+			if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${name} must have at least ${schema.minItems} items`);
+			if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${name} must have at most ${schema.maxItems} items`);
+			value.forEach((item, index) => checkValue(item, schema.items, `${name}[${index}]`, problems));
+			break;
+		case 'object':
+			if (typeof value !== 'object' || Array.isArray(value)) return problems.push(`${name} must be an object`);
+			(schema.required || []).forEach(field => {
+				if (value[field] === undefined) problems.push(`${name}.${field} is required`);
+			});
+			Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+				if (value[field] !== undefined) checkValue(value[field], fieldSchema, `${name}.${field}`, problems);
+			});
+			break;
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		problems.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+	}
+	if (typeof value === 'string') {
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${name} has an invalid format`);
+		if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${name} must not be empty`);
+	}
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${name} must be at least ${schema.minimum}`);
+		if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${name} must be at most ${schema.maximum}`);
+	}
+}
+
+// Converts a path or query string to the type of its schema; undefined if it can't be
+function coerceParameter(value, schema) {
+	switch (schema && schema.type) {
+		case 'integer':
+			return /^-?\d+$/.test(value) ? Number(value) : undefined;
+		case 'number':
+			return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : undefined;
+		case 'boolean':
+			return value === 'true' ? true : value === 'false' ? false : undefined;
+		default:
+			return value;
+	}
+}
+
+function checkParameter(parameter, source, problems) {
+	const location = parameter.in === 'path' ? 'path parameter' : 'query parameter';
+	const name = `${location} ${parameter.name}`;
+	const raw = source[parameter.name];
+
+	if (raw === undefined) {
+		if (parameter.required) problems.push(`${name} is required`);
+		return;
+	}
+	if (typeof raw !== 'string') {
+		problems.push(`${name} must be given once`);
+		return;
+	}
+	const value = coerceParameter(raw, parameter.schema);
+	if (value === undefined) {
+		problems.push(`${name} must be ${parameter.schema.type === 'integer' ? 'an integer' : `a ${parameter.schema.type}`}`);
+		return;
+	}
+	checkValue(value, parameter.schema, name, problems);
+}
+
+/**
+ * Compiles the operations of an OpenAPI document (from swagger-jsdoc) and
+ * returns a middleware validating req.params, req.query and JSON bodies of
+ * the matched route against them. It must run after the body parser; a
+ * route without annotations is let through. Invalid requests get a 400
+ * VALIDATION_ERROR listing every problem in details.
+ */
+function createValidator(spec) {
+	// "GET /api/snapshot/:snapshotName" -> operation
+	const operations = new Map();
+	Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+		const routePath = path.replace(/\{(\w+)\}/g, ':$1');
+		Object.entries(pathItem).forEach(([method, operation]) => {
+			operations.set(`${method.toUpperCase()} ${routePath}`, {
+				parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])],
+				requestBody: operation.requestBody,
+			});
+		});
+	});
+	const undocumented = new Set();
+
+	return function validate(req, res, next) {
+		const key = `${req.method} ${req.route.path}`;
+		const operation = operations.get(key);
+		if (!operation) {
+			if (!undocumented.has(key)) {
+				undocumented.add(key);
+				console.warn(`No API documentation for ${key}; requests are not validated`);
+			}
+			return next();
+		}
+
+		const problems = [];
+		operation.parameters.forEach(parameter => {
+			if (parameter.in === 'path') checkParameter(parameter, req.params, problems);
+			if (parameter.in === 'query') checkParameter(parameter, req.query, problems);
+		});
+
+		const jsonBody = operation.requestBody && operation.requestBody.content && operation.requestBody.content['application/json'];
+		if (jsonBody) {
+			const contentTypes = Object.keys(operation.requestBody.content);
+			if (req.is('json')) {
+				checkValue(req.body, jsonBody.schema, 'body', problems);
+			} else if (operation.requestBody.required && contentTypes.length === 1) {
+				problems.push('A JSON request body (Content-Type: application/json) is required');
+			}
+		}
+
+		if (problems.length > 0) {
+			return res.status(400).json({ error: problems.join('; '), code: 'VALIDATION_ERROR', details: problems });
+		}
+		next();
+	};
+}
+
+module.exports = {
+	createValidator,
+};
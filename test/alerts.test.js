@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAddress } = require('ethers');
+const { createTestPool } = require('./helpers/db');
+const { createWatchlist } = require('../src/labels');
+const { parseRule, createRule, createWebhook, evaluateTraces, evaluateNewBlocks } = require('../src/alerts');
+
+const WATCHED = '0xabcdef00000000000000000000000000000000aa';
+const OTHER = '0xabcdef00000000000000000000000000000000bb';
+const TX = '0x' + '11'.repeat(32);
+
+// Two transfers between the same pair in one transaction, as the logic
+// server answers /trace_tx: checksummed addresses and no trace_id
+const logicServerTraces = [
+	{ tx_hash: TX, block_number: 100, from_addr: getAddress(WATCHED), to_addr: getAddress(OTHER), value: '500', action: 'call' },
+	{ tx_hash: TX, block_number: 100, from_addr: getAddress(WATCHED), to_addr: getAddress(OTHER), value: '700', action: 'call' },
+];
+
+async function countRows(pool, table) {
+	const result = await pool.query(`SELECT COUNT(*)::int AS count FROM ${table}`);
+	return result.rows[0].count;
+}
+
+test('large transfer alerts', async t => {
+	const pool = await createTestPool();
+	t.after(() => pool.end());
+
+	const watchlistId = await createWatchlist(pool, { name: 'treasury', addresses: [{ address: WATCHED }] });
+	await createRule(pool, watchlistId, parseRule({ rule_type: 'large_transfer', params: { min_value: '100' } }).rule);
+	await createWebhook(pool, watchlistId, { url: 'https://hooks.example.com/alerts' });
+
+	await t.test('raises one alert per transfer of a logic server transaction', async () => {
+		const alerts = await evaluateTraces(pool, logicServerTraces);
+		assert.deepEqual(alerts.map(alert => [alert.address, alert.details.value, alert.trace.trace_id]), [
+			[WATCHED, '500', `${TX}_0`],
+			[WATCHED, '700', `${TX}_1`],
+		]);
+		assert.equal(await countRows(pool, 'webhook_deliveries'), 2);
+	});
+
+	await t.test('does not alert again when the alert worker sees the ingested traces', async () => {
+		// As the ingestion worker stores the transaction, and with the alert worker just behind it
+		await pool.query(`
+			INSERT INTO traces (trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action) VALUES
+			('${TX}_0', '${TX}', 100, '${WATCHED}', '${OTHER}', '${OTHER}', '500', 'call'),
+			('${TX}_1', '${TX}', 100, '${WATCHED}', '${OTHER}', '${OTHER}', '700', 'call')
+		`);
+		await pool.query("INSERT INTO ingestion_state (name, last_block) VALUES ('alerts', 99)");
+
+		assert.equal(await evaluateNewBlocks(pool, 10), 1);
+		assert.equal(await countRows(pool, 'alerts'), 2);
+		assert.equal(await countRows(pool, 'webhook_deliveries'), 2);
+	});
+
+	await t.test('does not alert again for the same logic server traces', async () => {
+		assert.deepEqual(await evaluateTraces(pool, logicServerTraces), []);
+		assert.equal(await countRows(pool, 'alerts'), 2);
+	});
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_ENABLED = 'false';
+const { startApp } = require('./helpers/app');
+
+const TREASURY = { x: 0, y: 0, address: '0x00000000000000000000000000000000000000aa' };
+const BRIDGE = { x: 10, y: 0, address: '0x00000000000000000000000000000000000000bb' };
+
+// Entries of other requests are written once their response is sent, so they show up shortly after it
+async function findAuditEntry(api, method, filter) {
+	const deadline = Date.now() + 5000;
+	while (Date.now() < deadline) {
+		const response = await api.request('GET', '/api/audit?resource_type=snapshot&resource_id=vault');
+		const entry = response.body.find(candidate => candidate.method === method && filter(candidate));
+		if (entry) return entry;
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+	throw new Error(`No audit entry for ${method}`);
+}
+
+const nodeAddresses = snapshot => snapshot.nodes.map(node => node.address).sort();
+
+test('audit revert', async t => {
+	const api = await startApp();
+	t.after(() => api.close());
+	const save = nodes => api.request('POST', '/api/addresses/snapshot', { body: { snapshot_name: 'vault', snapshot_nodes: nodes } });
+
+	await t.test('refuses to revert the creation of a snapshot', async () => {
+		assert.equal((await save([TREASURY, BRIDGE])).status, 200);
+		const created = await findAuditEntry(api, 'POST', entry => entry.after.version === 1);
+
+		const response = await api.request('POST', `/api/audit/${created.audit_id}/revert`);
+		assert.equal(response.status, 400);
+	});
+
+	await t.test('reverts an overwrite by saving the replaced contents as a new version', async () => {
+		assert.equal((await save([TREASURY])).status, 200);
+		const overwrite = await findAuditEntry(api, 'POST', entry => entry.after.version === 2);
+		assert.equal(overwrite.before.version, 1);
+
+		const response = await api.request('POST', `/api/audit/${overwrite.audit_id}/revert`);
+		assert.equal(response.status, 200);
+		assert.equal(response.body.version, 3);
+		assert.equal(response.body.restored_from_version, 1);
+
+		const snapshot = await api.request('GET', '/api/snapshot/vault');
+		assert.equal(snapshot.body.version, 3);
+		assert.deepEqual(nodeAddresses(snapshot.body), [TREASURY.address, BRIDGE.address]);
+
+		const entry = await api.request('GET', `/api/audit/${overwrite.audit_id}`);
+		const revert = await api.request('GET', `/api/audit/${entry.body.reverted_by}`);
+		assert.equal(revert.body.reverts, overwrite.audit_id);
+		assert.equal(revert.body.outcome, 'success');
+	});
+
+	await t.test('reverts an entry only once', async () => {
+		const overwrite = await findAuditEntry(api, 'POST', entry => entry.after.version === 2);
+		const response = await api.request('POST', `/api/audit/${overwrite.audit_id}/revert`);
+		assert.equal(response.status, 409);
+		assert.match(response.body.error, /^Already reverted by audit entry \d+$/);
+		assert.equal((await api.request('GET', '/api/snapshot/vault')).body.version, 3);
+	});
+
+	await t.test('reverts a delete with the original version numbers', async () => {
+		assert.equal((await api.request('DELETE', '/api/snapshot/vault')).status, 200);
+		assert.equal((await api.request('GET', '/api/snapshot/vault')).status, 404);
+		const deleted = await findAuditEntry(api, 'DELETE', () => true);
+
+		const response = await api.request('POST', `/api/audit/${deleted.audit_id}/revert`);
+		assert.equal(response.status, 200);
+		assert.deepEqual(response.body.restored_versions.sort(), [1, 2, 3]);
+
+		const snapshot = await api.request('GET', '/api/snapshot/vault?version=2');
+		assert.deepEqual(nodeAddresses(snapshot.body), [TREASURY.address]);
+	});
+
+	await t.test('answers 404 for an unknown entry', async () => {
+		assert.equal((await api.request('POST', '/api/audit/99999/revert')).status, 404);
+	});
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const JWT_SECRET = 'test-jwt-secret';
+process.env.AUTH_ENABLED = 'true';
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+process.env.JWT_SECRET = JWT_SECRET;
+const { startApp } = require('./helpers/app');
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+function signJwt(claims, secret = JWT_SECRET) {
+	const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+	const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+	return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+const withKey = key => ({ headers: { 'X-API-Key': key } });
+
+test('authentication, roles and limits', async t => {
+	const api = await startApp();
+	t.after(() => api.close());
+	t.mock.method(console, 'error', () => {});
+
+	async function createKey(body) {
+		const response = await api.request('POST', '/api/keys', { body, ...withKey(ADMIN_API_KEY) });
+		assert.equal(response.status, 201);
+		return response.body;
+	}
+
+	await t.test('rejects missing and unknown credentials', async () => {
+		const missing = await api.request('GET', '/api/snapshots');
+		assert.equal(missing.status, 401);
+		assert.equal(missing.body.code, 'UNAUTHORIZED');
+
+		const unknown = await api.request('GET', '/api/snapshots', withKey('gc_unknown'));
+		assert.equal(unknown.status, 401);
+	});
+
+	await t.test('enforces roles', async () => {
+		const { key } = await createKey({ name: 'dashboard', role: 'read' });
+
+		assert.equal((await api.request('GET', '/api/snapshots', withKey(key))).status, 200);
+		assert.equal((await api.request('GET', `/api/snapshots?api_key=${key}`)).status, 200, 'EventSource clients pass the key in the query');
+
+		const write = await api.request('POST', '/api/watchlists', { body: { name: 'read only' }, ...withKey(key) });
+		assert.equal(write.status, 403);
+		assert.equal(write.body.code, 'FORBIDDEN');
+		assert.equal((await api.request('GET', '/api/keys', withKey(key))).status, 403);
+	});
+
+	await t.test('accepts JWTs with a role and subject', async () => {
+		const token = signJwt({ sub: 'ci', role: 'write', exp: Math.floor(Date.now() / 1000) + 60 });
+		const headers = { Authorization: `Bearer ${token}` };
+
+		const current = await api.request('GET', '/api/keys/current', { headers });
+		assert.equal(current.status, 200);
+		assert.equal(current.body.subject, 'jwt:ci');
+		assert.equal((await api.request('POST', '/api/watchlists', { body: { name: 'from ci' }, headers })).status, 201);
+
+		const expired = signJwt({ sub: 'ci', role: 'write', exp: Math.floor(Date.now() / 1000) - 1 });
+		assert.equal((await api.request('GET', '/api/snapshots', { headers: { Authorization: `Bearer ${expired}` } })).status, 401);
+		const forged = signJwt({ sub: 'ci', role: 'admin' }, 'another-secret');
+		assert.equal((await api.request('GET', '/api/snapshots', { headers: { Authorization: `Bearer ${forged}` } })).status, 401);
+	});
+
+	await t.test('limits requests per minute per key', async () => {
+		// One fixed minute, so the window can't roll over mid-test
+		t.mock.method(Date, 'now', () => 1700000010000);
+		const { key } = await createKey({ name: 'crawler', role: 'read', rateLimit: 2 });
+
+		const statuses = [];
+		for (let i = 0; i < 3; i++) {
+			const response = await api.request('GET', '/api/snapshots', withKey(key));
+			statuses.push([response.status, response.headers.get('x-ratelimit-remaining')]);
+			if (response.status === 429) {
+				assert.equal(response.body.code, 'RATE_LIMITED');
+				assert.equal(response.headers.get('retry-after'), '30');
+			}
+		}
+		assert.deepEqual(statuses, [[200, '1'], [200, '0'], [429, '0']]);
+		Date.now.mock.restore();
+	});
+
+	await t.test('charges daily quotas', async () => {
+		const { key } = await createKey({ name: 'analyst', role: 'read', quotas: { trace: 2 } });
+		const trace = () => api.request('GET', `/api/trace?address=${ADDRESS}&limit=10`, withKey(key));
+
+		assert.equal((await trace()).headers.get('x-quota-remaining'), '1');
+		assert.equal((await trace()).headers.get('x-quota-remaining'), '0');
+		const exceeded = await trace();
+		assert.equal(exceeded.status, 429);
+		assert.equal(exceeded.body.code, 'QUOTA_EXCEEDED');
+
+		const current = await api.request('GET', '/api/keys/current', withKey(key));
+		assert.deepEqual(current.body.quotas.trace, { limit: 2, used: 2 });
+	});
+
+	await t.test('rejects revoked keys', async () => {
+		const { key, key_id } = await createKey({ name: 'temporary', role: 'read' });
+		assert.equal((await api.request('DELETE', `/api/keys/${key_id}`, withKey(ADMIN_API_KEY))).status, 200);
+		assert.equal((await api.request('GET', '/api/snapshots', withKey(key))).status, 401);
+	});
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool } = require('./helpers/db');
+const { createCache, fetchCachedMetadata, listenForMetadataChanges } = require('../src/cache');
+
+const A = '0x00000000000000000000000000000000000000aa';
+const B = '0x00000000000000000000000000000000000000bb';
+
+async function waitFor(condition, timeoutMs = 5000) {
+	const deadline = Date.now() + timeoutMs;
+	while (!(await condition())) {
+		if (Date.now() > deadline) throw new Error('Timed out waiting for the cache');
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+}
+
+test('memory cache', async t => {
+	await t.test('loads on a miss and serves the cached value until it expires', async () => {
+		let now = 1700000000000;
+		t.mock.method(Date, 'now', () => now);
+		const cache = createCache({ maxEntries: 10 });
+		let loads = 0;
+		const load = async () => ({ block: ++loads });
+
+		assert.deepEqual(await cache.wrap('block:1', 60, load), { value: { block: 1 }, hit: false });
+		assert.deepEqual(await cache.wrap('block:1', 60, load), { value: { block: 1 }, hit: true });
+		now += 60000;
+		assert.deepEqual(await cache.wrap('block:1', 60, load), { value: { block: 2 }, hit: false });
+		Date.now.mock.restore();
+	});
+
+	await t.test('does not cache values rejected by shouldCache', async () => {
+		const cache = createCache({ maxEntries: 10 });
+		const isFinal = value => value.finalized;
+		await cache.wrap('block:2', 60, async () => ({ finalized: false }), isFinal);
+		assert.equal(await cache.get('block:2'), undefined);
+		await cache.wrap('block:2', 60, async () => ({ finalized: true }), isFinal);
+		assert.deepEqual(await cache.get('block:2'), { finalized: true });
+	});
+
+	await t.test('evicts the least recently used entries', async () => {
+		const cache = createCache({ maxEntries: 2 });
+		await cache.set('a', 1, 60);
+		await cache.set('b', 2, 60);
+		await cache.get('a');
+		await cache.set('c', 3, 60);
+		assert.deepEqual(await Promise.all(['a', 'b', 'c'].map(key => cache.get(key))), [1, undefined, 3]);
+	});
+
+	await t.test('invalidates entries', async () => {
+		const cache = createCache({ maxEntries: 10 });
+		await cache.set('a', 1, 60);
+		await cache.invalidate(['a']);
+		assert.equal(await cache.get('a'), undefined);
+	});
+});
+
+test('cached address metadata', async t => {
+	const pool = await createTestPool();
+	t.after(() => pool.end());
+	await pool.query("INSERT INTO addresses (address, contract_name) VALUES ($1, 'Vault'), ($2, 'Oracle')", [A, B]);
+	const cache = createCache({ maxEntries: 100 });
+	const contractName = async address => (await fetchCachedMetadata(cache, pool, [address], 60))[address].contract_name;
+
+	await t.test('queries only the addresses that are not cached', async () => {
+		await fetchCachedMetadata(cache, pool, [A], 60);
+		const query = t.mock.method(pool, 'query');
+		const metadata = await fetchCachedMetadata(cache, pool, [A, B], 60);
+		assert.equal(metadata[A].contract_name, 'Vault');
+		assert.equal(metadata[B].contract_name, 'Oracle');
+		assert.ok(query.mock.calls.length > 0);
+		assert.ok(query.mock.calls.every(call => call.arguments[1][0].length === 1 && call.arguments[1][0][0] === B));
+		pool.query.mock.restore();
+	});
+
+	await t.test('does not cache metadata of a failed lookup', async () => {
+		const address = '0x00000000000000000000000000000000000000cc';
+		t.mock.method(console, 'error', () => {});
+		const query = pool.query;
+		t.mock.method(pool, 'query', async (text, params) => {
+			if (!/FROM addresses/.test(text)) throw new Error('connection lost');
+			return query(text, params);
+		});
+		await fetchCachedMetadata(cache, pool, [address], 60);
+		pool.query.mock.restore();
+
+		await pool.query("INSERT INTO addresses (address, contract_name) VALUES ($1, 'Router')", [address]);
+		assert.equal(await contractName(address), 'Router');
+	});
+
+	await t.test('drops cached metadata when the address changes', async () => {
+		await pool.query("UPDATE addresses SET contract_name = 'Vault v2' WHERE address = $1", [A]);
+		assert.equal(await contractName(A), 'Vault', 'nothing invalidates the entry yet');
+
+		listenForMetadataChanges(pool, cache);
+		await waitFor(async () => {
+			await pool.query("UPDATE addresses SET contract_name = 'Vault v3' WHERE address = $1", [A]);
+			return (await contractName(A)) === 'Vault v3';
+		});
+	});
+
+	await t.test('drops cached metadata when a label changes', async () => {
+		assert.deepEqual((await fetchCachedMetadata(cache, pool, [B], 60))[B].labels, []);
+		await pool.query("INSERT INTO address_labels (address, label) VALUES ($1, 'price feed')", [B]);
+		await waitFor(async () => (await fetchCachedMetadata(cache, pool, [B], 60))[B].labels.length === 1);
+	});
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool } = require('./helpers/db');
+const { createMockProvider } = require('../src/providers');
+const {
+	MAX_ATTEMPTS,
+	enqueueAddresses,
+	claimBatch,
+	processAddress,
+	getQueueStatus,
+} = require('../src/enrichment');
+
+// Last byte even: verified contract, odd: EOA (see createMockProvider)
+const CONTRACT = '0x00000000000000000000000000000000000000a2';
+const EOA = '0x00000000000000000000000000000000000000a1';
+const BROKEN = '0x00000000000000000000000000000000000000b4';
+
+async function queueEntry(pool, address) {
+	const result = await pool.query(
+		`SELECT status, attempts, last_error,
+			EXTRACT(EPOCH FROM next_attempt_at - updated_at)::int AS delay_seconds
+		FROM enrichment_queue WHERE address = $1`,
+		[address]
+	);
+	return result.rows[0];
+}
+
+// Lets a backed-off entry be claimed again without waiting
+async function makeDue(pool, address) {
+	await pool.query("UPDATE enrichment_queue SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE address = $1", [address]);
+}
+
+test('enrichment queue', async t => {
+	const pool = await createTestPool();
+	t.after(() => pool.end());
+	t.mock.method(console, 'error', () => {});
+	const provider = createMockProvider({ failures: [BROKEN] });
+
+	await t.test('queues unknown addresses once, in lowercase', async () => {
+		await pool.query("INSERT INTO addresses (address, is_contract) VALUES ('0x00000000000000000000000000000000000000c0', FALSE)");
+
+		const queued = await enqueueAddresses(pool, [
+			CONTRACT.toUpperCase().replace('0X', '0x'),
+			CONTRACT,
+			EOA,
+			'0x00000000000000000000000000000000000000c0',
+			null,
+		]);
+		assert.equal(queued, 2);
+		assert.equal(await enqueueAddresses(pool, [CONTRACT, EOA]), 0);
+	});
+
+	await t.test('fills the addresses table from the provider', async () => {
+		const batch = await claimBatch(pool, 10);
+		assert.deepEqual(batch.map(entry => entry.address).sort(), [EOA, CONTRACT]);
+		assert.deepEqual(await claimBatch(pool, 10), [], 'claimed entries are not handed out twice');
+
+		for (const entry of batch) {
+			assert.equal(await processAddress(pool, provider, entry), true);
+		}
+
+		const result = await pool.query('SELECT address, is_contract, is_verified, contract_name FROM addresses WHERE address = ANY($1) ORDER BY address', [[CONTRACT, EOA]]);
+		assert.deepEqual(result.rows, [
+			{ address: EOA, is_contract: false, is_verified: false, contract_name: null },
+			{ address: CONTRACT, is_contract: true, is_verified: true, contract_name: 'Mock00a2' },
+		]);
+		assert.equal((await queueEntry(pool, CONTRACT)).status, 'done');
+	});
+
+	await t.test('retries failures with exponential backoff, then gives up', async () => {
+		await enqueueAddresses(pool, [BROKEN]);
+
+		for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+			const [entry] = await claimBatch(pool, 10);
+			assert.deepEqual(entry, { address: BROKEN, attempts: attempt });
+			assert.equal(await processAddress(pool, provider, entry), false);
+
+			const state = await queueEntry(pool, BROKEN);
+			assert.equal(state.last_error, `Mock provider failure for ${BROKEN}`);
+			if (attempt < MAX_ATTEMPTS) {
+				assert.equal(state.status, 'pending');
+				assert.equal(state.delay_seconds, 30 * 2 ** (attempt - 1));
+				assert.deepEqual(await claimBatch(pool, 10), [], 'not retried before the backoff ends');
+				await makeDue(pool, BROKEN);
+			} else {
+				assert.equal(state.status, 'failed');
+			}
+		}
+
+		await makeDue(pool, BROKEN);
+		assert.deepEqual(await claimBatch(pool, 10), [], 'failed entries are not retried');
+	});
+
+	await t.test('reports queue counts and failures', async () => {
+		const status = await getQueueStatus(pool);
+		assert.deepEqual(status.counts, { pending: 0, processing: 0, done: 2, failed: 1 });
+		assert.deepEqual(status.recent_errors.map(entry => entry.address), [BROKEN]);
+	});
+});
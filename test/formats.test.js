@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildExportGraph, serializeGraph, parseGraphML, parseCytoscape } = require('../src/formats');
+
+const A = '0x00000000000000000000000000000000000000aa';
+const B = '0x00000000000000000000000000000000000000bb';
+const C = '0x00000000000000000000000000000000000000cc';
+
+// Snapshot contents as the import returns them: every field present, unset ones undefined
+const CONTENTS = {
+	nodes: [
+		{ address: A, x: 0, y: -20, label: 'Vault <v2> & "proxy"', color: '#ff0000', group: 'core', notes: 'line one\nline two' },
+		{ address: B, x: 150, y: 40, label: undefined, color: undefined, group: undefined, notes: undefined },
+		{ address: C, x: 300, y: 40, label: 'Oracle', color: undefined, group: 'core', notes: undefined },
+	],
+	groups: [
+		{ key: 'core', label: 'Core contracts', color: '#00ff00', collapsed: true },
+		{ key: 'empty', label: undefined, color: undefined, collapsed: false },
+	],
+	edges: [
+		{ source: A, target: B, action: 'call', label: 'deposits', color: '#0000ff', notes: undefined, hidden: false },
+		{ source: B, target: C, action: undefined, label: undefined, color: undefined, notes: 'any action', hidden: true },
+		{ source: C, target: A, action: undefined, label: 'no traces', color: undefined, notes: undefined, hidden: false },
+	],
+};
+
+const TRACES = [
+	{ from_addr: A, to_addr: B, action: 'call', count: 3, total_value: '1000000000000000000', first_block: 10, last_block: 12 },
+	{ from_addr: A, to_addr: B, action: 'delegate_call', count: 1, total_value: '0', first_block: 11, last_block: 11 },
+	{ from_addr: B, to_addr: C, action: 'staticcall', count: 2, total_value: '0', first_block: 12, last_block: 13 },
+];
+
+const METADATA = {
+	[A]: { contract_name: 'Vault', is_contract: true, is_proxy: true, is_verified: true, protocol_id: 1, protocol_name: 'Lending' },
+};
+
+function exportGraph() {
+	return buildExportGraph('treasury', CONTENTS.nodes, CONTENTS.groups, TRACES, CONTENTS.edges, METADATA);
+}
+
+test('attaches annotations to the trace edges they describe', () => {
+	const graph = exportGraph();
+	assert.deepEqual(graph.edges.map(edge => [edge.source, edge.target, edge.attributes.action, edge.attributes.label || edge.attributes.notes || null]), [
+		[A, B, 'call', 'deposits'],
+		[A, B, 'delegate_call', null],
+		[B, C, 'staticcall', 'any action'],
+		[C, A, undefined, 'no traces'],
+	]);
+	assert.equal(graph.edges[2].attributes.annotation_any_action, true);
+	assert.equal(graph.nodes[0].attributes.group_label, 'Core contracts');
+	assert.equal(graph.nodes[0].attributes.contract_name, 'Vault');
+});
+
+test('round-trips snapshots through GraphML', () => {
+	const xml = serializeGraph(exportGraph(), 'graphml');
+	assert.deepEqual(parseGraphML(xml), CONTENTS);
+});
+
+test('round-trips snapshots through Cytoscape JSON', () => {
+	const json = serializeGraph(exportGraph(), 'cytoscape');
+	assert.deepEqual(parseCytoscape(JSON.parse(json)), CONTENTS);
+});
+
+test('rebuilds groups from node attributes when the document has no group list', () => {
+	const document = JSON.parse(serializeGraph(exportGraph(), 'cytoscape'));
+	delete document.data;
+	assert.deepEqual(parseCytoscape(document).groups, [CONTENTS.groups[0]]);
+});
+
+test('rejects documents in another format', () => {
+	assert.throws(() => parseGraphML('<gexf></gexf>'), /Not a GraphML document/);
+	assert.throws(() => parseCytoscape({ elements: { edges: [] } }), /Not a Cytoscape JSON document/);
+});
+
+test('escapes CSV cells that spreadsheets would run as formulas', () => {
+	const graph = buildExportGraph('formulas', [
+		{ address: A, x: 0, y: 0, label: '=HYPERLINK("http://example.com","click")', notes: '@SUM(1+1)' },
+		{ address: B, x: -5, y: 0, label: '-2+3', notes: 'plain, "quoted"' },
+	], [], [], [], {});
+	const [header, first, second] = serializeGraph(graph, 'csv-nodes').trimEnd().split('\n');
+
+	const columns = header.split(',');
+	assert.deepEqual(columns.slice(0, 4), ['address', 'x', 'y', 'label']);
+	assert.equal(first, `${A},0,0,"'=HYPERLINK(""http://example.com"",""click"")",,,,,,'@SUM(1+1),,,,,,,,`);
+	// Numbers stay numbers, only text is escaped
+	assert.equal(second, `${B},-5,0,'-2+3,,,,,,"plain, ""quoted""",,,,,,,,`);
+});
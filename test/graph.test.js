@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool } = require('./helpers/db');
+const { findPaths } = require('../src/graph');
+
+const address = suffix => `0x${suffix.repeat(40)}`;
+const [A, B, C, D, E] = ['a', 'b', 'c', 'd', 'e'].map(address);
+
+// [from, to, block, action] - the caller is also the storage address, which delegate call edges start from
+const TRACES = [
+	[A, D, 1, 'call'],
+	[A, B, 2, 'call'],
+	[B, D, 3, 'call'],
+	[A, C, 4, 'call'],
+	[C, D, 5, 'call'],
+	[B, C, 6, 'call'],
+	[A, E, 7, 'delegate_call'],
+	[E, D, 8, 'call'],
+	[C, A, 9, 'call'],
+];
+
+async function insertTraces(pool) {
+	for (const [i, [from, to, block, action]] of TRACES.entries()) {
+		await pool.query(
+			"INSERT INTO traces (trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action) VALUES ($1, $2, $3, $4, $5, $6, '1', $7)",
+			[`0xtx${i}_0`, `0xtx${i}`, block, from, to, from, action]
+		);
+	}
+}
+
+const addresses = result => result.paths.map(path => path.addresses);
+
+test('k shortest paths', async t => {
+	const pool = await createTestPool();
+	t.after(() => pool.end());
+	await insertTraces(pool);
+
+	await t.test('orders paths by hop count', async () => {
+		const result = await findPaths(pool, { from: A, to: D, k: 10, maxDepth: 3 });
+		const found = addresses(result);
+		assert.deepEqual(found[0], [A, D]);
+		assert.deepEqual(new Set(found.slice(1, 4).map(path => path.join('>'))), new Set([[A, B, D], [A, C, D], [A, E, D]].map(path => path.join('>'))));
+		assert.deepEqual(found.slice(4), [[A, B, C, D]]);
+		assert.deepEqual(result.paths.map(path => path.length), [1, 2, 2, 2, 3]);
+		assert.equal(result.truncated, false);
+	});
+
+	await t.test('returns at most k paths', async () => {
+		const result = await findPaths(pool, { from: A, to: D, k: 2, maxDepth: 3 });
+		assert.equal(result.paths.length, 2);
+		assert.deepEqual(result.paths[0].addresses, [A, D]);
+	});
+
+	await t.test('skips paths longer than maxDepth', async () => {
+		const result = await findPaths(pool, { from: A, to: D, k: 10, maxDepth: 2 });
+		assert.ok(result.paths.every(path => path.length <= 2));
+		assert.equal(result.paths.length, 4);
+	});
+
+	await t.test('follows delegate calls from the storage address and lists the transactions of every hop', async () => {
+		const result = await findPaths(pool, { from: A, to: D, k: 10, maxDepth: 2 });
+		const viaE = result.paths.find(path => path.addresses[1] === E);
+		assert.deepEqual(viaE.hops.map(hop => hop.edges.map(edge => [edge.action, edge.tx_hashes])), [
+			[['delegate_call', ['0xtx6']]],
+			[['call', ['0xtx7']]],
+		]);
+	});
+
+	await t.test('only uses traces in the block range', async () => {
+		const result = await findPaths(pool, { from: A, to: D, k: 10, maxDepth: 3, fromBlock: 2, toBlock: 6 });
+		assert.deepEqual(addresses(result).map(path => path.length), [3, 3, 4]);
+	});
+
+	await t.test('returns no paths when the target is unreachable', async () => {
+		const result = await findPaths(pool, { from: D, to: A, k: 3, maxDepth: 5 });
+		assert.deepEqual(result.paths, []);
+	});
+});
@@ -0,0 +1,41 @@
+// The API (src/server.js) on a test database, served over plain HTTP on a free port
+const http = require('http');
+const { createTestPool, useTestPool } = require('./db');
+
+/**
+ * Starts the API. Environment settings (AUTH_ENABLED, ADMIN_API_KEY, ...)
+ * must be set before the first call: the app reads them once when loaded.
+ * request() resolves to { status, headers, body } with JSON bodies parsed.
+ */
+async function startApp() {
+	const pool = await createTestPool();
+	useTestPool(pool);
+	const app = require('../../src/server');
+
+	const server = http.createServer(app);
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+	async function request(method, path, { body, headers = {} } = {}) {
+		const response = await fetch(baseUrl + path, {
+			method,
+			headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+			body: body === undefined ? undefined : JSON.stringify(body),
+		});
+		const text = await response.text();
+		const isJson = (response.headers.get('content-type') || '').includes('application/json');
+		return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+	}
+
+	async function close() {
+		server.closeAllConnections();
+		await new Promise(resolve => server.close(resolve));
+		await pool.end();
+	}
+
+	return { pool, request, close };
+}
+
+module.exports = {
+	startApp,
+};
@@ -0,0 +1,70 @@
+// In-memory PostgreSQL (PGlite) with the schema and every migration applied,
+// behind the part of the pg Pool interface the modules use
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../../migrations');
+
+// database_schema.sql first, then V<n>__*.sql in version order, as Flyway applies them
+function migrationFiles() {
+	const versioned = fs.readdirSync(MIGRATIONS_DIR)
+		.filter(file => /^V\d+__.*\.sql$/.test(file))
+		.sort((a, b) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10));
+	return ['database_schema.sql', ...versioned];
+}
+
+/**
+ * Creates a fresh database. The returned pool shares one connection, so a
+ * transaction opened through connect() also sees the pool's queries: tests
+ * must not run transactions concurrently.
+ */
+async function createTestPool() {
+	const db = new PGlite();
+	for (const file of migrationFiles()) {
+		await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+	}
+
+	async function query(text, params) {
+		const result = await db.query(text, params);
+		return { ...result, rowCount: result.affectedRows ?? result.rows.length };
+	}
+
+	// LISTEN on the client delivers 'notification' events like pg does
+	const notificationHandlers = [];
+	const client = {
+		async query(text, params) {
+			const listen = /^LISTEN (\w+)$/.exec(text.trim());
+			if (!listen) return query(text, params);
+			await db.listen(listen[1], payload => {
+				notificationHandlers.forEach(handler => handler({ channel: listen[1], payload }));
+			});
+			return { rows: [], rowCount: 0 };
+		},
+		release() {},
+		on(event, handler) {
+			if (event === 'notification') notificationHandlers.push(handler);
+		},
+	};
+	return {
+		db,
+		query,
+		connect: async () => client,
+		on() {},
+		end: () => db.close(),
+	};
+}
+
+/**
+ * Makes require('../src/db') return `pool` for the modules that use the
+ * shared pool (the workers and src/server.js). Call before requiring them.
+ */
+function useTestPool(pool) {
+	const dbPath = require.resolve('../../src/db');
+	require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: pool };
+}
+
+module.exports = {
+	createTestPool,
+	useTestPool,
+};
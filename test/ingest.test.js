@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool, useTestPool } = require('./helpers/db');
+
+process.env.INGEST_START_BLOCK = '1';
+process.env.INGEST_CONFIRMATIONS = '12';
+
+/**
+ * A chain as the logic server reports it, up to `head`. `forks` lists
+ * [fromBlock, branch] in order: blocks from `fromBlock` on belong to
+ * `branch`, earlier ones to the previous branch or 'main'. One trace per
+ * block.
+ */
+function createChain(head, forks = []) {
+	const branch = blockNumber => forks.reduce((name, [fromBlock, fork]) => (blockNumber >= fromBlock ? fork : name), 'main');
+	const hash = blockNumber => `0x${branch(blockNumber)}${blockNumber}`;
+	return {
+		async get(path) {
+			if (path === '/block_number') {
+				return { data: { block_number: head } };
+			}
+			const [, kind, number] = path.match(/^\/(block|trace_block)\/(\d+)$/);
+			const blockNumber = Number(number);
+			if (kind === 'block') {
+				return { data: { block_hash: hash(blockNumber), parent_hash: hash(blockNumber - 1), timestamp: 1700000000 + blockNumber * 12 } };
+			}
+			return { data: [{ tx_hash: `${hash(blockNumber)}tx`, from_addr: '0xAA', to_addr: '0xBB', value: '1', action: 'call' }] };
+		},
+	};
+}
+
+async function checkpoints(pool) {
+	const result = await pool.query('SELECT name, last_block::int FROM ingestion_state ORDER BY name');
+	return Object.fromEntries(result.rows.map(row => [row.name, row.last_block]));
+}
+
+async function storedChain(pool) {
+	const result = await pool.query(`
+		SELECT b.block_number::int, b.block_hash, b.finalized, t.tx_hash
+		FROM blocks b LEFT JOIN traces t ON t.block_number = b.block_number
+		ORDER BY b.block_number
+	`);
+	return result.rows;
+}
+
+test('trace ingestion', async t => {
+	const pool = await createTestPool();
+	t.after(() => pool.end());
+	useTestPool(pool);
+	t.mock.method(console, 'log', () => {});
+	t.mock.method(console, 'warn', () => {});
+
+	const { logicServer } = require('../src/upstream');
+	const { FatalIngestionError, ingestBatch, checkReorg, followHead } = require('../src/ingest');
+	const useChain = chain => {
+		logicServer.get.mock?.restore();
+		t.mock.method(logicServer, 'get', chain.get);
+	};
+
+	await t.test('rolls a fork deeper than the confirmation depth back to the common ancestor', async () => {
+		// Ingested as a backfill: nothing finalized yet
+		useChain(createChain(30));
+		await ingestBatch(1, 30, client => client.query("INSERT INTO ingestion_state (name, last_block) VALUES ('head', 30), ('alerts', 3)"));
+
+		useChain(createChain(30, [[5, 'b']]));
+		await checkReorg(30);
+		assert.deepEqual(await checkpoints(pool), { alerts: 3, head: 4 });
+		assert.deepEqual((await storedChain(pool)).map(block => block.block_hash), ['0xmain1', '0xmain2', '0xmain3', '0xmain4']);
+
+		assert.equal(await followHead(), true);
+		const chain = await storedChain(pool);
+		assert.equal(chain.length, 30);
+		assert.deepEqual(chain[29], { block_number: 30, block_hash: '0xb30', finalized: false, tx_hash: '0xb30tx' });
+		assert.deepEqual(chain.filter(block => block.finalized).map(block => block.block_number), Array.from({ length: 18 }, (_, i) => i + 1));
+	});
+
+	await t.test('moves back only the checkpoints past the fork', async () => {
+		await pool.query("UPDATE ingestion_state SET last_block = 25 WHERE name = 'alerts'");
+
+		useChain(createChain(30, [[5, 'b'], [22, 'c']]));
+		assert.equal(await followHead(), true);
+		assert.deepEqual(await checkpoints(pool), { alerts: 21, head: 30 });
+		assert.equal((await storedChain(pool))[29].block_hash, '0xc30');
+	});
+
+	await t.test('keeps re-ingested blocks finalized', async () => {
+		await ingestBatch(10, 15, async () => {});
+		const chain = await storedChain(pool);
+		assert.ok(chain.slice(9, 15).every(block => block.finalized));
+	});
+
+	await t.test('stops on a fork below a finalized block', async () => {
+		useChain(createChain(30, [[5, 'b'], [10, 'd']]));
+		await assert.rejects(checkReorg(30), FatalIngestionError);
+		assert.equal((await storedChain(pool)).length, 30, 'nothing is rolled back');
+		assert.deepEqual(await checkpoints(pool), { alerts: 21, head: 30 });
+	});
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_ENABLED = 'false';
+const { startApp } = require('./helpers/app');
+
+const NODES = [
+	{ x: 0, y: 0, address: '0x00000000000000000000000000000000000000aa' },
+	{ x: 10, y: 0, address: '0x00000000000000000000000000000000000000bb' },
+];
+
+test('snapshot updates', async t => {
+	const api = await startApp();
+	t.after(() => api.close());
+
+	const protocol = await api.request('POST', '/api/metadata/protocol', { body: { protocolName: 'Lending' } });
+	assert.equal(protocol.status, 201);
+	for (const name of ['treasury', 'bridge']) {
+		const saved = await api.request('POST', '/api/addresses/snapshot', { body: { snapshot_name: name, snapshot_nodes: NODES } });
+		assert.equal(saved.status, 200);
+	}
+
+	await t.test('attaches an existing protocol', async () => {
+		const response = await api.request('PATCH', '/api/snapshot/treasury', { body: { protocol_id: protocol.body.protocol_id } });
+		assert.equal(response.status, 200);
+		assert.equal(response.body.protocol_id, protocol.body.protocol_id);
+	});
+
+	await t.test('rejects a protocol that does not exist', async () => {
+		const response = await api.request('PATCH', '/api/snapshot/treasury', { body: { protocol_id: 999 } });
+		assert.equal(response.status, 400);
+		assert.equal(response.body.code, 'INVALID_REQUEST');
+		assert.equal(response.body.error, 'Protocol 999 does not exist');
+	});
+
+	await t.test('detaches the protocol', async () => {
+		const response = await api.request('PATCH', '/api/snapshot/treasury', { body: { protocol_id: null } });
+		assert.equal(response.status, 200);
+		assert.equal(response.body.protocol_id, null);
+	});
+
+	await t.test('refuses to rename onto another snapshot', async () => {
+		const response = await api.request('PATCH', '/api/snapshot/treasury', { body: { name: 'bridge' } });
+		assert.equal(response.status, 409);
+	});
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPool } = require('./helpers/db');
+const { createStreamHub } = require('../src/stream');
+
+const WATCHED = '0x00000000000000000000000000000000000000aa';
+
+// Replaces blocks and their traces in one transaction, as the ingestion worker does after a reorg
+async function storeBlocks(pool, blocks) {
+	await pool.db.transaction(async tx => {
+		for (const [blockNumber, hash] of blocks) {
+			await tx.query('DELETE FROM traces WHERE block_number = $1', [blockNumber]);
+			await tx.query('DELETE FROM blocks WHERE block_number = $1', [blockNumber]);
+			await tx.query(
+				'INSERT INTO blocks (block_number, block_hash, parent_hash, block_timestamp) VALUES ($1, $2, NULL, NOW())',
+				[blockNumber, hash]
+			);
+			await tx.query(
+				"INSERT INTO traces (trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action) VALUES ($1, $2, $3, $4, $5, $5, '1', 'call')",
+				[`${hash}tx_0`, `${hash}tx`, blockNumber, WATCHED, '0x00000000000000000000000000000000000000bb']
+			);
+		}
+	});
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+	const deadline = Date.now() + timeoutMs;
+	while (!condition()) {
+		if (Date.now() > deadline) throw new Error('Timed out waiting for stream events');
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+}
+
+test('stream hub', async t => {
+	const pool = await createTestPool();
+	const hub = createStreamHub(pool, { pollIntervalMs: 10 });
+	await storeBlocks(pool, [[1, '0xa1'], [2, '0xa2']]);
+
+	const events = [];
+	const unsubscribe = await hub.subscribe({
+		blocks: true,
+		addresses: new Set([WATCHED]),
+		protocolIds: [],
+		send: (event, data, id) => events.push({ event, hash: event === 'block' ? data.block_hash : data.traces[0].tx_hash, id }),
+	});
+	t.after(async () => {
+		unsubscribe();
+		await pool.end();
+	});
+	const blockHashes = () => events.filter(entry => entry.event === 'block').map(entry => entry.hash);
+
+	await t.test('streams new blocks and their traces', async () => {
+		await storeBlocks(pool, [[3, '0xa3'], [4, '0xa4']]);
+		await waitFor(() => events.length === 4);
+		assert.deepEqual(events, [
+			{ event: 'block', hash: '0xa3', id: undefined },
+			{ event: 'traces', hash: '0xa3tx', id: 3 },
+			{ event: 'block', hash: '0xa4', id: undefined },
+			{ event: 'traces', hash: '0xa4tx', id: 4 },
+		]);
+	});
+
+	await t.test('streams a block again when a fork replaces it at the same height', async () => {
+		await storeBlocks(pool, [[4, '0xb4']]);
+		await waitFor(() => blockHashes().length === 3);
+		assert.deepEqual(blockHashes(), ['0xa3', '0xa4', '0xb4']);
+		assert.deepEqual(events.at(-1), { event: 'traces', hash: '0xb4tx', id: 4 });
+	});
+
+	await t.test('streams the whole fork again when it grows past the head', async () => {
+		await storeBlocks(pool, [[3, '0xc3'], [4, '0xc4'], [5, '0xc5']]);
+		await waitFor(() => blockHashes().length === 6);
+		assert.deepEqual(blockHashes().slice(3), ['0xc3', '0xc4', '0xc5']);
+	});
+
+	await t.test('does not stream blocks from before the subscription again', async () => {
+		await storeBlocks(pool, [[2, '0xd2'], [3, '0xd3'], [4, '0xd4'], [5, '0xd5']]);
+		await waitFor(() => blockHashes().length === 9);
+		assert.deepEqual(blockHashes().slice(6), ['0xd3', '0xd4', '0xd5']);
+	});
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAddress } = require('ethers');
+const { createTestPool } = require('./helpers/db');
+const { parseTraceFilters, queryTraces } = require('../src/traces');
+
+const ALICE = '0x00000000000000000000000000000000000000aa';
+const TOKEN = '0xabcdef00000000000000000000000000000000bb';
+const OTHER = '0x00000000000000000000000000000000000000cc';
+
+function filtersOf(query) {
+	const { filters, error } = parseTraceFilters(query);
+	assert.equal(error, undefined);
+	return filters;
+}
+
+test('trace queries', async t => {
+	const pool = await createTestPool();
+	t.after(() => pool.end());
+
+	// As the ingestion worker stores them: lowercase addresses
+	await pool.query(`
+		INSERT INTO traces (trace_id, tx_hash, block_number, from_addr, to_addr, storage_addr, value, action) VALUES
+		('0x01_0', '0x01', 10, '${ALICE}', '${TOKEN}', '${TOKEN}', '0', 'call'),
+		('0x01_1', '0x01', 10, '${TOKEN}', '${OTHER}', '${OTHER}', '5', 'delegate_call'),
+		('0x02_0', '0x02', 11, '${ALICE}', '${OTHER}', '${OTHER}', '7', 'call'),
+		('0x03_0', '0x03', 12, '${OTHER}', '${ALICE}', '${ALICE}', '9', 'call')
+	`);
+
+	await t.test('matches checksummed addresses', async () => {
+		const page = await queryTraces(pool, { address: getAddress(ALICE) }, filtersOf({ action: 'call' }));
+		assert.deepEqual(page.traces.map(trace => trace.trace_id), ['0x01_0', '0x02_0', '0x03_0']);
+	});
+
+	await t.test('matches checksummed counterparties', async () => {
+		const filters = filtersOf({ counterparty: getAddress(TOKEN) });
+		assert.equal(filters.counterparty, TOKEN);
+
+		const byAddress = await queryTraces(pool, { address: getAddress(ALICE) }, filters);
+		assert.deepEqual(byAddress.traces.map(trace => trace.trace_id), ['0x01_0']);
+		const byBlock = await queryTraces(pool, { block: 10 }, filters);
+		assert.deepEqual(byBlock.traces.map(trace => trace.trace_id), ['0x01_0', '0x01_1']);
+	});
+
+	await t.test('pages through the results', async () => {
+		const first = await queryTraces(pool, { address: ALICE }, filtersOf({ limit: '2' }));
+		assert.deepEqual(first.traces.map(trace => trace.trace_id), ['0x01_0', '0x02_0']);
+		assert.ok(first.next_cursor);
+
+		const second = await queryTraces(pool, { address: ALICE }, filtersOf({ limit: '2', cursor: first.next_cursor }));
+		assert.deepEqual(second.traces.map(trace => trace.trace_id), ['0x03_0']);
+		assert.equal(second.next_cursor, null);
+	});
+
+	await t.test('filters by block range and value', async () => {
+		const page = await queryTraces(pool, { address: ALICE }, filtersOf({ from_block: '11', min_value: '8' }));
+		assert.deepEqual(page.traces.map(trace => trace.trace_id), ['0x03_0']);
+	});
+
+	await t.test('rejects invalid filters', () => {
+		assert.deepEqual(parseTraceFilters({ counterparty: 'alice' }), { error: 'Invalid counterparty address format' });
+		assert.deepEqual(parseTraceFilters({ action: 'call,transfer' }), { error: 'action must be one of call, delegate_call, create, create2' });
+		assert.deepEqual(parseTraceFilters({ cursor: 'nope' }), { error: 'Invalid cursor' });
+	});
+});
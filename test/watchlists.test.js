@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_ENABLED = 'false';
+const { startApp } = require('./helpers/app');
+
+/**
+ * Lets a concurrent request take `name` right after the route checked that
+ * it's free: the watchlist is created as soon as the name lookup returns.
+ */
+function takeNameAfterCheck(t, api, name) {
+	const query = api.pool.query;
+	t.mock.method(api.pool, 'query', async (text, params) => {
+		const result = await query(text, params);
+		if (/FROM watchlists w WHERE w.name = \$1/.test(text) && params[0] === name) {
+			api.pool.query.mock.restore();
+			await query('INSERT INTO watchlists (name) VALUES ($1)', [name]);
+		}
+		return result;
+	});
+}
+
+test('watchlist names', async t => {
+	const api = await startApp();
+	t.after(() => api.close());
+
+	await t.test('answers 409 when a concurrent create takes the name', async () => {
+		takeNameAfterCheck(t, api, 'hot wallets');
+		const response = await api.request('POST', '/api/watchlists', { body: { name: 'hot wallets' } });
+		assert.equal(response.status, 409);
+		assert.equal(response.body.code, 'CONFLICT');
+		assert.equal(response.body.error, 'A watchlist with this name already exists');
+	});
+
+	await t.test('answers 409 when a concurrent rename takes the name', async () => {
+		const created = await api.request('POST', '/api/watchlists', { body: { name: 'cold wallets' } });
+		assert.equal(created.status, 201);
+
+		takeNameAfterCheck(t, api, 'exchanges');
+		const response = await api.request('PATCH', `/api/watchlists/${created.body.watchlist_id}`, { body: { name: 'exchanges' } });
+		assert.equal(response.status, 409);
+		assert.equal(response.body.code, 'CONFLICT');
+	});
+});